@@ -5,7 +5,55 @@
  */
 
 // global includes
-const spec = require('restbase-mod-table-spec').spec;
+const fs = require('fs');
+const P = require('bluebird');
+const stream = require('stream');
+const yaml = require('js-yaml');
+
+const spec = yaml.safeLoad(fs.readFileSync(`${__dirname}/table.yaml`));
+
+/**
+ * Default page size of whole-table reads, unless configured as `defaultLimit`
+ * @const
+ */
+const defaultLimit = 10;
+
+/**
+ * Makes the error handler of a request: HTTP errors, such as a 412 for a
+ * failed write condition or a 409 for a transaction conflict, are passed
+ * on, and others reported as a 500 of the given type.
+ * @param  {Object}   req   the request
+ * @param  {string}   type  the error type of 500 responses
+ * @param  {string}   title the title of 500 responses
+ * @return {Function}       the catch handler, returning the response
+ */
+function errorResponse(req, type, title) {
+    return (e) => {
+        if (e.status >= 400) {
+            return {
+                status: e.status,
+                body: e.body
+            };
+        }
+        const reqInfo = {
+            uri: req.uri,
+            headers: req.headers
+        };
+        if (req.body && !(req.body instanceof stream.Stream)) {
+            reqInfo.body = JSON.stringify(req.body).slice(0, 200);
+        }
+        return {
+            status: 500,
+            body: {
+                type,
+                title,
+                stack: e.stack,
+                err: e,
+                req: reqInfo
+            }
+        };
+    };
+}
 
 class RBCassandra {
     constructor(options) {
@@ -20,9 +68,15 @@ class RBCassandra {
                 createTable: this.createTable.bind(this),
                 dropTable: this.dropTable.bind(this),
                 getTableSchema: this.getTableSchema.bind(this),
+                listTables: this.listTables.bind(this),
+                exportTable: this.exportTable.bind(this),
+                importTable: this.importTable.bind(this),
+                splitTable: this.splitTable.bind(this),
                 get: this.get.bind(this),
                 put: this.put.bind(this),
-                delete: this.delete.bind(this)
+                delete: this.delete.bind(this),
+                batch: this.batch.bind(this),
+                transaction: this.transaction.bind(this)
             }
         };
     }
@@ -75,7 +129,7 @@ class RBCassandra {
             // XXX: Only list the hash keys?
             req.body = {
                 table: rp.table,
-                limit: 10
+                limit: this.conf.defaultLimit || defaultLimit
             };
         }
         const domain = req.params.domain;
@@ -84,21 +138,8 @@ class RBCassandra {
             status: res.items.length ? 200 : 404,
             body: res
         }))
-        .catch((e) => ({
-            status: 500,
-
-            body: {
-                type: 'query_error',
-                title: 'Error in Cassandra table storage backend',
-                stack: e.stack,
-                err: e,
-                req: {
-                    uri: req.uri,
-                    headers: req.headers,
-                    body: req.body && JSON.stringify(req.body).slice(0, 200)
-                }
-            }
-        }));
+        .catch(errorResponse(req, 'query_error',
+            'Error in Cassandra table storage backend'));
     }
 
     // Update a table
@@ -110,21 +151,8 @@ class RBCassandra {
             // created
             status: 201
         })
-        .catch((e) => ({
-            status: 500,
-
-            body: {
-                type: 'update_error',
-                title: 'Internal error in Cassandra table storage backend',
-                stack: e.stack,
-                err: e,
-                req: {
-                    uri: req.uri,
-                    headers: req.headers,
-                    body: req.body && JSON.stringify(req.body).slice(0, 200)
-                }
-            }
-        }));
+        .catch(errorResponse(req, 'update_error',
+            'Internal error in Cassandra table storage backend'));
     }
 
     delete(rb, req) {
@@ -135,21 +163,32 @@ class RBCassandra {
             // deleted
             status: 204
         })
-        .catch((e) => ({
-            status: 500,
+        .catch(errorResponse(req, 'delete_error',
+            'Internal error in Cassandra table storage backend'));
+    }
 
-            body: {
-                type: 'delete_error',
-                title: 'Internal error in Cassandra table storage backend',
-                stack: e.stack,
-                err: e,
-                req: {
-                    uri: req.uri,
-                    headers: req.headers,
-                    body: req.body && JSON.stringify(req.body).slice(0, 200)
-                }
-            }
-        }));
+    // Perform several updates and deletes in one CQL batch
+    batch(rb, req) {
+        const domain = req.params.domain;
+        return this.store.batch(domain, req.body)
+        .then((res) => ({
+            status: 200,
+            body: res
+        }))
+        .catch(errorResponse(req, 'batch_error',
+            'Internal error in Cassandra table storage backend'));
+    }
+
+    // Perform several updates and deletes as a transaction
+    transaction(rb, req) {
+        const domain = req.params.domain;
+        return this.store.transaction(domain, req.body)
+        .then((res) => ({
+            status: 200,
+            body: res
+        }))
+        .catch(errorResponse(req, 'transaction_error',
+            'Internal error in Cassandra table storage backend'));
     }
 
     dropTable(rb, req) {
@@ -199,6 +238,131 @@ class RBCassandra {
         }));
     }
 
+    // List the tables of the domain's storage group
+    listTables(rb, req) {
+        const domain = req.params.domain;
+        const query = req.query || {};
+        return this.store.listDomainTables(domain, {
+            limit: query.limit && parseInt(query.limit, 10),
+            next: query.next
+        })
+        .then((res) => ({
+            status: 200,
+            body: res
+        }))
+        .catch(errorResponse(req, 'table_listing_error',
+            'Internal error listing tables in Cassandra storage backend'));
+    }
+
+    // Stream the rows of a table as newline-delimited JSON records
+    exportTable(rb, req) {
+        const domain = req.params.domain;
+        const query = req.query || {};
+        if (query.storage_group !== undefined) {
+            // Would expose the rows of the other domains of the storage group
+            return P.resolve({
+                status: 400,
+                body: {
+                    type: 'bad_request',
+                    title: 'Storage group exports are only supported by ' +
+                        'maintenance/export_table.js'
+                }
+            });
+        }
+        const body = new stream.PassThrough();
+        return new P((resolve, reject) => {
+            let started = false;
+            const writeLine = (record) => {
+                if (!body.write(`${JSON.stringify(record)}\n`)) {
+                    return new P((drained) => body.once('drain', drained));
+                }
+            };
+            this.store.exportTable(domain, {
+                table: req.params.table,
+                withTTL: query.withTTL === 'true',
+                next: query.next
+            }, (record) => {
+                if (!started) {
+                    // Respond once the table was found
+                    started = true;
+                    resolve({
+                        status: 200,
+                        headers: {
+                            'content-type': 'application/x-ndjson'
+                        },
+                        body
+                    });
+                }
+                return writeLine(record);
+            })
+            .then(() => body.end(), (e) => {
+                if (!started) {
+                    return reject(e);
+                }
+                // Resume from the last page record
+                this.log('error/cassandra/export', e);
+                body.end(`${JSON.stringify({
+                    type: 'error',
+                    title: 'Export interrupted',
+                    status: e.status || 500
+                })}\n`);
+            });
+        })
+        .catch(errorResponse(req, 'export_error',
+            'Internal error exporting a table in Cassandra storage backend'));
+    }
+
+    // Import newline-delimited JSON rows, such as the records of an export
+    importTable(rb, req) {
+        const domain = req.params.domain;
+        const query = req.query || {};
+        if (query.storage_group !== undefined) {
+            // Would write rows into the other domains of the storage group
+            return P.resolve({
+                status: 400,
+                body: {
+                    type: 'bad_request',
+                    title: 'Storage group imports are only supported by ' +
+                        'maintenance/import_table.js'
+                }
+            });
+        }
+        let input = req.body;
+        if (!input || typeof input.pipe !== 'function') {
+            if (input && !Buffer.isBuffer(input) && typeof input !== 'string') {
+                // A single row, parsed as JSON
+                input = JSON.stringify(input);
+            }
+            input = new stream.PassThrough().end(input || '');
+        }
+        return this.store.importTable(domain, {
+            table: req.params.table,
+            checkpoint: query.checkpoint
+        }, input)
+        .then((res) => ({
+            status: 200,
+            body: res
+        }))
+        .catch(errorResponse(req, 'import_error',
+            'Internal error importing a table in Cassandra storage backend'));
+    }
+
+    // Split a table into token ranges, to be scanned in parallel
+    splitTable(rb, req) {
+        const domain = req.params.domain;
+        const query = req.query || {};
+        return this.store.splitTable(domain, {
+            table: req.params.table,
+            splits: Number(query.splits)
+        })
+        .then((res) => ({
+            status: 200,
+            body: res
+        }))
+        .catch(errorResponse(req, 'split_error',
+            'Internal error splitting a table in Cassandra storage backend'));
+    }
+
     /*
      * Setup / startup
      *
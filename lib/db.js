@@ -6,9 +6,30 @@ const extend = require('extend');
 const dbu = require('./dbutils');
 const cassID = dbu.cassID;
 const SchemaMigrator = require('./schemaMigration');
+const Transactions = require('./transactions');
+const DependentUpdates = require('./dependentUpdates');
+const Registry = require('./registry');
+const DomainMoves = require('./domainMoves');
+const TableExport = require('./tableExport');
+const TableImport = require('./tableImport');
 
-/** @const */
-const validTextConsistencies = { all: 1, localOne: 1, localQuorum: 1 };
+/**
+ * Default interval of the refresh of cached schemas, in milliseconds
+ * @const
+ */
+const defaultSchemaRefreshInterval = 10000;
+
+/**
+ * Number of primary table rows read concurrently to check index hits
+ * @const
+ */
+const indexCheckConcurrency = 10;
+
+/**
+ * Number of registry entries read per page when iterating over all tables
+ * @const
+ */
+const registryPageSize = 100;
 
 /**
  * Wrap common internal request state
@@ -20,6 +41,7 @@ class InternalRequest {
         this.keyspace = opts.keyspace;
         this.query = opts.query || null;
         this.consistency = opts.consistency;
+        this.serialConsistency = opts.serialConsistency;
         this.schema = opts.schema || null;
         this.columnfamily = opts.columnfamily || 'data';
         this.ttl = opts.ttl || null;
@@ -45,8 +67,22 @@ class DB {
         this.conf = options.conf;
         this.log = options.log;
 
-        this.defaultConsistency = cass.types.consistencies[this.conf.defaultConsistency] ||
-            cass.types.consistencies.localOne;
+        // The default applies to reads and writes alike
+        const defaultConsistency = this.conf.defaultConsistency || 'localOne';
+        ['read', 'write'].forEach((kind) => {
+            try {
+                dbu.consistencyLevel(defaultConsistency, kind);
+            } catch (e) {
+                throw new Error(`Invalid defaultConsistency ${defaultConsistency}`);
+            }
+        });
+        this.defaultConsistency = cass.types.consistencies[defaultConsistency];
+
+        // Paging tokens are signed with the salt_key, and optionally expire
+        this.pageTokenOptions = {
+            key: this.conf.salt_key,
+            expiry: this.conf.next_token_expiry
+        };
 
         // cassandra client
         this.client = client;
@@ -75,6 +111,29 @@ class DB {
             ]
         });
         this.infoSchemaInfo = dbu.makeSchemaInfo(this.infoSchema, true);
+
+        // Log of the dependent updates of conditional puts
+        this.logSchema = dbu.validateAndNormalizeSchema({
+            table: 'log',
+            attributes: {
+                tid: 'timeuuid',
+                domain: 'string',
+                applied: 'boolean',
+                body: 'json'
+            },
+            index: [
+                { attribute: 'tid', type: 'hash' }
+            ]
+        });
+        this.logSchemaInfo = dbu.makeSchemaInfo(this.logSchema, true);
+
+        this.transactions = new Transactions(this, options);
+        this.dependentUpdates = new DependentUpdates(this, options);
+        this.registry = new Registry(this, options);
+        this.domainMoves = new DomainMoves(this, options);
+        this.tableExport = new TableExport(this, options);
+        this.tableImport = new TableImport(this, options);
+        this.schemaRefreshTimer = null;
     }
 
     _initCaches() {
@@ -87,28 +146,28 @@ class DB {
     /**
      * Set up internal request-related information and wrap it into an
      * InternalRequest instance.
-     * @param  {string}   domain            in dot notation
+     * @param  {string}   domain            in dot notation, or the name of a
+     *                                      storage group
      * @param  {string}   table             logical table name
      * @param  {Object}   query             query object
      * @param  {Function} [resolveKeyspace] keyspace name resolver
-     * @param  {Object}   [consistency]     consistency level
+     * @param  {boolean}  [write]           whether the request is a write,
+     *                                      which selects the default
+     *                                      consistency
      * @return {Object}
      */
     _makeInternalRequest(domain,
                          table,
                          query,
                          resolveKeyspace = this.keyspaceName.bind(this),
-                         consistency = this.defaultConsistency) {
+                         write = false) {
         const keyspace = resolveKeyspace(domain, table);
-        if (query.consistency && query.consistency in validTextConsistencies) {
-            consistency = cass.types.consistencies[query.consistency];
-        }
         const opts = {
             domain,
             table,
             keyspace,
             query,
-            consistency,
+            consistency: this._defaultConsistency(domain, write),
             columnfamily: 'data',
             schema: this.schemaCache[keyspace]
         };
@@ -117,11 +176,33 @@ class DB {
             delete query.attributes._ttl;
         }
         const req = new InternalRequest(opts);
-        if (req.schema) {
-            return P.resolve(req);
-        } else {
-            return this._fetchSchema(req);
+        return (req.schema ? P.resolve(req) : this._fetchSchema(req))
+        .then((schemaReq) => this._setConsistency(schemaReq, write));
+    }
+
+    /**
+     * Sets the consistency levels of a request to those of its query, or
+     * else to the defaults declared in the table's schema options. Otherwise,
+     * the default of the storage group applies.
+     * @param  {InternalRequest} req
+     * @param  {boolean}         write whether the request is a write
+     * @return {InternalRequest}
+     * @throws {HTTPError} 400 for unsupported consistency levels
+     */
+    _setConsistency(req, write) {
+        const query = req.query || {};
+        const options = req.schema && req.schema.options || {};
+        const kind = write ? 'write' : 'read';
+        const name = query.consistency || options[`${kind}_consistency`];
+        if (name) {
+            req.consistency = dbu.consistencyLevel(name, kind);
         }
+        // Applies to the condition checks of conditional writes
+        const serialName = query.serialConsistency || options.serial_consistency;
+        if (serialName) {
+            req.serialConsistency = dbu.consistencyLevel(serialName, 'serial');
+        }
+        return req;
     }
 
     /**
@@ -171,6 +252,74 @@ class DB {
         });
     }
 
+    /**
+     * Starts the periodic refresh of cached schemas, which picks up schema
+     * migrations performed by other processes.
+     */
+    startSchemaRefresh() {
+        const interval = this.conf.schema_refresh_interval === undefined ?
+            defaultSchemaRefreshInterval : this.conf.schema_refresh_interval;
+        if (!interval || this.schemaRefreshTimer) {
+            return;
+        }
+        this.schemaRefreshTimer = setInterval(() => {
+            this.refreshSchemas()
+            .catch((e) => this.log('error/cassandra/schema_refresh', e));
+        }, interval);
+        this.schemaRefreshTimer.unref();
+    }
+
+    stopSchemaRefresh() {
+        clearInterval(this.schemaRefreshTimer);
+        this.schemaRefreshTimer = null;
+    }
+
+    /**
+     * Stops the background jobs, and closes the connection to the storage.
+     * @return {Promise}
+     */
+    close() {
+        this.stopSchemaRefresh();
+        this.transactions.stopCleanup();
+        this.dependentUpdates.stopReplay();
+        this.domainMoves.stopRefresh();
+        return this._disconnect();
+    }
+
+    _disconnect() {
+        return this.client.shutdown();
+    }
+
+    /**
+     * Re-reads the stored schemas of all cached keyspaces. Schemas changed
+     * by other processes replace the cached ones, and keyspaces dropped by
+     * other processes are evicted from the cache.
+     * @return {Promise}
+     */
+    refreshSchemas() {
+        const keyspaces = Object.keys(this.schemaCache)
+            .filter((keyspace) => this.schemaCache[keyspace]);
+        return P.each(keyspaces, (keyspace) => {
+            const cached = this.schemaCache[keyspace];
+            const req = new InternalRequest({
+                keyspace,
+                consistency: this.defaultConsistency
+            });
+            return this._fetchSchema(req)
+            .then((res) => {
+                if (!res.schema) {
+                    this.schemaCache[keyspace] = null;
+                }
+                if (!res.schema || res.schema.hash !== cached.hash) {
+                    this.log('warn/cassandra/schema_refresh', {
+                        message: 'Schema changed by another process',
+                        keyspace
+                    });
+                }
+            });
+        });
+    }
+
     /**
      * Derive a valid keyspace name from a random bucket name. Try to use valid
      * chars from the requested name as far as possible, but fall back to a sha1
@@ -207,11 +356,49 @@ class DB {
     }
 
     /**
-     * Finds the storage group for a given domain.
+     * Finds a storage group by name.
+     * @param  {string} name the group's name
+     * @return {Object|undefined} the group object
+     */
+    _storageGroup(name) {
+        return this.storageGroups.find((group) => group.name === name);
+    }
+
+    /**
+     * Returns the default read or write consistency of a domain, as
+     * configured for its storage group.
+     * @param  {string}  domain  in dot notation, or the name of a storage
+     *                           group
+     * @param  {boolean} [write] whether to return the write consistency
+     * @return {number} the consistency level
+     */
+    _defaultConsistency(domain, write) {
+        const group = this._storageGroup(domain) || this._resolveStorageGroup(domain);
+        const consistency = group.consistencies &&
+            group.consistencies[write ? 'write' : 'read'];
+        return consistency !== undefined ? consistency : this.defaultConsistency;
+    }
+
+    /**
+     * Finds the storage group for a given domain. Domains being moved
+     * resolve to the group their tables are read from.
      * @param  {string} domain  the domain's name
      * @return {Object}         the group object matching the domain
      */
     _resolveStorageGroup(domain) {
+        const moved = this.domainMoves.readGroup(domain);
+        if (moved) {
+            return this._storageGroup(moved) || { name: moved };
+        }
+        return this._configuredStorageGroup(domain);
+    }
+
+    /**
+     * Finds the storage group configured for a given domain.
+     * @param  {string} domain  the domain's name
+     * @return {Object}         the group object matching the domain
+     */
+    _configuredStorageGroup(domain) {
         let group = this.storageGroupsCache[domain];
         let idx;
         if (group) {
@@ -244,7 +431,20 @@ class DB {
     get(domain, query) {
         return this._makeInternalRequest(domain, query.table, query)
         .then((req) => {
-            const options = query.withTTL ? { withTTL: true } : undefined;
+            if (req.schema) {
+                // Tables can override the maximum page size of the module
+                const tableOptions = req.schema.options || {};
+                const maxLimit = tableOptions.max_limit || this.conf.maxLimit;
+                dbu.validateLimits(query, maxLimit);
+                if (maxLimit && !query.limit && !query.maxResults) {
+                    // Page through reads that could exceed the maximum
+                    query.limit = Math.min(this.conf.defaultLimit || maxLimit, maxLimit);
+                }
+            }
+            const options = {
+                withTTL: !!query.withTTL,
+                withWriteTime: !!query.withWriteTime
+            };
             return this._getRaw(req, options)
             .then((res) => {
                 // Apply value conversions
@@ -266,11 +466,8 @@ class DB {
             this.log('error/cassandra/no_iKeyMap', req.schema);
         }
 
-        // Index queries are currently handled in buildGetQuery. See
-        // https://phabricator.wikimedia.org/T78722 for secondary index TODOs.
-        // if (req.index) {
-        //    return this._getSecondaryIndex(keyspace, req, consistency, table, buildResult);
-        // }
+        // Secondary index queries are resolved to the index column family
+        // in buildGetQuery.
 
         // Paging request:
         const cassOpts = { consistency: req.consistency, prepare: true };
@@ -279,20 +476,49 @@ class DB {
             cassOpts.fetchSize = req.query.limit;
 
             if (req.query.next) {
-                cassOpts.pageState = new Buffer(req.query.next, 'base64');
+                cassOpts.pageState = dbu.decodePageToken(req.query.next, req,
+                    this.pageTokenOptions);
             }
         }
 
-        const buildResult = dbu.buildGetQuery(req, options);
+        // Index hits are checked against the rows of the primary table, which
+        // requires their key attributes
+        const checkHits = req.query.index && !req.query.distinct;
+        if (checkHits) {
+            // The projection is applied to the checked hits, so validate it
+            // as the index read would
+            dbu.validateProjection(req.query, dbu.indexSchemaInfo(req.schema, req.query.index));
+        }
+        const readReq = checkHits && req.query.proj ?
+            req.extend({ query: Object.assign({}, req.query, { proj: undefined }) }) : req;
+        const buildResult = dbu.buildGetQuery(readReq, options);
+        if (buildResult.range && this.client.metadata.tokenizer) {
+            // Let the token-aware policy pick a replica of the range, which
+            // it looks up in the keyspace of the query
+            cassOpts.routingKey = this.client.metadata.newToken(buildResult.range.end.toString());
+            cassOpts.keyspace = req.keyspace;
+        }
         return this.client.execute(buildResult.cql, buildResult.params, cassOpts)
+        .then((result) => {
+            if (!checkHits) {
+                return result;
+            }
+            return this._checkIndexHits(req, result.rows)
+            .then((rows) => Object.assign({}, result, { rows }));
+        })
         .then((result) => {
             const rows = result.rows;
             // Decorate the row result with the _ttl attribute.
             if (options.withTTL) {
                 rows.forEach(dbu.assignMaxTTL);
             }
+            // Decorate the row result with the _writetime attribute.
+            if (options.withWriteTime) {
+                rows.forEach(dbu.assignMaxWriteTime);
+            }
             if (result.meta && result.meta.pageState) {
-                const token = result.meta.pageState.toString('base64');
+                const token = dbu.encodePageToken(result.meta.pageState, req,
+                    this.pageTokenOptions);
                 return {
                     items: rows,
                     next: token
@@ -305,59 +531,551 @@ class DB {
         });
     }
 
+    /**
+     * Drops the hits of an index query that don't match the current row of
+     * the primary table, and applies the projection of the query. Index
+     * maintenance reads a row before replacing its index entry, so that
+     * concurrent writes of a row can leave stale entries behind.
+     * @param  {InternalRequest} req  the index query
+     * @param  {Array}           rows the raw index entries
+     * @return {Promise<Array>} the raw entries of current rows
+     */
+    _checkIndexHits(req, rows) {
+        const idxInfo = dbu.indexSchemaInfo(req.schema, req.query.index);
+        const keys = req.schema.iKeys.filter((key) => key !== '_domain');
+        const entries = dbu.convertRows(rows, idxInfo);
+        const proj = req.query.proj && [].concat(req.query.proj);
+        return P.filter(rows, (entry, i) => {
+            const attributes = {};
+            keys.forEach((key) => {
+                attributes[key] = entries[i][key];
+            });
+            const queryInfo = dbu.buildGetQuery(req.extend({ query: { attributes } }));
+            return this.client.execute(queryInfo.cql, queryInfo.params,
+                { consistency: req.consistency, prepare: true })
+            .then((res) => {
+                const row = res.rows[0];
+                if (!row || !dbu.isIndexEntryOf(idxInfo, entry, row)) {
+                    return false;
+                }
+                // Projected attributes are read from the row as well
+                Object.keys(idxInfo.attributes).forEach((att) => {
+                    if (idxInfo.iKeys.indexOf(att) === -1) {
+                        entry[att] = row[att];
+                    }
+                });
+                return true;
+            });
+        }, { concurrency: indexCheckConcurrency })
+        .map((entry) => {
+            if (!proj) {
+                return entry;
+            }
+            const projected = {};
+            Object.keys(entry).forEach((att) => {
+                if (proj.indexOf(att.replace(/^_(ttl|writetime)_/, '')) !== -1) {
+                    projected[att] = entry[att];
+                }
+            });
+            return projected;
+        });
+    }
+
+    /**
+     * Creates a request against an internal column family.
+     * @param  {string} keyspace
+     * @param  {string} columnfamily
+     * @param  {Object} schemaInfo   the column family's schema info
+     * @param  {Object} query
+     * @return {InternalRequest}
+     */
+    _internalRequest(keyspace, columnfamily, schemaInfo, query) {
+        return new InternalRequest({
+            keyspace,
+            columnfamily,
+            schema: schemaInfo,
+            query,
+            consistency: this.defaultConsistency
+        });
+    }
+
+    /**
+     * Performs a write, and repeats it in the other storage group of a
+     * domain that is being moved.
+     * @param  {string}   domain in dot notation
+     * @param  {Object}   query  the write query
+     * @param  {Function} write  performs the write, given a query and an
+     *                           optional keyspace name resolver
+     * @return {Promise} the result of the write
+     */
+    _mirrored(domain, query, write) {
+        const group = this.domainMoves.mirrorGroup(domain);
+        if (!group) {
+            return write(query);
+        }
+        // Copy the query before the write normalizes it. Conditions were
+        // checked by the first write, and dependent updates are mirrored
+        // when they are applied.
+        const mirrorQuery = extend(true, {}, query);
+        delete mirrorQuery.if;
+        delete mirrorQuery.dependents;
+        return write(query)
+        .tap(() => write(mirrorQuery,
+            (mirrorDomain, table) => this._keyspaceNameForStorageGroup(group, table)));
+    }
+
     put(domain, query) {
-        return this._makeInternalRequest(domain, query.table, query)
-        .bind(this)
-        .then(this._put);
+        return this._mirrored(domain, query, (writeQuery, resolveKeyspace) =>
+            this._makeInternalRequest(domain, writeQuery.table, writeQuery, resolveKeyspace,
+                true)
+            .bind(this)
+            .then(this._put));
+    }
+
+    /**
+     * Returns the driver options of a request's statements.
+     * @param  {InternalRequest} req
+     * @return {Object}
+     */
+    _queryOptions(req) {
+        const options = { consistency: req.consistency, prepare: true };
+        if (req.serialConsistency) {
+            options.serialConsistency = req.serialConsistency;
+        }
+        return options;
     }
 
     _put(req) {
         if (!req.schema) {
             throw new Error('Table not found!');
         }
-        const queryOptions = { consistency: req.consistency, prepare: true };
-        const queryInfo = dbu.buildPutQuery(req);
-
-        return this.client.execute(queryInfo.cql, queryInfo.params, queryOptions).thenReturn({
-            // XXX: check if condition failed!
+        if (req.query.dependents) {
+            return this.dependentUpdates.run(req, (primaryReq) => this._put(primaryReq));
+        }
+        const queryOptions = this._queryOptions(req);
+        const hasValues = Object.keys(req.query.attributes || {}).some((key) =>
+            !req.schema.iKeyMap[key]);
+        return this._guarded(req, hasValues, (guardedReq) => this._putQueries(guardedReq)
+        .then((queries) => this.client.execute(queries[0].cql, queries[0].params, queryOptions)
+            .then((result) => {
+                this._checkApplied(guardedReq, result);
+                // Only update secondary indexes once the primary write was applied
+                return P.each(queries.slice(1), (queryInfo) =>
+                    this.client.execute(queryInfo.cql, queryInfo.params, queryOptions));
+            })))
+        .thenReturn({
             status: 201
         });
     }
 
+    /**
+     * Performs a write to a table taking part in transactions, making it
+     * conditional on the partition not being locked by a transaction. Locks
+     * held by abandoned transactions are cleaned up before retrying once.
+     * @param  {InternalRequest} req       the write request
+     * @param  {boolean}         canGuard  whether the write can be made
+     *                                     conditional
+     * @param  {Function}        write     performs the write for a request
+     * @param  {string}          [holder]  a transaction whose lock doesn't
+     *                                     block the write
+     * @return {Promise}
+     */
+    _guarded(req, canGuard, write, holder) {
+        const query = req.query;
+        if (req.columnfamily !== 'data' || !req.schema || !req.schema.transactional) {
+            return P.try(() => write(req));
+        }
+        let attempt;
+        if (canGuard && (!query.if || query.if.constructor === Object) && !query.timestamp) {
+            const guardedReq = req.extend({
+                query: Object.assign({}, query, {
+                    if: Object.assign({}, query.if, { transactiontid: null })
+                })
+            });
+            attempt = () => write(guardedReq);
+        } else {
+            // Conditional writes can't set their timestamp, and neither
+            // 'exists' conditions nor range deletes can be combined with the
+            // lock condition, so check the lock before writing instead.
+            attempt = () => this._checkLock(req, holder).then(() => write(req));
+        }
+        return P.try(attempt)
+        .catch((e) => {
+            if (!e.body || e.body.type !== 'locked') {
+                throw e;
+            }
+            const member = { table: req.table, key: dbu.partitionKey(req) };
+            return this.transactions.recover(req.domain, e.body.tid, member)
+            .then((released) => {
+                if (!released) {
+                    throw e;
+                }
+                return attempt();
+            });
+        });
+    }
+
+    /**
+     * Checks that the partition of a write is not locked by a transaction.
+     * Unlike the condition of guarded writes, the check is not atomic with
+     * the write.
+     * @param  {InternalRequest} req      the write request
+     * @param  {string}          [holder] a transaction allowed to hold the lock
+     * @return {Promise}
+     * @throws {HTTPError} 409 if another transaction holds the lock
+     */
+    _checkLock(req, holder) {
+        const key = dbu.partitionKey(req);
+        key._domain = req.domain;
+        const condResult = dbu.buildCondition(key, req.schema);
+        const cql = `select "transactiontid" from ${cassID(req.keyspace)}.data` +
+            ` where ${condResult.cql} limit 1`;
+        // Serial reads see the locks of transactions in progress
+        const consistency = req.serialConsistency || cass.types.consistencies.serial;
+        return this.client.execute(cql, condResult.params, { consistency, prepare: true })
+        .then((result) => {
+            const row = result.rows[0];
+            if (row && row.transactiontid && row.transactiontid.toString() !== holder) {
+                throw this._locked(req, row.transactiontid.toString());
+            }
+        });
+    }
+
+    _locked(req, tid) {
+        return new dbu.HTTPError({
+            status: 409,
+            body: {
+                type: 'locked',
+                title: 'The row is locked by a transaction in progress',
+                table: req.table,
+                tid
+            }
+        });
+    }
+
+    /**
+     * Checks the outcome of a conditional (lightweight transaction) write.
+     * @param {InternalRequest} req    the write request
+     * @param {Object}          result the driver result of the write
+     * @throws {HTTPError} 412 with the current values of the conflicting row
+     *                     if the condition was not met
+     */
+    _checkApplied(req, result) {
+        const row = result && result.rows && result.rows[0];
+        if (!row || row['[applied]'] !== false) {
+            return;
+        }
+        const current = dbu.convertRows([row], req.schema)[0];
+        delete current['[applied]'];
+        if (req.schema.transactional && current.transactiontid) {
+            throw this._locked(req, current.transactiontid);
+        }
+        throw new dbu.HTTPError({
+            status: 412,
+            body: {
+                type: 'precondition_failed',
+                title: 'The write condition was not met',
+                table: req.table,
+                current
+            }
+        });
+    }
+
+    /**
+     * Builds the statements implementing a put, in execution order. The
+     * primary entry is created before adding secondary index entries.
+     * @param  {InternalRequest} req the put request
+     * @return {Promise<Array>} list of queryInfo objects
+     */
+    _putQueries(req) {
+        if (!this._hasSecondaryIndexes(req)) {
+            return P.try(() => [dbu.buildPutQuery(req)]);
+        }
+        // Fetch the current row before it is overwritten, so that stale
+        // index entries can be removed.
+        return this._getIndexedRows(req)
+        .then((oldRows) => {
+            const indexQueries = dbu.buildIndexUpdateQueries(req, oldRows);
+            return [dbu.buildPutQuery(req)].concat(indexQueries);
+        });
+    }
+
     delete(domain, query) {
-        return this._makeInternalRequest(domain, query.table, query)
-        .bind(this)
-        .then(this._delete);
+        return this._mirrored(domain, query, (writeQuery, resolveKeyspace) =>
+            this._makeInternalRequest(domain, writeQuery.table, writeQuery, resolveKeyspace,
+                true)
+            .bind(this)
+            .then(this._delete));
     }
 
     _delete(req) {
-        const queryOptions = { consistency: req.consistency, prepare: true };
-        const queryInfo = dbu.buildDeleteQuery(req);
-        return this.client.execute(queryInfo.cql, queryInfo.params, queryOptions).thenReturn({
+        const queryOptions = this._queryOptions(req);
+        const execute = (queryInfo) =>
+            this.client.execute(queryInfo.cql, queryInfo.params, queryOptions);
+        // Only deletes of a single row can be conditional
+        const attributes = req.query.attributes || {};
+        const singleRow = req.schema && req.schema.iKeys.every((key) => key === '_domain' ||
+            (attributes[key] !== undefined && attributes[key] !== null &&
+                attributes[key].constructor !== Object));
+        return this._guarded(req, singleRow, (guardedReq) => this._deleteQueries(guardedReq)
+        .then((queries) => {
+            if (!guardedReq.query.if) {
+                return P.each(queries, execute);
+            }
+            // Conditional delete: only remove secondary index entries once
+            // the primary delete was applied.
+            const primary = queries[queries.length - 1];
+            return execute(primary)
+            .then((result) => {
+                this._checkApplied(guardedReq, result);
+                return P.each(queries.slice(0, -1), execute);
+            });
+        }))
+        .thenReturn({
             status: 204
         });
     }
 
+    /**
+     * Builds the statements implementing a delete, in execution order.
+     * Secondary index entries are removed before deleting the primary entry.
+     * @param  {InternalRequest} req the delete request
+     * @return {Promise<Array>} list of queryInfo objects
+     */
+    _deleteQueries(req) {
+        return P.try(() => dbu.buildDeleteQuery(req))
+        .then((deleteQuery) => {
+            if (!this._hasSecondaryIndexes(req)) {
+                return [deleteQuery];
+            }
+            return this._getIndexedRows(req)
+            .then((oldRows) => dbu.buildIndexUpdateQueries(req, oldRows, true)
+                .concat([deleteQuery]));
+        });
+    }
+
+    /**
+     * Performs a list of put and delete operations, possibly spanning
+     * several tables of a domain, as a single CQL batch.
+     * @param  {string} domain in dot notation
+     * @param  {Object} query  batch query, with an `operations` array of put
+     *                         and delete queries, each naming its `method`
+     *                         and `table`, and an optional `mode` of
+     *                         'logged' (default) or 'unlogged'.
+     * @param  {string} [tid]  the transaction performing the batch, whose
+     *                         locks don't block its operations
+     * @return {Promise<Object>} result, with one item per operation
+     */
+    batch(domain, query, tid) {
+        return this._mirrored(domain, query, (writeQuery, resolveKeyspace) =>
+            this._batch(domain, writeQuery, resolveKeyspace, tid));
+    }
+
+    /**
+     * Performs a batch.
+     * @param  {string}   domain            in dot notation
+     * @param  {Object}   query             batch query
+     * @param  {Function} [resolveKeyspace] keyspace name resolver
+     * @param  {string}   [tid]             the transaction performing the batch
+     * @return {Promise<Object>} result, with one item per operation
+     */
+    _batch(domain, query, resolveKeyspace, tid) {
+        const operations = query.operations;
+        const mode = query.mode || 'logged';
+        const badRequest = (title) => new dbu.HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title
+            }
+        });
+        if (!Array.isArray(operations) || !operations.length) {
+            return P.reject(badRequest('A batch requires a non-empty operations array'));
+        }
+        if (mode !== 'logged' && mode !== 'unlogged') {
+            return P.reject(badRequest(`Invalid batch mode ${mode}`));
+        }
+        let counterOps = 0;
+
+        return P.map(operations, (op, i) => {
+            if (!op || (op.method !== 'put' && op.method !== 'delete')) {
+                throw badRequest(`Invalid method in batch operation ${i}`);
+            }
+            if (op.if) {
+                // Conditional batches are restricted to a single partition
+                throw badRequest(`Conditional batch operation ${i} is not supported`);
+            }
+            return this._makeInternalRequest(domain, op.table, op, resolveKeyspace, true)
+            .then((req) => {
+                if (!req.schema) {
+                    throw badRequest(`Table ${op.table} not found in batch operation ${i}`);
+                }
+                if (req.schema.counters && op.method !== 'put') {
+                    throw badRequest(`Counter table delete in batch operation ${i} ` +
+                        'is not supported');
+                }
+                counterOps += req.schema.counters ? 1 : 0;
+                try {
+                    // Validate without modifying the request
+                    const checkReq = req.extend({ query: extend(true, {}, req.query) });
+                    if (op.method === 'put') {
+                        dbu.buildPutQuery(checkReq);
+                    } else {
+                        dbu.buildDeleteQuery(checkReq);
+                    }
+                } catch (e) {
+                    if (e instanceof dbu.HTTPError) {
+                        throw e;
+                    }
+                    throw badRequest(`Invalid batch operation ${i}: ${e.message}`);
+                }
+                // Batched writes can't be conditional, so check the locks of
+                // transactions first
+                return this._guarded(req, false, (guardedReq) => op.method === 'put' ?
+                    this._putQueries(guardedReq) : this._deleteQueries(guardedReq), tid);
+            });
+        })
+        .then((queryLists) => {
+            // Cassandra requires counter updates to be batched separately
+            if (counterOps && counterOps !== operations.length) {
+                throw badRequest('Counter updates cannot be batched with other operations');
+            }
+            const queries = [];
+            queryLists.forEach((list) => list.forEach((queryInfo) => {
+                queries.push({ query: queryInfo.cql, params: queryInfo.params });
+            }));
+            // Batches span tables, so the defaults of the tables don't apply
+            const consistency = query.consistency ?
+                dbu.consistencyLevel(query.consistency, 'write') :
+                this._defaultConsistency(domain, true);
+            return this.client.batch(queries, {
+                consistency,
+                logged: mode === 'logged',
+                counter: counterOps > 0,
+                prepare: true
+            });
+        })
+        .then(() => ({
+            items: operations.map((op) => ({
+                table: op.table,
+                status: op.method === 'put' ? 201 : 204
+            }))
+        }));
+    }
+
+    /**
+     * Performs a list of put and delete operations, possibly spanning
+     * several tables of a domain, as a transaction.
+     * @param  {string} domain in dot notation
+     * @param  {Object} query  transaction query, with an `operations` array
+     *                         of put and delete queries, each naming its
+     *                         `method` and `table`
+     * @return {Promise<Object>} result, with the transaction `tid` and one
+     *                         item per operation
+     */
+    transaction(domain, query) {
+        return this.transactions.run(domain, query);
+    }
+
+    // Internal column families, such as the registry's, can have indexes too
+    _hasSecondaryIndexes(req) {
+        return req.schema && req.schema.secondaryIndexInfo &&
+            Object.keys(req.schema.secondaryIndexInfo).length > 0;
+    }
+
+    /**
+     * Fetches the raw rows of the primary table affected by a put or delete
+     * request, as needed for secondary index maintenance.
+     * @param  {InternalRequest} req the put or delete request
+     * @return {Promise<Array>} the raw rows
+     */
+    _getIndexedRows(req) {
+        const attributes = {};
+        Object.keys(req.query.attributes || {}).forEach((key) => {
+            if (req.schema.iKeyMap[key] && key !== '_domain') {
+                attributes[key] = req.query.attributes[key];
+            }
+        });
+        const getReq = req.extend({ query: { attributes } });
+        const queryInfo = dbu.buildGetQuery(getReq);
+        return this.client.execute(queryInfo.cql, queryInfo.params,
+            { consistency: req.consistency, prepare: true })
+        .then((res) => res.rows);
+    }
+
     /**
      * Evaluate, and if neccessary, perform a migration from one back-end version
      * to another.
      * @param  {Object} req  the current request object
      * @param  {Object} from schema info object representing current state
+     * @param  {Object} to   schema info object representing the new state
      * @return {boolean} a promise that resolves to true if a back-end migration
      *         occurred.
      */
-    _migrateBackend(req, from) {
+    _migrateBackend(req, from, to) {
         // Perform a backend migration, as-needed.
         /* eslint-disable indent */
         switch (from._backend_version) {
             case 0:
-                return this._dropDomainIndex(req);
+                return this._dropDomainIndex(req)
+                .then(() => this._createTable(req, this.logSchemaInfo, 'log'))
+                .then(() => this._buildIndexes(req, from, to));
+            case 1:
+            case 2:
+                return this._createTable(req, this.logSchemaInfo, 'log')
+                .then(() => this._buildIndexes(req, from, to));
+            case 3:
+                return this._buildIndexes(req, from, to);
             default:
                 return P.resolve();
         }
         /* eslint-enable indent */
     }
 
+    /**
+     * Creates the column families of secondary indexes, and fills them with
+     * the entries of the rows in the primary table.
+     * @param  {InternalRequest} req     request on the primary table
+     * @param  {Object}          current schema info of the current table
+     * @param  {Object}          schema  schema info with the indexes
+     * @param  {Array}           [names] the indexes to build; all by default
+     * @return {Promise}
+     */
+    _buildIndexes(req, current, schema, names) {
+        const indexes = schema.secondaryIndexInfo || {};
+        names = names || Object.keys(indexes);
+        if (!names.length) {
+            return P.resolve();
+        }
+        const idxSchema = Object.assign({}, schema, { secondaryIndexInfo: {} });
+        const columns = new Set(['_domain']);
+        names.forEach((name) => {
+            idxSchema.secondaryIndexInfo[name] = indexes[name];
+            // Attributes added by the same migration don't have a column yet
+            Object.keys(indexes[name].attributes)
+            .filter((att) => current.attributes[att])
+            .forEach((att) => columns.add(att));
+        });
+        const queryOptions = { consistency: req.consistency, prepare: true };
+        return P.each(names, (name) =>
+            this._createTable(req, indexes[name], dbu.idxColumnFamily(name)))
+        .then(() => {
+            const cql = `select ${Array.from(columns).map(cassID).join(',')} ` +
+                `from ${cassID(req.keyspace)}.${cassID(req.columnfamily)}`;
+            return dbu.eachRow(this.client, cql, [], { fetchSize: 1000, retries: 3 },
+                (row) => {
+                    const rowReq = req.extend({
+                        domain: row._domain,
+                        schema: idxSchema,
+                        query: { attributes: {} }
+                    });
+                    return P.each(dbu.buildIndexUpdateQueries(rowReq, [row]),
+                        (queryInfo) => this.client.execute(queryInfo.cql, queryInfo.params,
+                            queryOptions));
+                });
+        });
+    }
+
     /**
      * Conditionally performs a table schema and/or back-end migration.
      * @param  {Object} req               the current request object
@@ -435,13 +1153,91 @@ class DB {
                 this._createTableForStorageGroup(group.name, query));
         } else {
             const groupName = this._resolveStorageGroup(domain).name;
-            return this._createTableForStorageGroup(groupName, query);
+            const mirrorGroup = this.domainMoves.mirrorGroup(domain);
+            // Copy the query before the table creation normalizes it
+            const mirrorQuery = mirrorGroup && extend(true, {}, query);
+            return this._createTableForStorageGroup(groupName, query)
+            .tap(() => mirrorGroup &&
+                this._createTableForStorageGroup(mirrorGroup, mirrorQuery));
         }
     }
 
+    /**
+     * Moves a domain to another storage group, or resumes an interrupted
+     * move. See lib/domainMoves.js.
+     * @param  {string} domain in dot notation
+     * @param  {string} group  the name of the new storage group
+     * @return {Promise<Object>} the completed move
+     */
+    moveDomain(domain, group) {
+        return this.domainMoves.move(domain, group);
+    }
+
+    /**
+     * Finishes the move of a domain, once its storage group configuration
+     * was updated.
+     * @param  {string} domain in dot notation
+     * @return {Promise}
+     */
+    finishMove(domain) {
+        return this.domainMoves.finish(domain);
+    }
+
+    /**
+     * Exports the rows of a table as a sequence of records. See
+     * lib/tableExport.js.
+     * @param  {string}   domain in dot notation
+     * @param  {Object}   query  with the `table`, and optional
+     *                           `storage_group`, `withTTL` and `next`
+     * @param  {Function} write  called with each record; can return a
+     *                           promise to delay the following records
+     * @return {Promise<number>} the number of exported rows
+     */
+    exportTable(domain, query, write) {
+        return this.tableExport.run(domain, query, write);
+    }
+
+    /**
+     * Imports newline-delimited JSON rows, such as the records of a table
+     * export, into a table. See lib/tableImport.js.
+     * @param  {string}   domain in dot notation
+     * @param  {Object}   query  with the `table`, and optional
+     *                           `storage_group` and `checkpoint`
+     * @param  {Readable} input  the rows
+     * @return {Promise<Object>} the number of imported `rows`, and of read
+     *                           `lines`
+     */
+    importTable(domain, query, input) {
+        return this.tableImport.run(domain, query, input);
+    }
+
+    /**
+     * Splits a table into token ranges of equal size, which can be scanned
+     * in parallel by passing them as the `range` of get queries, each with
+     * its own paging.
+     * @param  {string} domain in dot notation
+     * @param  {Object} query  with the `table`, and the number of `splits`
+     * @return {Promise<Object>} the opaque range descriptors, as `items`
+     */
+    splitTable(domain, query) {
+        return this._makeInternalRequest(domain, query.table, {})
+        .then((req) => {
+            if (!req.schema) {
+                throw new dbu.HTTPError({
+                    status: 404,
+                    body: {
+                        type: 'notfound',
+                        title: `Table ${query.table} not found`
+                    }
+                });
+            }
+            return { items: dbu.splitTokenRing(query.splits) };
+        });
+    }
+
     _createTableForStorageGroup(groupName, query) {
-        return this._makeInternalRequest(groupName,
-            query.table, query, this._keyspaceNameForStorageGroup.bind(this))
+        return this._makeInternalRequest(groupName, query.table, query,
+            this._keyspaceNameForStorageGroup.bind(this), true)
         .catch((err) => {
             this.log('error/cassandra/table_creation', err);
             throw err;
@@ -454,8 +1250,17 @@ class DB {
             const newSchemaInfo = dbu.makeSchemaInfo(newSchema);
 
             if (currentSchemaInfo) {
-                // Table already exists
-                return this._migrateIfNecessary(req, currentSchemaInfo, newSchema, newSchemaInfo);
+                // Table already exists. Registering it before migrating
+                // guards against migrating a colliding table, and records
+                // tables created before the registry.
+                return this.registry.register(req, currentSchemaInfo)
+                .then(() => this._migrateIfNecessary(req, currentSchemaInfo,
+                    newSchema, newSchemaInfo))
+                .tap(() => {
+                    if (currentSchemaInfo.hash !== newSchemaInfo.hash) {
+                        return this.registry.register(req, newSchemaInfo);
+                    }
+                });
             }
 
             // Cassandra does not like concurrent keyspace creation. This is
@@ -478,9 +1283,11 @@ class DB {
             const doCreateTables = () => {
                 return this._createKeyspace(req)
                 .then(() => this._createTable(req, newSchemaInfo, 'data'))
-                // TODO: create indexes here rather than implicitly in
-                // _createTable?
+                .then(() => P.each(Object.keys(newSchemaInfo.secondaryIndexInfo || {}),
+                    (name) => this._createTable(req, newSchemaInfo.secondaryIndexInfo[name],
+                        dbu.idxColumnFamily(name))))
                 .then(() => this._createTable(req, this.infoSchemaInfo, 'meta'))
+                .then(() => this._createTable(req, this.logSchemaInfo, 'log'))
                 .then(() => {
                     // Only store the schema after everything else was created
                     const putReq = req.extend({
@@ -512,7 +1319,8 @@ class DB {
 
             };
 
-            return doCreateTables();
+            return this.registry.register(req, newSchemaInfo)
+            .then(doCreateTables);
         });
     }
 
@@ -603,16 +1411,24 @@ class DB {
         });
     }
 
+    /**
+     * Creates the keyspace of a request. The replication of keyspaces created
+     * for a storage group follows the group's replication settings.
+     * @param  {InternalRequest} req with the storage group name as its
+     *                               domain, if any
+     * @return {Promise}
+     */
     _createKeyspace(req) {
+        const replication = this._createReplicationOptionsCQL(req.query.options, req.domain);
         const cql = `create keyspace if not exists ${cassID(req.keyspace)} ` +
-            `WITH REPLICATION = ${this._createReplicationOptionsCQL(req.query.options)}`;
+            `WITH REPLICATION = ${replication}`;
         return this.client.execute(cql, [],
             { consistency: req.consistency || this.defaultConsistency });
     }
 
-    _createReplicationOptionsCQL(options) {
+    _createReplicationOptionsCQL(options, groupName) {
         let cql = "{ 'class': 'NetworkTopologyStrategy'";
-        const replicas = this._replicationPolicy(options);
+        const replicas = this._replicationPolicy(options, groupName);
 
         Object.keys(replicas).forEach((dc) => {
             cql += `, '${dc}': ${replicas[dc]}`;
@@ -623,16 +1439,23 @@ class DB {
     }
 
     /**
-     * Returns the number of replicas per original request options
-     * @param {Object} [options] original request options
-     * @return {number}
+     * Returns the number of replicas per datacenter, per original request
+     * options and the replication settings of the storage group
+     * @param {Object} [options]   original request options
+     * @param {string} [groupName] the storage group of the keyspace
+     * @return {Object} datacenter -> number of replicas
      * @private
      */
-    _replicationPolicy(options) {
-        const durability = (options && options.durability === 'low') ? 1 : 3;
+    _replicationPolicy(options, groupName) {
+        const group = groupName && this._storageGroup(groupName) || {};
+        const lowDurability = options && options.durability === 'low';
         const replicas = {};
-        this.conf.datacenters.forEach((dc) => {
-            replicas[dc] = durability;
+        (group.datacenters || this.conf.datacenters).forEach((dc) => {
+            let count = group.replicas;
+            if (count && typeof count === 'object') {
+                count = count[dc];
+            }
+            replicas[dc] = lowDurability ? 1 : count || 3;
         });
         return replicas;
     }
@@ -643,15 +1466,102 @@ class DB {
             { consistency: this.defaultConsistency });
     }
 
+    // Drops a keyspace and removes it from the registry
+    _dropRegisteredTable(keyspace) {
+        return this._dropTable(keyspace)
+        .then(() => this.registry.unregister(new InternalRequest({
+            keyspace,
+            consistency: this.defaultConsistency
+        })));
+    }
+
     dropTable(domain, table) {
         if (domain === '*') {
             return P.each(this.storageGroups, (group) =>
-                this._dropTable(this._keyspaceNameForStorageGroup(group.name, table)));
+                this._dropRegisteredTable(this._keyspaceNameForStorageGroup(group.name, table)));
         } else {
-            return this._dropTable(this.keyspaceName(domain, table));
+            return this._dropRegisteredTable(this.keyspaceName(domain, table));
         }
     }
 
+    /**
+     * Lists the keyspaces backing logical tables, along with their storage
+     * group, logical table, schema hash and creation time.
+     * @param  {Object} [query] with optional `limit` and `next` paging
+     *                          parameters
+     * @return {Promise<Object>} result with `items` and, if there are more
+     *                           entries, `next`
+     */
+    listTables(query) {
+        return this.registry.list(new InternalRequest({
+            query: query || {},
+            consistency: this.defaultConsistency
+        }));
+    }
+
+    /**
+     * Calls a function with the registry entry of each keyspace backing a
+     * logical table, paging through all entries.
+     * @param  {Function} fn called with each entry; can return a promise
+     * @return {Promise}
+     */
+    _eachTable(fn) {
+        const page = (next) => this.listTables({ limit: registryPageSize, next })
+        .then((res) => P.each(res.items, fn)
+        .then(() => res.next && page(res.next)));
+        return page();
+    }
+
+    /**
+     * Lists the logical tables of a domain's storage group, along with their
+     * keyspace, schema hash, schema version, and backend and config versions.
+     * @param  {string} domain  in dot notation
+     * @param  {Object} [query] with optional `limit` and `next` paging
+     *                          parameters
+     * @return {Promise<Object>} result with `items` and, if there are more
+     *                           tables, `next`
+     */
+    listDomainTables(domain, query) {
+        const group = this._resolveStorageGroup(domain).name;
+        return this.registry.listGroup(new InternalRequest({
+            query: query || {},
+            consistency: this.defaultConsistency
+        }), group)
+        .then((res) => P.map(res.items, (entry) => this._getStoredSchema(entry.keyspace)
+        .then((schema) => ({
+            table: entry.table,
+            keyspace: entry.keyspace,
+            storage_group: entry.storage_group,
+            schema_hash: entry.schema_hash,
+            created: entry.created,
+            // Null if the keyspace was dropped concurrently
+            version: schema && schema.version,
+            backend_version: schema && schema._backend_version,
+            config_version: schema && (schema._config_version || dbu.DEFAULT_CONFIG_VERSION)
+        })))
+        .then((items) => {
+            res.items = items;
+            return res;
+        }));
+    }
+
+    /**
+     * Reads the schema stored in a keyspace.
+     * @param  {string} keyspace
+     * @return {Promise<Object|null>} the schema, or null if there is none
+     */
+    _getStoredSchema(keyspace) {
+        return this._getRaw(this._internalRequest(keyspace, 'meta', this.infoSchemaInfo,
+            { attributes: { key: 'schema' }, limit: 1 }))
+        .then((res) => res.items.length ? JSON.parse(res.items[0].value) : null)
+        .catch((e) => {
+            if (!/^Keyspace .* does not exist$|^unconfigured table/.test(e.message)) {
+                throw e;
+            }
+            return null;
+        });
+    }
+
     getTableSchema(domain, table) {
         const req = new InternalRequest({
             domain,
@@ -698,17 +1608,18 @@ class DB {
 
     /**
      * ALTERs a Cassandra keyspace to match the replication policy, (a function of the
-     * configured datacenters, and the requested durability).
-     * @param  {string} keyspace  the keyspace name
-     * @param  {Object} [options] query options from the initiating request
+     * configured datacenters and replicas, and the requested durability).
+     * @param  {string} keyspace    the keyspace name
+     * @param  {Object} [options]   query options from the initiating request
+     * @param  {string} [groupName] the storage group of the keyspace
      * @return {Object} promise  that resolves when complete
      */
-    _setReplication(keyspace, options) {
+    _setReplication(keyspace, options, groupName) {
         const cql = `ALTER KEYSPACE ${dbu.cassID(keyspace)} WITH ` +
-            `replication = ${this._createReplicationOptionsCQL(options)}`;
+            `replication = ${this._createReplicationOptionsCQL(options, groupName)}`;
         this.log('warn/cassandra/replication', {
             message: `Updating replication for ${keyspace}`,
-            replicas: this._replicationPolicy(options),
+            replicas: this._replicationPolicy(options, groupName),
             durability: options && options.durability || null
         });
         this.log('trace/alter_schema', cql);
@@ -720,16 +1631,17 @@ class DB {
 
     /**
      * Evaluates whether current keyspace replication matches the policy (a function of
-     * the configured datacenters, and the requested durability); Updates replication
-     * if necessary.
+     * the configured datacenters and replicas, and the requested durability); Updates
+     * replication if necessary.
      *
      * NOTE: All this does is ALTER the underlying Cassandra keyspace, a repair (or
      * cleanup) is still necessary.
-     * @param  {string} keyspace  the keyspace name
-     * @param  {Object} [options] query options from the initiating request
+     * @param  {string} keyspace    the keyspace name
+     * @param  {Object} [options]   query options from the initiating request
+     * @param  {string} [groupName] the storage group of the keyspace
      * @return {Object} promise that resolves when complete
      */
-    updateReplicationIfNecessary(keyspace, options) {
+    updateReplicationIfNecessary(keyspace, options, groupName) {
         // returns true if two objects have matching keys and values
         const matching = (current, expected) => {
             if (Object.keys(current).length !== Object.keys(expected).length) {
@@ -740,8 +1652,8 @@ class DB {
 
         return this._getReplication(keyspace)
         .then((current) => {
-            if (!matching(current, this._replicationPolicy(options))) {
-                return this._setReplication(keyspace, options);
+            if (!matching(current, this._replicationPolicy(options, groupName))) {
+                return this._setReplication(keyspace, options, groupName);
             }
         });
     }
@@ -749,7 +1661,8 @@ class DB {
     /**
      * Process the storage group configuration.
      * @param {Array} groups the array of group objects to read, each must contain
-     *                at least the name and domains keys
+     *                at least the name and domains keys, and may override the
+     *                datacenters, replicas and default consistencies
      * @return {Array} Array of storage group objects
      */
     _buildStorageGroups(groups) {
@@ -768,6 +1681,19 @@ class DB {
                 }
                 return domain;
             });
+            grp.consistencies = {};
+            ['read', 'write'].forEach((kind) => {
+                const name = grp[`${kind}Consistency`] || grp.defaultConsistency;
+                if (!name) {
+                    return;
+                }
+                try {
+                    grp.consistencies[kind] = dbu.consistencyLevel(name, kind);
+                } catch (e) {
+                    throw new Error(`Invalid ${kind} consistency ${name} ` +
+                        `in storage group ${grp.name}`);
+                }
+            });
             storageGroups.push(grp);
         });
         return storageGroups;
@@ -40,6 +40,138 @@ class HTTPError extends Error {
 
 dbu.HTTPError = HTTPError;
 
+/**
+ * Supported consistency levels of reads, writes and the condition checks of
+ * conditional writes
+ * @const
+ */
+const consistencyLevels = {
+    read: ['one', 'two', 'three', 'quorum', 'all', 'localOne', 'localQuorum', 'eachQuorum'],
+    write: ['any', 'one', 'two', 'three', 'quorum', 'all', 'localOne', 'localQuorum',
+        'eachQuorum'],
+    serial: ['serial', 'localSerial']
+};
+
+/**
+ * Resolves the name of a consistency level.
+ * @param  {string} name e.g. `localQuorum`
+ * @param  {string} kind `read`, `write` or `serial`
+ * @return {number} the driver's consistency level
+ * @throws {HTTPError} 400 if the level is not supported for the kind
+ */
+dbu.consistencyLevel = function consistencyLevel(name, kind) {
+    if (consistencyLevels[kind].indexOf(name) === -1) {
+        throw new HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title: `Unsupported ${kind} consistency ${name}`
+            }
+        });
+    }
+    return cass.types.consistencies[name];
+};
+
+/**
+ * Describes the read a paging token belongs to: the domain, the table, and
+ * the query apart from its page size and consistency.
+ * @param  {InternalRequest} req
+ * @return {string}
+ */
+function pageTokenBinding(req) {
+    const query = req.query;
+    // Reads add the _domain attribute, which is bound as the domain
+    const attributes = Object.assign({}, query.attributes);
+    delete attributes._domain;
+    return stableStringify({
+        domain: req.domain,
+        table: query.table || `${req.keyspace}.${req.columnfamily}`,
+        attributes,
+        index: query.index,
+        proj: query.proj,
+        order: query.order,
+        distinct: query.distinct,
+        range: query.range,
+        maxResults: query.maxResults,
+        withTTL: query.withTTL,
+        storage_group: query.storage_group
+    });
+}
+
+function signPageToken(state, expires, binding, key) {
+    if (!key) {
+        // Tokens signed with an empty key could be forged
+        throw new Error('salt_key is required to sign next tokens');
+    }
+    return crypto.createHmac('sha256', key)
+        .update(JSON.stringify([state, expires, binding]))
+        .digest('base64');
+}
+
+function invalidPageToken(title) {
+    return new HTTPError({
+        status: 400,
+        body: {
+            type: 'bad_request',
+            title
+        }
+    });
+}
+
+/**
+ * Creates the `next` token handed out for the page state of a read. The
+ * token is signed with the `salt_key`, so that it can only be used to
+ * continue the same read, and expires if an expiry is configured.
+ * @param  {Buffer}          pageState the page state of the driver
+ * @param  {InternalRequest} req       the read
+ * @param  {Object}          options   with the `key` to sign tokens with,
+ *                                     and optionally their `expiry` in
+ *                                     milliseconds
+ * @return {string}
+ */
+dbu.encodePageToken = function encodePageToken(pageState, req, options) {
+    const state = pageState.toString('base64');
+    const expires = options.expiry ? Date.now() + options.expiry : 0;
+    return Buffer.from(JSON.stringify({
+        state,
+        expires,
+        signature: signPageToken(state, expires, pageTokenBinding(req), options.key)
+    })).toString('base64');
+};
+
+/**
+ * Verifies a `next` token created by `dbu.encodePageToken`.
+ * @param  {string}          token
+ * @param  {InternalRequest} req     the read the token is passed to
+ * @param  {Object}          options as for `dbu.encodePageToken`
+ * @return {Buffer}                  the page state of the driver
+ * @throws {HTTPError} 400 if the token is invalid, was created for another
+ *                     read, or expired
+ * @throws {Error}     if no `key` is set
+ */
+dbu.decodePageToken = function decodePageToken(token, req, options) {
+    let envelope;
+    try {
+        envelope = JSON.parse(Buffer.from(String(token), 'base64').toString());
+    } catch (e) {
+        throw invalidPageToken('Invalid next token');
+    }
+    if (!envelope || typeof envelope.state !== 'string' ||
+            typeof envelope.expires !== 'number' || typeof envelope.signature !== 'string') {
+        throw invalidPageToken('Invalid next token');
+    }
+    const expected = Buffer.from(signPageToken(envelope.state, envelope.expires,
+        pageTokenBinding(req), options.key));
+    const signature = Buffer.from(envelope.signature);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw invalidPageToken('The next token does not match the query');
+    }
+    if (envelope.expires && envelope.expires < Date.now()) {
+        throw invalidPageToken('The next token expired');
+    }
+    return Buffer.from(envelope.state, 'base64');
+};
+
 dbu.cassID = function cassID(name) {
     if (/^[a-zA-Z0-9_]+$/.test(name)) {
         return `"${name}"`;
@@ -52,6 +184,10 @@ dbu.cassTTL = function cassTTL(name) {
     return `_ttl_${name}`;
 };
 
+dbu.cassWriteTime = function cassWriteTime(name) {
+    return `_writetime_${name}`;
+};
+
 // Hash a key into a valid Cassandra key name
 dbu.hashKey = function hashKey(key) {
     return new crypto.Hash('sha1')
@@ -107,6 +243,25 @@ dbu.assignMaxTTL = function assignMaxTTL(row) {
     row._ttl = max;
 };
 
+/**
+ * Given a row object, converts the contained column write times to numbers
+ * of microseconds, and adds a _writetime attribute for their maximum, or
+ * undefined if no write times are present.
+ * @param {Object} row an object representing a result row
+ */
+dbu.assignMaxWriteTime = function assignMaxWriteTime(row) {
+    let max;
+    Object.keys(row).forEach((key) => {
+        if (/^_writetime_.+/.test(key) && row[key] !== null && row[key] !== undefined) {
+            row[key] = Long.isLong(row[key]) ? row[key].toNumber() : Number(row[key]);
+            if (max === undefined || row[key] > max) {
+                max = row[key];
+            }
+        }
+    });
+    row._writetime = max;
+};
+
 function _nextPage(client, query, params, pageState, options) {
     return P.try(() => client.execute(query, params, {
         prepare: true,
@@ -127,40 +282,38 @@ function _nextPage(client, query, params, pageState, options) {
  *
  * Client#eachRow in the Cassandra driver relies upon a synchronous callback
  * to provide back-pressure during paging; This function can safely execute
- * async callback handlers.
+ * async callback handlers: the next row is only handled once the promise
+ * returned for the previous one resolved.
+ *
+ * Besides `fetchSize`, `retries` and `withTTL`, the options can contain the
+ * `pageState` to resume from, and an `onPage` callback invoked with the
+ * state of the next page once the rows of a page were handled.
  * @param {Object} client cassandra-driver Client instance
  * @param {string} query CQL query string
  * @param {Array}  params CQL query params
  * @param {Object} options options map
  * @param {Function} handler to invoke for each row result
- * @return {Object}
+ * @return {Promise} resolved once all rows were handled
  */
 dbu.eachRow = function eachRow(client, query, params, options, handler) {
-    options.log = options.log || (() => {});
     function processPage(pageState) {
         return _nextPage(client, query, params, pageState, options)
-        .then((res) => P.try(() => P.each(res.rows, (row) => {
+        .then((res) => P.each(res.rows, (row) => {
             // Decorate the row result with the _ttl attribute.
             if (options.withTTL) {
                 dbu.assignMaxTTL(row);
             }
-            handler(row);
-        })).then(() => {
-            if (!res || res.pageState === null) {
-                return P.resolve();
-            } else {
-                // Break the promise chain, so that we don't hold onto a
-                // previous page's memory.
-                process.nextTick(() => P.try(() => processPage(res.pageState)).catch((e) => {
-                    // there's something going on, just log it
-                    // since we have broken the promise chain
-                    options.log('error/cassandra/backgroundUpdates', e);
-                }));
+            return handler(row);
+        })
+        .then(() => res.pageState && options.onPage && options.onPage(res.pageState))
+        .then(() => {
+            if (res.pageState) {
+                return processPage(res.pageState);
             }
         }));
     }
 
-    return processPage(null);
+    return processPage(options.pageState || null);
 };
 
 /*
@@ -168,28 +321,13 @@ dbu.eachRow = function eachRow(client, query, params, options, handler) {
  */
 
 dbu.DEFAULT_BACKEND_VERSION = 0;
-dbu.CURRENT_BACKEND_VERSION = 2;
+dbu.CURRENT_BACKEND_VERSION = 4;
+// Tables migrated to this version have column families for their secondary
+// indexes; these were ignored before.
+dbu.INDEX_BACKEND_VERSION = 4;
 
 dbu.DEFAULT_CONFIG_VERSION = 0;    // Implicit module config version.
 
-/**
- * Wrapper for validator#validateAndNormalizeSchema (shipped in
- * restbase-m-t-spec). Ensures the presence of the private,
- * implementation-specific version attributes.
- * @param  {Obect}    schema
- * @param  {Object}   configVer
- * @return {Function}
- */
-dbu.validateAndNormalizeSchema = function validateAndNormalizeSchema(schema, configVer) {
-    if (!schema._backend_version) {
-        schema._backend_version = dbu.CURRENT_BACKEND_VERSION;
-    }
-    if (configVer) {
-        schema._config_version = configVer;
-    }
-    return validator.validateAndNormalizeSchema(schema);
-};
-
 // Extract the index keys from a table schema
 dbu.indexKeys = function indexKeys(index) {
     const res = [];
@@ -235,18 +373,248 @@ const schemaTypeToCQLTypeMap = {
     json: 'text',
     'set<json>': 'set<text>',
     long: 'bigint',
-    'set<long>': 'set<bigint>'
+    'set<long>': 'set<bigint>',
+    counter: 'counter'
 };
 
+// Map keys are encoded from object property names, so only types represented
+// as strings can be used as keys.
+const validMapKeyTypes = new Set(['string', 'timeuuid', 'uuid']);
+
+// Parse a list<T> or map<K,V> collection type into its element types
+function parseCollectionType(schemaType) {
+    const listMatch = /^list<(\w+)>$/.exec(schemaType);
+    if (listMatch) {
+        return { type: 'list', valueType: listMatch[1] };
+    }
+    const mapMatch = /^map<(\w+),\s*(\w+)>$/.exec(schemaType);
+    if (mapMatch) {
+        return { type: 'map', keyType: mapMatch[1], valueType: mapMatch[2] };
+    }
+    return null;
+}
+
 // Map a schema type to the corresponding CQL type
 dbu.schemaTypeToCQLType = (schemaType) => {
-    const cqlType = schemaTypeToCQLTypeMap[schemaType];
+    let cqlType = schemaTypeToCQLTypeMap[schemaType];
+    const collection = parseCollectionType(schemaType);
+    // Only scalar types can be collection elements
+    const elemCQLType = (type) => !/</.test(type) && schemaTypeToCQLTypeMap[type];
+    if (collection && collection.type === 'list' && elemCQLType(collection.valueType)) {
+        cqlType = `list<${elemCQLType(collection.valueType)}>`;
+    } else if (collection && collection.type === 'map' &&
+            validMapKeyTypes.has(collection.keyType) && elemCQLType(collection.valueType)) {
+        cqlType = `map<${elemCQLType(collection.keyType)},` +
+            `${elemCQLType(collection.valueType)}>`;
+    }
     if (!cqlType) {
-        throw new Error(`Invalid schema type ${cqlType}`);
+        throw new Error(`Invalid schema type ${schemaType}`);
     }
     return cqlType;
 };
 
+// Whether a schema type is supported by this module, but not by the
+// restbase-mod-table-spec validator.
+function isExtendedType(type) {
+    return type === 'counter' || !!parseCollectionType(type);
+}
+
+/**
+ * Runs validator#validateAndNormalizeSchema, after validating the types the
+ * spec validator does not know about here, and hiding them from it.
+ * @param  {Object} schema
+ * @return {Object} the normalized schema
+ */
+function validateWithExtendedTypes(schema) {
+    const extendedTypes = {};
+    Object.keys(schema.attributes || {}).forEach((attr) => {
+        const type = schema.attributes[attr];
+        if (isExtendedType(type)) {
+            dbu.schemaTypeToCQLType(type);
+            extendedTypes[attr] = type;
+            schema.attributes[attr] = 'json';
+        }
+    });
+    try {
+        schema = validator.validateAndNormalizeSchema(schema);
+    } finally {
+        Object.assign(schema.attributes, extendedTypes);
+    }
+    return schema;
+}
+
+/**
+ * Validates a table schema against Cassandra's rules for counter tables:
+ * besides the primary key, a table with counters can contain nothing but
+ * counters, and cannot expire data.
+ * @param {Object} schema the normalized table schema
+ * @throws {Error} if the schema violates the rules
+ */
+function validateCounters(schema) {
+    const attrs = schema.attributes;
+    if (!Object.keys(attrs).some((attr) => attrs[attr] === 'counter')) {
+        return;
+    }
+    const keys = new Set(dbu.indexKeys(schema.index));
+    Object.keys(attrs).forEach((attr) => {
+        if (attrs[attr] === 'counter' && keys.has(attr)) {
+            throw new Error(`Counter attribute ${attr} cannot be part of the primary key`);
+        } else if (attrs[attr] !== 'counter' && !keys.has(attr)) {
+            throw new Error('Tables with counters can only contain counter and key ' +
+                `attributes; ${attr} is of type ${attrs[attr]}`);
+        }
+    });
+    if (schema.options && schema.options.default_time_to_live) {
+        throw new Error('Tables with counters cannot have a default_time_to_live');
+    }
+    if (schema.secondaryIndexes && Object.keys(schema.secondaryIndexes).length) {
+        throw new Error('Tables with counters cannot have secondary indexes');
+    }
+}
+
+/**
+ * Validates the default consistency levels declared in the schema options.
+ * @param {Object} schema the normalized table schema
+ * @throws {HTTPError} 400 for unsupported levels
+ */
+function validateConsistencies(schema) {
+    ['read', 'write', 'serial'].forEach((kind) => {
+        const name = schema.options && schema.options[`${kind}_consistency`];
+        if (name !== undefined) {
+            dbu.consistencyLevel(name, kind);
+        }
+    });
+}
+
+/**
+ * Validates the `max_limit` option, the maximum number of rows returned per
+ * response.
+ * @param {Object} schema
+ * @throws {HTTPError} 400 if the option is not a positive integer
+ */
+function validateMaxLimit(schema) {
+    const maxLimit = schema.options && schema.options.max_limit;
+    if (maxLimit !== undefined && !(Number.isInteger(maxLimit) && maxLimit > 0)) {
+        throw new HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title: `Invalid max_limit ${maxLimit}; expected a positive integer`
+            }
+        });
+    }
+}
+
+/**
+ * Wrapper for validator#validateAndNormalizeSchema (shipped in
+ * restbase-m-t-spec). Ensures the presence of the private,
+ * implementation-specific version attributes.
+ * @param  {Obect}    schema
+ * @param  {Object}   configVer
+ * @return {Function}
+ */
+dbu.validateAndNormalizeSchema = function validateAndNormalizeSchema(schema, configVer) {
+    if (!schema._backend_version) {
+        schema._backend_version = dbu.CURRENT_BACKEND_VERSION;
+    }
+    if (configVer) {
+        schema._config_version = configVer;
+    }
+    schema = validateWithExtendedTypes(schema);
+    dbu.validateSecondaryIndexes(schema);
+    validateCounters(schema);
+    validateConsistencies(schema);
+    validateMaxLimit(schema);
+    return schema;
+};
+
+// Extract the hash keys from a table schema's index
+function hashKeys(index) {
+    return index.filter((elem) => elem.type === 'hash').map((elem) => elem.attribute);
+}
+
+/**
+ * Returns the name of the column family backing a secondary index.
+ * @param  {string} name the index name
+ * @return {string}      the column family name
+ */
+dbu.idxColumnFamily = function idxColumnFamily(name) {
+    return `idx_${name}`;
+};
+
+/**
+ * Derives the table schema of the column family backing a secondary index.
+ *
+ * Primary key attributes not already part of the index are appended as
+ * range keys, so that each index entry maps back to exactly one row in the
+ * primary table. Attributes with a 'proj' index type are copied into the
+ * index entries as regular values.
+ * @param  {Object} schema the normalized table schema
+ * @param  {string} name   the secondary index name
+ * @return {Object}        a table schema for the index column family
+ */
+dbu.makeIndexSchema = function makeIndexSchema(schema, name) {
+    const idx = schema.secondaryIndexes[name];
+    if (!Array.isArray(idx)) {
+        throw new Error(`Invalid secondary index ${name}: must be an array`);
+    }
+    const attributes = {};
+    const index = idx.map((elem) => {
+        if (elem.type === 'static') {
+            throw new Error(`Invalid secondary index ${name}: static columns are not supported`);
+        }
+        if (!schema.attributes[elem.attribute]) {
+            throw new Error(`Secondary index ${name} element ${JSON.stringify(elem)} ` +
+                'is not in attributes!');
+        }
+        if (/^(set|list|map)</.test(schema.attributes[elem.attribute])) {
+            // Incremental collection updates could not be applied to the
+            // index entries without reading the row.
+            throw new Error(`Secondary index ${name} element ${JSON.stringify(elem)} ` +
+                'is a collection');
+        }
+        attributes[elem.attribute] = schema.attributes[elem.attribute];
+        return extend({}, elem);
+    });
+    schema.index.forEach((elem) => {
+        if ((elem.type === 'hash' || elem.type === 'range') && !attributes[elem.attribute]) {
+            attributes[elem.attribute] = schema.attributes[elem.attribute];
+            index.push({ attribute: elem.attribute, type: 'range', order: elem.order || 'asc' });
+        }
+    });
+    return {
+        table: `${schema.table}.${name}`,
+        attributes,
+        index,
+        options: schema.options
+    };
+};
+
+/**
+ * Validates the secondary index definitions of a table schema.
+ * @param {Object} schema the normalized table schema
+ * @throws {Error} if an index definition is invalid
+ */
+dbu.validateSecondaryIndexes = function validateSecondaryIndexes(schema) {
+    const indexes = schema.secondaryIndexes;
+    if (indexes === undefined) {
+        return;
+    }
+    if (!indexes || indexes.constructor !== Object) {
+        throw new Error('Invalid secondaryIndexes: must be an object');
+    }
+    Object.keys(indexes).forEach((name) => {
+        // Index names end up as part of a column family name
+        if (!/^[a-zA-Z0-9_]{1,44}$/.test(name)) {
+            throw new Error(`Invalid secondary index name ${JSON.stringify(name)}`);
+        }
+        const idxSchema = validateWithExtendedTypes(dbu.makeIndexSchema(schema, name));
+        if (!idxSchema.index.some((elem) => elem.type === 'range')) {
+            throw new Error(`Secondary index ${name} has no range keys`);
+        }
+    });
+};
+
 /**
  * Generates read/write conversion functions for set-typed attributes
  * @param {Object} convObj the conversion object to use for individual values (from dbu.conversions)
@@ -287,6 +655,38 @@ function generateSetConvertor(convObj) {
     return res;
 }
 
+/**
+ * Generates read/write conversion functions for map-typed attributes
+ * @param {Object} convObj the conversion object to use for individual values (from dbu.conversions)
+ * @return {Object} an object with 'read' and 'write' attributes
+ */
+function generateMapConvertor(convObj) {
+    const mapValues = (obj, conv) => {
+        const res = {};
+        Object.keys(obj).forEach((key) => {
+            res[key] = conv(obj[key]);
+        });
+        return res;
+    };
+    const res = {
+        write(obj) {
+            // Empty map is equivalent to null in Cassandra
+            if (!obj || obj.constructor !== Object || Object.keys(obj).length === 0) {
+                return null;
+            } else if (convObj && convObj.write) {
+                return mapValues(obj, convObj.write);
+            } else {
+                return obj;
+            }
+        },
+        read: null
+    };
+    if (convObj && convObj.read) {
+        res.read = (obj) => mapValues(obj, convObj.read);
+    }
+    return res;
+}
+
 // Conversion factories. We create a function for each type so that it can be
 // compiled monomorphically.
 function toString() {
@@ -312,6 +712,8 @@ dbu.conversions = {
         read: toString(),
         write(val) { return Long.fromString(val); }
     },
+    // Counters are written through incr / decr operations only
+    counter: { read: toNumber() },
     // Don't stringify anything. It's ok to stringify a Buffer,
     // but in general we need to catch errors if object or integer
     // were provided instead of the string.
@@ -325,6 +727,22 @@ dbu.conversions = {
     }
 };
 
+/**
+ * Looks up the schema info of a secondary index.
+ * @param  {Object} schema the schema info of the primary table
+ * @param  {string} name   the secondary index name
+ * @return {Object}        the schema info of the index column family
+ * @throws {Error} if the index does not exist, as the table storage spec
+ *                 expects queries of unknown indexes to fail with a 500
+ */
+dbu.indexSchemaInfo = function indexSchemaInfo(schema, name) {
+    const info = schema.secondaryIndexInfo && schema.secondaryIndexInfo[name];
+    if (!info) {
+        throw new Error(`Unknown secondary index ${name}`);
+    }
+    return info;
+};
+
 /*
  * Derive additional schema info from the public schema
  */
@@ -337,20 +755,40 @@ dbu.makeSchemaInfo = function makeSchemaInfo(schema, isMetaCF) {
 
     // Extract attributes that need conversion in the read or write path
     psi.conversions = {};
+    psi.counters = Object.keys(psi.attributes).some((att) =>
+        psi.attributes[att] === 'counter');
     Object.keys(psi.attributes).forEach((att) => {
         let type = psi.attributes[att];
-        const setType = /^set<(\w+)>$/.exec(type);
+        const setType = /^(?:set|list)<(\w+)>$/.exec(type);
+        const mapType = /^map<\w+,\s*(\w+)>$/.exec(type);
         if (setType) {
-            // this is a set-typed attribute
+            // this is a set- or list-typed attribute, both represented as arrays
             type = setType[1];
             // generate the convertors only if the underlying type has them defined
             psi.conversions[att] = generateSetConvertor(dbu.conversions[type]);
+        } else if (mapType) {
+            // this is a map-typed attribute; keys are always strings
+            psi.conversions[att] = generateMapConvertor(dbu.conversions[mapType[1]]);
         } else if (dbu.conversions[type]) {
             // this is regular type and conversion methods are defined for it
             psi.conversions[att] = dbu.conversions[type];
         }
     });
 
+    if (psi.secondaryIndexes && psi._backend_version >= dbu.INDEX_BACKEND_VERSION) {
+        // Derive the schema info for each index column family. Indexes
+        // sharing the primary hash keys are local to a partition, all others
+        // are global.
+        const primaryHash = hashKeys(psi.index).sort().join(',');
+        psi.secondaryIndexInfo = {};
+        Object.keys(psi.secondaryIndexes).forEach((name) => {
+            const idxInfo = dbu.makeSchemaInfo(dbu.makeIndexSchema(psi, name), isMetaCF);
+            idxInfo.name = name;
+            idxInfo.local = hashKeys(psi.secondaryIndexes[name]).sort().join(',') === primaryHash;
+            psi.secondaryIndexInfo[name] = idxInfo;
+        });
+    }
+
     if (!isMetaCF) {
         // Prefix a _domain attribute to each hash key, so that we can share CFs
         // between groups of domains
@@ -370,6 +808,11 @@ dbu.makeSchemaInfo = function makeSchemaInfo(schema, isMetaCF) {
         }
     });
 
+    // Tables with a static transactiontid column can take part in
+    // multi-item transactions.
+    psi.transactional = !!psi.staticKeyMap.transactiontid &&
+        psi.attributes.transactiontid === 'timeuuid';
+
     if (!psi._backend_version) {
         psi._backend_version = dbu.DEFAULT_BACKEND_VERSION;
     }
@@ -406,8 +849,8 @@ dbu.convertRows = function convertRows(rows, schema) {
                 } else {
                     newRow[att] = row[att];
                 }
-            } else if (att === '_ttl') {
-                newRow._ttl = row._ttl;
+            } else if (att === '_ttl' || /^_writetime(_.+)?$/.test(att)) {
+                newRow[att] = row[att];
             }
         });
         newRows[i] = newRow;
@@ -522,6 +965,87 @@ dbu.buildCondition = function buildCondition(predicates, schema, noConvert) {
     };
 };
 
+/**
+ * Normalizes a string condition, such as 'not  Exists'.
+ * @param  {string} cond    the condition
+ * @param  {Array}  allowed the supported conditions
+ * @return {string}         the normalized condition
+ * @throws {Error} if the condition is not supported
+ */
+function normalizeIfString(cond, allowed) {
+    cond = cond.trim().split(/\s+/).join(' ').toLowerCase();
+    if (allowed.indexOf(cond) < 0) {
+        throw new Error(`Only ${allowed.map((c) => `'${c}'`).join(' and ')} ` +
+            'conditionals are supported.');
+    }
+    return cond;
+}
+
+/**
+ * Recognizes incremental collection updates in put attribute values:
+ * - sets: `{ add: [...] }`, `{ remove: [...] }`
+ * - lists: `{ add: [...] }` (append), `{ prepend: [...] }`, `{ remove: [...] }`
+ * - maps: `{ add: { key: value } }`, `{ remove: [ key ] }`
+ *
+ * Note that a map value consisting of nothing but an operation is always
+ * interpreted as the operation.
+ * @param  {string} type the schema type of the attribute
+ * @param  {*}      val  the attribute value from the put query
+ * @return {Object|null} an object with 'op' and 'operand' attributes, or null
+ *                       for plain values
+ */
+dbu.collectionOperation = function collectionOperation(type, val) {
+    if (!val || val.constructor !== Object || Object.keys(val).length !== 1) {
+        return null;
+    }
+    const op = Object.keys(val)[0];
+    const operand = val[op];
+    const kind = /^(set|list|map)</.exec(type);
+    if (!kind) {
+        return null;
+    }
+    let valid;
+    /* eslint-disable indent */
+    switch (kind[1]) {
+        case 'set':
+            valid = (op === 'add' || op === 'remove') && Array.isArray(operand);
+            break;
+        case 'list':
+            valid = (op === 'add' || op === 'prepend' || op === 'remove') &&
+                Array.isArray(operand);
+            break;
+        default:
+            valid = (op === 'add' && !!operand && operand.constructor === Object) ||
+                (op === 'remove' && Array.isArray(operand));
+            break;
+    }
+    /* eslint-enable indent */
+    return valid ? { op, operand } : null;
+};
+
+/**
+ * Parses a counter update in put attribute values: `{ incr: n }` or
+ * `{ decr: n }`.
+ * @param  {string} key the attribute name
+ * @param  {*}      val the attribute value from the put query
+ * @return {Object} an object with 'op' ('add' or 'remove') and 'operand'
+ *                  attributes, in the format used for collection operations
+ * @throws {Error} if the value is not a valid counter update
+ */
+dbu.counterOperation = function counterOperation(key, val) {
+    const op = val && val.constructor === Object && Object.keys(val).length === 1 &&
+        Object.keys(val)[0];
+    const amount = op && Number(val[op]);
+    if ((op !== 'incr' && op !== 'decr') || !Number.isInteger(amount)) {
+        throw new Error(`Counter attribute ${key} can only be updated with ` +
+            `{ incr: n } or { decr: n }, got ${JSON.stringify(val)}`);
+    }
+    return {
+        op: op === 'incr' ? 'add' : 'remove',
+        operand: Long.fromNumber(amount)
+    };
+};
+
 /**
  * CQL building for PUT queries
  * @param {InternalRequest} req
@@ -537,7 +1061,8 @@ dbu.buildPutQuery = (req, noConvert) => {
 
     // Convert the attributes
     const attributes = query.attributes || {};
-    if (req.columnfamily !== 'meta') {
+    // Column families shared between domains are keyed on _domain
+    if (schema.attributes._domain) {
         attributes._domain = req.domain;
     }
     const conversions = schema.conversions || {};
@@ -556,15 +1081,36 @@ dbu.buildPutQuery = (req, noConvert) => {
     const nonIndexKeys = [];
     let params = [];
     const placeholders = [];
+    // attribute -> incremental collection or counter update operator
+    const updateOps = {};
     let haveNonIndexNonNullValue = false;
     Object.keys(attributes).forEach((key) => {
         let val = attributes[key];
         if (val !== undefined && schema.attributes[key]) {
-            if (!schema.iKeyMap[key]) {
+            // Projected attributes of secondary indexes are regular columns
+            if (schema.iKeys.indexOf(key) === -1) {
                 nonIndexKeys.push(key);
                 // Convert the parameter value
                 const conversionObj = conversions[key];
-                if (!noConvert && conversionObj && conversionObj.write) {
+                const counterOp = schema.attributes[key] === 'counter' &&
+                    dbu.counterOperation(key, val);
+                const collectionOp = !counterOp &&
+                    dbu.collectionOperation(schema.attributes[key], val);
+                if (counterOp) {
+                    updateOps[key] = counterOp.op;
+                    val = counterOp.operand;
+                } else if (collectionOp) {
+                    updateOps[key] = collectionOp.op;
+                    val = collectionOp.operand;
+                    // Map removals take a set of keys, which need no conversion
+                    const isMapKeys = /^map</.test(schema.attributes[key]) &&
+                        collectionOp.op === 'remove';
+                    if (!noConvert && !isMapKeys && conversionObj && conversionObj.write) {
+                        // Empty collections convert to null, which Cassandra
+                        // does not accept as an operand.
+                        val = conversionObj.write(val) || (Array.isArray(val) ? [] : {});
+                    }
+                } else if (!noConvert && conversionObj && conversionObj.write) {
                     val = conversionObj.write(val);
                 }
                 if (val !== null && schema.staticKeyMap && !schema.staticKeyMap[key]) {
@@ -579,6 +1125,15 @@ dbu.buildPutQuery = (req, noConvert) => {
         }
     });
 
+    if (schema.counters) {
+        if (!Object.keys(updateOps).length) {
+            throw new Error('Tables with counters can only be updated with incr or decr.');
+        }
+        if (query.if || req.ttl || query.timestamp) {
+            throw new Error('Counter updates do not support conditions, TTLs or timestamps.');
+        }
+    }
+
     let using = '';
     const usingBits = [];
     const usingParams = [];
@@ -606,16 +1161,18 @@ dbu.buildPutQuery = (req, noConvert) => {
     let condResult;
 
     if (query.if && query.if.constructor === String) {
-        query.if = query.if.trim().split(/\s+/).join(' ').toLowerCase();
-        if (query.if !== 'not exists') {
-            throw new Error("Only 'not exists' conditionals are supported.");
-        }
+        query.if = normalizeIfString(query.if, ['not exists', 'exists']);
     }
 
     const condRes = dbu.buildCondition(indexKVMap, schema, noConvert);
+    const haveUpdateOps = Object.keys(updateOps).length > 0;
+    if (haveUpdateOps && query.if === 'not exists') {
+        throw new Error("Collection updates can't be combined with 'not exists' conditionals.");
+    }
 
     let cond = '';
-    if (!haveNonIndexNonNullValue || query.if === 'not exists') {
+    if ((!haveNonIndexNonNullValue && !haveUpdateOps && query.if !== 'exists') ||
+            query.if === 'not exists') {
         if (query.if === 'not exists') {
             cond = ' if not exists ';
         }
@@ -626,14 +1183,30 @@ dbu.buildPutQuery = (req, noConvert) => {
         params = condRes.params.concat(params, usingParams);
     } else if (nonIndexKeys.length) {
         let condParams = [];
-        if (query.if) {
+        if (query.if === 'exists') {
+            cond = ' if exists';
+        } else if (query.if) {
             cond = ' if ';
             condResult = dbu.buildCondition(query.if, schema, noConvert);
             cond += condResult.cql;
             condParams = condResult.params;
         }
 
-        const updateProj = `${nonIndexKeys.map(dbu.cassID).join(' = ?,')} = ? `;
+        const updateProj = `${nonIndexKeys.map((key) => {
+            const col = dbu.cassID(key);
+            /* eslint-disable indent */
+            switch (updateOps[key]) {
+                case 'add':
+                    return `${col} = ${col} + ?`;
+                case 'prepend':
+                    return `${col} = ? + ${col}`;
+                case 'remove':
+                    return `${col} = ${col} - ?`;
+                default:
+                    return `${col} = ?`;
+            }
+            /* eslint-enable indent */
+        }).join(',')} `;
         cql += `update ${dbu.cassID(req.keyspace)}.${dbu.cassID(req.columnfamily)}` +
             `${using} set ${updateProj} where `;
         cql += condRes.cql + cond;
@@ -649,59 +1222,214 @@ dbu.buildPutQuery = (req, noConvert) => {
     };
 };
 
+/**
+ * Determines the maximum number of rows a read returns across all pages.
+ * @param  {Object} query   the read query, with an optional `maxResults`
+ * @param  {Object} options the read options, with an optional `limit`
+ * @return {number|undefined}
+ */
+dbu.resultLimit = function resultLimit(query, options) {
+    const limits = [query.maxResults, options.limit]
+        .map((limit) => parseInt(limit, 10))
+        .filter((limit) => limit > 0);
+    return limits.length ? Math.min.apply(Math, limits) : undefined;
+};
+
+function invalidLimit(title) {
+    return new HTTPError({
+        status: 400,
+        body: {
+            type: 'bad_request',
+            title
+        }
+    });
+}
+
+/**
+ * Validates the page size (`limit`) and the maximum number of results
+ * (`maxResults`) of a read against the maximum number of rows a response
+ * may hold.
+ * @param  {Object} query
+ * @param  {number} [maxLimit] the maximum number of rows per response
+ * @throws {HTTPError} 400 if a limit is invalid, or exceeds the maximum
+ */
+dbu.validateLimits = function validateLimits(query, maxLimit) {
+    ['limit', 'maxResults'].forEach((name) => {
+        const value = query[name];
+        if (value !== undefined && value !== null &&
+                !(Number.isInteger(Number(value)) && Number(value) > 0)) {
+            throw invalidLimit(`Invalid ${name} ${value}; expected a positive integer`);
+        }
+    });
+    // Without paging, all results are returned at once
+    const perResponse = query.limit ? Number(query.limit) : Number(query.maxResults);
+    if (maxLimit && perResponse > maxLimit) {
+        throw invalidLimit(`The ${query.limit ? 'limit' : 'maxResults'} of ${perResponse} ` +
+            `exceeds the maximum of ${maxLimit} rows per response`);
+    }
+};
+
+/**
+ * Maximum number of token ranges a table can be split into
+ * @const
+ */
+const maxTokenRangeSplits = 4096;
+
+function invalidTokenRange(title) {
+    return new HTTPError({
+        status: 400,
+        body: {
+            type: 'bad_request',
+            title
+        }
+    });
+}
+
+/**
+ * Splits the Murmur3 token ring into ranges of equal size, so that the rows
+ * of a table can be scanned in parallel.
+ * @param  {number} splits the number of ranges
+ * @return {Array<string>} opaque range descriptors, to be passed as the
+ *                         `range` of get queries
+ * @throws {HTTPError} 400 if the number of ranges is invalid
+ */
+dbu.splitTokenRing = function splitTokenRing(splits) {
+    if (!Number.isInteger(splits) || splits < 1 || splits > maxTokenRangeSplits) {
+        throw invalidTokenRange('The number of token ranges must be between 1 and ' +
+            `${maxTokenRangeSplits}`);
+    }
+    // The ring is ]MIN_VALUE, MAX_VALUE]; the arithmetic wraps around, so
+    // that the bounds are exact even though the step overflows
+    const step = Long.MAX_VALUE.div(splits).multiply(2);
+    const bounds = [];
+    for (let i = 0; i < splits; i++) {
+        bounds.push(Long.MIN_VALUE.add(step.multiply(i)).toString());
+    }
+    bounds.push(Long.MAX_VALUE.toString());
+    return bounds.slice(1).map((end, i) =>
+        Buffer.from(JSON.stringify([bounds[i], end])).toString('base64'));
+};
+
+/**
+ * Decodes a token range descriptor returned by `dbu.splitTokenRing`.
+ * @param  {string} range the descriptor
+ * @return {Object} the exclusive `start` and inclusive `end` tokens
+ * @throws {HTTPError} 400 if the descriptor is invalid
+ */
+dbu.decodeTokenRange = function decodeTokenRange(range) {
+    let bounds;
+    try {
+        bounds = JSON.parse(Buffer.from(String(range), 'base64').toString());
+    } catch (e) {
+        throw invalidTokenRange(`Invalid token range ${range}`);
+    }
+    if (!Array.isArray(bounds) || bounds.length !== 2 ||
+            !bounds.every((bound) => /^-?[0-9]{1,19}$/.test(bound))) {
+        throw invalidTokenRange(`Invalid token range ${range}`);
+    }
+    const start = Long.fromString(bounds[0]);
+    const end = Long.fromString(bounds[1]);
+    if (start.toString() !== bounds[0] || end.toString() !== bounds[1] ||
+            start.greaterThanOrEqual(end)) {
+        throw invalidTokenRange(`Invalid token range ${range}`);
+    }
+    return { start, end };
+};
+
+function invalidProjection(title) {
+    return new HTTPError({
+        status: 400,
+        body: {
+            type: 'bad_request',
+            title
+        }
+    });
+}
+
+/**
+ * Validates the projection of a query.
+ * @param  {Object} query  the query, with an optional `proj`
+ * @param  {Object} schema the schema info of the column family read
+ * @return {Array|null} the projected attributes, or null if there is no `proj`
+ * @throws {HTTPError} 400 for invalid projections and unknown attributes
+ */
+dbu.validateProjection = (query, schema) => {
+    if (!query.proj) {
+        return null;
+    }
+    const proj = Array.isArray(query.proj) ? query.proj : [query.proj];
+    if (!proj.length || proj.some((att) => typeof att !== 'string')) {
+        throw invalidProjection(`Invalid proj ${JSON.stringify(query.proj)}`);
+    }
+    proj.forEach((att) => {
+        if (!schema.attributes[att]) {
+            throw invalidProjection(`Unknown attribute ${att} in proj`);
+        }
+    });
+    return proj;
+};
+
 /**
  * CQL building for GET queries
  * @param {InternalRequest} req
  * @param  {Object} options map
- * @return {Object} queryInfo object with cql and params attributes
+ * @return {Object} queryInfo object with cql and params attributes, and the
+ *                  decoded token `range` of range scans
  */
 dbu.buildGetQuery = (req, options) => {
     options = options || {};
-    const schema = req.schema;
+    let schema = req.schema;
+    let columnfamily = req.columnfamily;
     const query = req.query;
     if (!query) {
         throw new Error('Query missing!');
     }
 
     if (query.index) {
-        throw new Error('No support for secondary indices!');
+        // Read from the column family backing the secondary index instead
+        schema = dbu.indexSchemaInfo(schema, query.index);
+        columnfamily = dbu.idxColumnFamily(query.index);
     }
 
     let projCQL = Object.keys(schema.attributes).map(dbu.cassID).join(',');
     let projAttrs = Object.keys(schema.attributes);
 
-    if (query.proj) {
-        if (Array.isArray(query.proj)) {
-            projCQL = query.proj.map(dbu.cassID).join(',');
-            projAttrs = query.proj;
-        } else if (query.proj.constructor === String) {
-            projCQL = dbu.cassID(query.proj);
-            projAttrs = [query.proj];
-        }
+    const proj = dbu.validateProjection(query, schema);
+    if (proj) {
+        projCQL = proj.map(dbu.cassID).join(',');
+        projAttrs = proj;
     }
 
+    // TTLs and write times are available for non-index, non-collection,
+    // non-counter attributes
+    const timedAttrs = projAttrs.filter(
+        (v) => !schema.iKeyMap[v] && !/^(set|map|list)<.*>$/.test(schema.attributes[v]) &&
+            schema.attributes[v] !== 'counter'
+    );
+
     // Add TTL attributes for all non-index attributes
     if (options.withTTL) {
-        // Candidates for TTL are non-index, non-collection, attributes
-        const ttlCandidates = projAttrs.filter(
-            (v) => !schema.iKeyMap[v] && !/^(set|map|list)<.*>$/.test(schema.attributes[v])
-        );
-        const projTTLs = ttlCandidates.map(
+        const projTTLs = timedAttrs.map(
             (v) => `TTL(${dbu.cassID(v)}) as ${dbu.cassID(dbu.cassTTL(v))}`
         );
         projCQL += `,${projTTLs.join(',')}`;
     }
 
+    if (options.withWriteTime && timedAttrs.length) {
+        projCQL += `,${timedAttrs.map((v) =>
+            `WRITETIME(${dbu.cassID(v)}) as ${dbu.cassID(dbu.cassWriteTime(v))}`).join(',')}`;
+    }
+
     if (query.distinct) {
         projCQL = `distinct ${projCQL}`;
     }
 
-    let cql = `select ${projCQL} from ${dbu.cassID(req.keyspace)}.${dbu.cassID(req.columnfamily)}`;
+    let cql = `select ${projCQL} from ${dbu.cassID(req.keyspace)}.${dbu.cassID(columnfamily)}`;
 
     // Build up the condition
     let params = [];
     const attributes = query.attributes || {};
-    if (req.columnfamily !== 'meta') {
+    if (schema.attributes._domain) {
         attributes._domain = req.domain;
     }
     Object.keys(attributes).forEach((key) => {
@@ -711,11 +1439,30 @@ dbu.buildGetQuery = (req, options) => {
                 `Bad attribute: ${key}`);
         }
     });
-    cql += ' where ';
     const condResult = dbu.buildCondition(attributes, schema);
-    cql += condResult.cql;
+    const conjunctions = condResult.cql ? [condResult.cql] : [];
     params = condResult.params;
 
+    let range;
+    if (query.range) {
+        // Scan the rows of the partitions in a token range
+        range = dbu.decodeTokenRange(query.range);
+        if (Object.keys(attributes).some((key) => key !== '_domain')) {
+            throw invalidTokenRange('Token range scans cannot restrict key attributes');
+        }
+        if (query.order) {
+            throw invalidTokenRange('Token range scans cannot be ordered');
+        }
+        const tokenCQL = `token(${schema.index.filter((elem) => elem.type === 'hash')
+            .map((elem) => dbu.cassID(elem.attribute)).join(',')})`;
+        conjunctions.unshift(`${tokenCQL} > ? AND ${tokenCQL} <= ?`);
+        params = [range.start, range.end].concat(params);
+    }
+    if (conjunctions.length) {
+        // Queries without conditions scan the whole column family
+        cql += ` where ${conjunctions.join(' AND ')}`;
+    }
+
     if (query.order) {
         let reversed;
         // Establish whether we need to read in forward or reverse order,
@@ -765,35 +1512,292 @@ dbu.buildGetQuery = (req, options) => {
      * results, which is why we are interpreting `query.limit` as `fetchSize`
      * in `db._getRaw()`, and **IGNORE query.limit HERE**.
      *
-     * That said, for the cases where an actual limit is needed we do support
-     * it here by passing it in *options*, rather than the query.
+     * The maximum number of rows returned across all pages is set by
+     * `query.maxResults`, or internally by passing a limit in *options*.
      */
-    if (options.limit) {
-        const limit = parseInt(options.limit, 10);
-        cql += limit ? ` limit ${limit}` : '';
+    const limit = dbu.resultLimit(query, options);
+    if (limit) {
+        cql += ` limit ${limit}`;
     }
 
-    return { cql, params };
+    if (range && schema.attributes._domain) {
+        // Only part of the partition key is restricted by _domain
+        cql += ' allow filtering';
+    }
+
+    return { cql, params, range };
 };
 
+/**
+ * Validates the predicates of a DELETE against the primary key.
+ *
+ * Deletes need equality predicates on the full partition key. A slice of
+ * clustering rows can be deleted by restricting a prefix of the range keys,
+ * the last of which may use a range predicate (lt, gt, le, ge, between).
+ * Conditional deletes need the full primary key.
+ * @param {Object}  attributes  the delete predicates
+ * @param {Object}  schema      the schema info of the table
+ * @param {boolean} conditional whether the delete has an 'if' condition
+ * @throws {HTTPError} 400 if the delete is invalid or unbounded
+ */
+function validateDeletePredicates(attributes, schema, conditional) {
+    const badRequest = (title) => new HTTPError({
+        status: 400,
+        body: {
+            type: 'bad_request',
+            title
+        }
+    });
+    const isEq = (pred) => pred === null || pred.constructor !== Object ||
+        (Object.keys(pred).length === 1 && Object.keys(pred)[0].toLowerCase() === 'eq');
+
+    Object.keys(attributes).forEach((key) => {
+        const elem = schema.iKeyMap[key];
+        if (!elem || (elem.type !== 'hash' && elem.type !== 'range')) {
+            throw badRequest(`Cannot delete by non-key attribute ${key}`);
+        }
+        if (elem.type === 'hash' && !isEq(attributes[key])) {
+            throw badRequest(`Only equality predicates are supported on hash key ${key}`);
+        }
+    });
+
+    let sliced;
+    let unrestricted;
+    schema.index.forEach((elem) => {
+        const pred = attributes[elem.attribute];
+        if (elem.type === 'hash' && pred === undefined) {
+            throw badRequest('Deletes require the full partition key; ' +
+                `missing hash key ${elem.attribute}`);
+        } else if (elem.type === 'range') {
+            if (pred === undefined) {
+                unrestricted = unrestricted || elem.attribute;
+            } else if (sliced) {
+                throw badRequest(`Cannot restrict range key ${elem.attribute} ` +
+                    `after a range predicate on ${sliced}`);
+            } else if (unrestricted) {
+                throw badRequest(`Cannot restrict range key ${elem.attribute} ` +
+                    `without restricting ${unrestricted}`);
+            } else if (!isEq(pred)) {
+                sliced = elem.attribute;
+            }
+        }
+    });
+    if (conditional && (sliced || unrestricted)) {
+        throw badRequest('Conditional deletes require the full primary key');
+    }
+}
+
 /**
  * CQL building for DELETE queries
  * @param {InternalRequest} req
+ * @param {boolean} noConvert if true, no attribute value conversion will take place
  * @return {Object} queryInfo object with cql and params attributes
  */
-dbu.buildDeleteQuery = (req) => {
+dbu.buildDeleteQuery = (req, noConvert) => {
     if (req.columnFamily === 'meta') {
         throw new Error("Deleting from 'meta' is not supported!");
     }
     const schema = req.schema;
     const query = req.query;
     const attributes = query.attributes || {};
-    attributes._domain = req.domain;
+    if (schema.attributes._domain) {
+        attributes._domain = req.domain;
+    }
+    validateDeletePredicates(attributes, schema, !!query.if);
     const keyspace = dbu.cassID(req.keyspace);
     const columnfamily = dbu.cassID(req.columnfamily);
-    const condition = dbu.buildCondition(attributes, schema);
-    const cql = `DELETE FROM ${keyspace}.${columnfamily} WHERE ${condition.cql}`;
-    return { cql, params: condition.params };
+    const condition = dbu.buildCondition(attributes, schema, noConvert);
+    let using = '';
+    let params = [];
+    if (query.timestamp && !query.if) {
+        using = ' USING TIMESTAMP ?';
+        params.push(cass.types.Long.fromNumber(Math.round(query.timestamp * 1000)));
+    }
+    let cql = `DELETE FROM ${keyspace}.${columnfamily}${using} WHERE ${condition.cql}`;
+    params = params.concat(condition.params);
+    if (query.if && query.if.constructor === String) {
+        query.if = normalizeIfString(query.if, ['exists']);
+        cql += ' IF EXISTS';
+    } else if (query.if) {
+        const ifCondition = dbu.buildCondition(query.if, schema, noConvert);
+        cql += ` IF ${ifCondition.cql}`;
+        params = params.concat(ifCondition.params);
+    }
+    return { cql, params };
+};
+
+/**
+ * Normalizes a raw attribute value for comparisons, so that values read
+ * back from Cassandra compare equal to their written representation.
+ * @param  {*}      val  the raw attribute value
+ * @param  {string} type the schema type of the attribute
+ * @return {string}
+ */
+function rawKeyValue(val, type) {
+    if (val === null || val === undefined) {
+        return null;
+    }
+    const collection = /^(set|list)<(\w+)>$/.exec(type);
+    if (collection) {
+        let items = val.map((item) => rawKeyValue(item, collection[2]));
+        if (collection[1] === 'set') {
+            items = items.filter((item, i) => items.indexOf(item) === i).sort();
+        }
+        // Empty collections are read back as null
+        return items.length ? JSON.stringify(items) : null;
+    }
+    const map = /^map<\w+,\s*(\w+)>$/.exec(type);
+    if (map) {
+        const keys = Object.keys(val).sort();
+        return keys.length ?
+            JSON.stringify(keys.map((key) => [key, rawKeyValue(val[key], map[1])])) : null;
+    }
+    if (type === 'timestamp') {
+        return String(new Date(val).getTime());
+    } else if (type === 'float') {
+        return String(Math.fround(val));
+    } else if (type === 'uuid' || type === 'timeuuid') {
+        return val.toString().toLowerCase();
+    } else if (Buffer.isBuffer(val)) {
+        return val.toString('hex');
+    } else {
+        return val.toString();
+    }
+}
+
+/**
+ * Returns the normalized values of a raw row, which compare equal for the
+ * written and the stored representation of the row.
+ * @param  {Object} schema     the schema info of the table
+ * @param  {Object} row        the raw row, or the raw attributes of a write
+ * @param  {Array}  attributes the names of the attributes to include
+ * @return {Object}            attribute -> normalized value
+ */
+dbu.rawRowState = (schema, row, attributes) => {
+    const state = {};
+    attributes.forEach((att) => {
+        state[att] = rawKeyValue(row[att], schema.attributes[att]);
+    });
+    return state;
+};
+
+/**
+ * Checks whether a secondary index entry matches the current row of the
+ * primary table.
+ * @param  {Object} idxInfo the schema info of the index column family
+ * @param  {Object} entry   the raw index entry
+ * @param  {Object} row     the raw row of the primary table
+ * @return {boolean}
+ */
+dbu.isIndexEntryOf = (idxInfo, entry, row) => idxInfo.iKeys.every((key) =>
+    key === '_domain' || rawKeyValue(entry[key], idxInfo.attributes[key]) ===
+        rawKeyValue(row[key], idxInfo.attributes[key]));
+
+/**
+ * CQL building for secondary index maintenance.
+ *
+ * Generates the statements needed to bring the index column families in
+ * line with a put or delete on the primary table: stale index entries are
+ * removed, and entries for the new row state are written.
+ * @param {InternalRequest} req the put or delete request on the primary table
+ * @param {Array} oldRows raw rows currently stored under the primary key(s)
+ *                affected by the request
+ * @param {boolean} isDelete whether the request deletes the rows
+ * @return {Array} list of queryInfo objects with cql and params attributes
+ */
+dbu.buildIndexUpdateQueries = (req, oldRows, isDelete) => {
+    const schema = req.schema;
+    const indexes = schema.secondaryIndexInfo || {};
+    const queries = [];
+    let newRow;
+    if (!isDelete) {
+        // The new row state is the old row, overlaid with the converted
+        // attributes of the request.
+        const rawAttrs = dbu.makeRawRequest(req).query.attributes || {};
+        newRow = extend({}, oldRows[0]);
+        Object.keys(rawAttrs).forEach((key) => {
+            if (rawAttrs[key] !== undefined && schema.attributes[key]) {
+                newRow[key] = rawAttrs[key];
+            }
+        });
+    }
+
+    Object.keys(indexes).forEach((name) => {
+        const idxInfo = indexes[name];
+        const keys = idxInfo.iKeys.filter((key) => key !== '_domain');
+        const pick = (row, attrs) => {
+            const res = {};
+            attrs.forEach((key) => {
+                res[key] = row[key] === undefined ? null : row[key];
+            });
+            return res;
+        };
+        const keyOf = (row) => JSON.stringify(keys.map((key) =>
+            rawKeyValue(row[key], idxInfo.attributes[key])));
+        const complete = (row) => keys.every((key) =>
+            row[key] !== null && row[key] !== undefined);
+        const idxReq = (attributes) => req.extend({
+            columnfamily: dbu.idxColumnFamily(name),
+            schema: idxInfo,
+            query: {
+                attributes,
+                timestamp: req.query.timestamp
+            }
+        });
+
+        const newKey = newRow && complete(newRow) ? keyOf(newRow) : null;
+        oldRows.forEach((oldRow) => {
+            if (complete(oldRow) && keyOf(oldRow) !== newKey) {
+                queries.push(dbu.buildDeleteQuery(idxReq(pick(oldRow, keys)), true));
+            }
+        });
+        if (newKey) {
+            const attrs = Object.keys(idxInfo.attributes).filter((key) => key !== '_domain');
+            queries.push(dbu.buildPutQuery(idxReq(pick(newRow, attrs)), true));
+        }
+    });
+    return queries;
+};
+
+/**
+ * Extracts the partition key of the row(s) addressed by a request.
+ * @param  {InternalRequest} req the request
+ * @return {Object} the hash key attributes, excluding _domain
+ * @throws {Error} if a hash key attribute is missing or not a plain value
+ */
+dbu.partitionKey = (req) => {
+    const attributes = req.query.attributes || {};
+    const key = {};
+    hashKeys(req.schema.index).forEach((att) => {
+        if (att === '_domain') {
+            return;
+        }
+        const val = attributes[att];
+        if (val === undefined || val === null || val.constructor === Object) {
+            throw new Error(`Hash key attribute ${att} requires a value`);
+        }
+        key[att] = val;
+    });
+    return key;
+};
+
+/**
+ * Builds a CAS update of the static transactiontid column, which locks a
+ * partition for a transaction.
+ * @param  {InternalRequest} req    request with the partition key attributes
+ * @param  {string|null}     tid    the new lock holder, or null to release
+ * @param  {string|null}     holder the expected current lock holder
+ * @return {Object} queryInfo object with cql and params attributes
+ */
+dbu.buildLockQuery = (req, tid, holder) => {
+    const key = dbu.partitionKey(req);
+    key._domain = req.domain;
+    const condResult = dbu.buildCondition(key, req.schema);
+    return {
+        cql: `update ${dbu.cassID(req.keyspace)}.${dbu.cassID(req.columnfamily)}` +
+            ` set "transactiontid" = ? where ${condResult.cql} if "transactiontid" = ?`,
+        params: [tid].concat(condResult.params, [holder])
+    };
 };
 
 dbu.getOptionCQL = (options) => {
@@ -0,0 +1,263 @@
+'use strict';
+
+const P = require('bluebird');
+const cass = require('cassandra-driver');
+const stableStringify = require('fast-json-stable-stringify');
+const dbu = require('./dbutils');
+
+const TimeUuid = cass.types.TimeUuid;
+
+/** @const */
+const defaultConf = {
+    // Age after which a log entry is considered abandoned, in milliseconds
+    timeout: 10000,
+    // Interval of the replay of abandoned log entries, in milliseconds; 0
+    // disables the replay
+    replay_interval: 60000,
+    // Number of log entries read per page
+    fetch_size: 100
+};
+
+/**
+ * Dependent updates of conditional puts, as described in
+ * doc/Transactions.md.
+ *
+ * A conditional put can carry a list of put and delete requests to perform
+ * once it was applied. These are persisted to the log column family of the
+ * table's keyspace before the conditional put is executed, and removed once
+ * they were performed. Entries left behind by a crash are completed by a
+ * periodic replay.
+ */
+class DependentUpdates {
+    constructor(db, options) {
+        this.db = db;
+        this.log = options.log;
+        this.conf = Object.assign({}, defaultConf, options.conf.dependent_updates);
+        this.replayTimer = null;
+    }
+
+    /**
+     * Performs a conditional put along with its dependent updates.
+     * @param  {InternalRequest} req   the put request, with a `dependents`
+     *                                 array of put and delete queries
+     * @param  {Function}        write performs the primary put
+     * @return {Promise<Object>} the result of the primary put
+     */
+    run(req, write) {
+        const dependents = req.query.dependents;
+        const primary = Object.assign({}, req.query);
+        delete primary.dependents;
+        return this._validate(req, dependents)
+        .then(() => {
+            const entry = {
+                tid: TimeUuid.now().toString(),
+                domain: req.domain,
+                applied: false,
+                body: {
+                    table: req.table,
+                    primary,
+                    dependents,
+                    // The state of the primary row once the put was applied
+                    state: this._primaryState(req)
+                }
+            };
+            return this._putEntry(req, entry)
+            .then(() => write(req.extend({ query: primary }))
+            .catch((e) => {
+                if (!(e.status >= 400 && e.status < 500)) {
+                    // The outcome is unknown, so leave it to the replay
+                    throw e;
+                }
+                return this._deleteEntry(req, entry.tid)
+                .then(() => {
+                    throw e;
+                });
+            }))
+            .then((result) => this._putEntry(req, { tid: entry.tid, applied: true })
+            .then(() => this._complete(req, entry))
+            .catch((e) => {
+                // The primary write was applied, so the replay will
+                // complete the dependent updates.
+                this.log('error/cassandra/dependent_updates', e);
+            })
+            .thenReturn(result));
+        });
+    }
+
+    /**
+     * Starts the periodic replay of abandoned log entries.
+     */
+    startReplay() {
+        if (!this.conf.replay_interval || this.replayTimer) {
+            return;
+        }
+        this.replayTimer = setInterval(() => {
+            this.replay()
+            .catch((e) => this.log('error/cassandra/dependent_updates_replay', e));
+        }, this.conf.replay_interval);
+        this.replayTimer.unref();
+    }
+
+    stopReplay() {
+        clearInterval(this.replayTimer);
+        this.replayTimer = null;
+    }
+
+    /**
+     * Completes the abandoned log entries of all registered tables.
+     * @return {Promise}
+     */
+    replay() {
+        return this.db._eachTable((entry) => this._replayKeyspace(entry.keyspace));
+    }
+
+    // Completes the abandoned log entries of a keyspace.
+    _replayKeyspace(keyspace) {
+        const cql = `select * from ${dbu.cassID(keyspace)}.log`;
+        const options = { fetchSize: this.conf.fetch_size, retries: 3 };
+        return dbu.eachRow(this.db.client, cql, [], options, (row) => {
+            const entry = dbu.convertRows([row], this.db.logSchemaInfo)[0];
+            if (TimeUuid.fromString(entry.tid).getDate().getTime() +
+                    this.conf.timeout > Date.now()) {
+                // Possibly still in progress
+                return;
+            }
+            return this._replayEntry(entry);
+        })
+        .catch((e) => {
+            // Tables created before backend version 3 have no log, and
+            // keyspaces can be dropped concurrently
+            if (!/^(unconfigured table|keyspace .* does not exist)/i.test(e.message)) {
+                throw e;
+            }
+        });
+    }
+
+    _badRequest(title) {
+        return new dbu.HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title
+            }
+        });
+    }
+
+    // Checks the dependent updates before anything is written.
+    _validate(req, dependents) {
+        if (!req.query.if) {
+            return P.reject(this._badRequest('Dependent updates require a conditional put'));
+        }
+        if (!Array.isArray(dependents) || !dependents.length) {
+            return P.reject(this._badRequest('Dependent updates must be a non-empty array'));
+        }
+        return P.each(dependents, (op, i) => {
+            if (!op || (op.method !== 'put' && op.method !== 'delete')) {
+                throw this._badRequest(`Invalid method in dependent update ${i}`);
+            }
+            if (op.if || op.dependents) {
+                throw this._badRequest(`Dependent update ${i} can't be conditional`);
+            }
+            return this.db._makeInternalRequest(req.domain, op.table, { attributes: {} })
+            .then((opReq) => {
+                if (!opReq.schema) {
+                    throw this._badRequest(`Table ${op.table} not found in dependent ` +
+                        `update ${i}`);
+                }
+            });
+        });
+    }
+
+    _logRequest(req, attributes) {
+        return req.extend({
+            columnfamily: 'log',
+            schema: this.db.logSchemaInfo,
+            ttl: null,
+            query: { attributes }
+        });
+    }
+
+    _putEntry(req, attributes) {
+        return this.db._put(this._logRequest(req, attributes));
+    }
+
+    _deleteEntry(req, tid) {
+        return this.db._delete(this._logRequest(req, { tid }));
+    }
+
+    // Performs the dependent updates of an entry, and removes it.
+    _complete(req, entry) {
+        return this.db.batch(entry.domain, {
+            operations: entry.body.dependents,
+            mode: 'logged'
+        })
+        .then(() => this._deleteEntry(req, entry.tid));
+    }
+
+    /**
+     * Completes an abandoned log entry. Entries not marked as applied
+     * crashed before or right after the primary write; the primary row tells
+     * which.
+     * @param  {Object} entry the log entry
+     * @return {Promise}
+     */
+    _replayEntry(entry) {
+        return this.db._makeInternalRequest(entry.domain, entry.body.table, { attributes: {} })
+        .then((req) => P.resolve(entry.applied || this._primaryApplied(req, entry))
+        .then((applied) => {
+            if (!applied) {
+                this.log('warn/cassandra/dependent_updates_replay', {
+                    message: `Discarding dependent updates of unapplied write ${entry.tid}`,
+                    keyspace: req.keyspace
+                });
+                return this._deleteEntry(req, entry.tid);
+            }
+            return this._complete(req, entry);
+        })
+        .catch((e) => {
+            if (e.status === 400) {
+                // Replaying won't fix invalid updates
+                this.log('error/cassandra/dependent_updates_replay', e);
+                return this._deleteEntry(req, entry.tid);
+            }
+            if (e.status === 409) {
+                // A transaction holds the lock of a dependent update, so keep
+                // the entry for the next replay
+                this.log('warn/cassandra/dependent_updates_replay', {
+                    message: `Postponing the dependent updates of ${entry.tid}`,
+                    keyspace: req.keyspace,
+                    tid: e.body.tid
+                });
+                return;
+            }
+            throw e;
+        }));
+    }
+
+    // Returns the stored state of the non-key attributes of a put
+    _primaryState(req) {
+        const attributes = dbu.makeRawRequest(req).query.attributes;
+        return dbu.rawRowState(req.schema, attributes, Object.keys(attributes)
+            .filter((att) => !/^_/.test(att) && !req.schema.iKeyMap[att]));
+    }
+
+    // Checks whether the primary row holds the recorded state of the put.
+    _primaryApplied(req, entry) {
+        const attributes = entry.body.primary.attributes;
+        const key = {};
+        Object.keys(attributes).forEach((att) => {
+            if (req.schema.iKeyMap[att]) {
+                key[att] = attributes[att];
+            }
+        });
+        return this.db._getRaw(req.extend({ query: { attributes: key, limit: 1 } }))
+        .then((res) => {
+            const row = res.items[0];
+            const state = entry.body.state;
+            return !!row && stableStringify(dbu.rawRowState(req.schema, row,
+                Object.keys(state))) === stableStringify(state);
+        });
+    }
+}
+
+module.exports = DependentUpdates;
@@ -0,0 +1,423 @@
+'use strict';
+
+const P = require('bluebird');
+const extend = require('extend');
+const dbu = require('./dbutils');
+
+/** @const */
+const defaultConf = {
+    // Interval of the refresh of moves started by other processes, in
+    // milliseconds; 0 disables the refresh
+    refresh_interval: 10000,
+    // Number of rows read per page while copying a table
+    fetch_size: 100,
+    // Number of row count comparisons after copying a table, and the delay
+    // between them in milliseconds
+    verify_attempts: 3,
+    verify_delay: 1000
+};
+
+/**
+ * Column family of the moves, in the registry keyspace
+ * @const
+ */
+const MOVES_CF = 'domain_moves';
+
+/**
+ * Online moves of domains between storage groups.
+ *
+ * A move is recorded in the registry keyspace, and passes through two states:
+ * - `copying`: reads use the old storage group, and writes are applied to
+ *   both groups. Once all processes had the time to pick up the move, the
+ *   existing rows of each table are copied with their original write times,
+ *   so that they don't overwrite newer writes. The row counts of both groups
+ *   are then compared, and each verified table is recorded in the move's
+ *   progress. As writes are still applied to both groups while counting,
+ *   differing counts are compared again before failing the move. An
+ *   interrupted move resumes with the remaining tables.
+ * - `moved`: reads use the new storage group. Writes are still applied to
+ *   both groups, until the storage group configuration was updated to match
+ *   and the move is finished.
+ */
+class DomainMoves {
+    constructor(db, options) {
+        this.db = db;
+        this.log = options.log;
+        this.conf = Object.assign({}, defaultConf, options.conf.domain_moves);
+        this.schemaInfo = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema({
+            table: MOVES_CF,
+            attributes: {
+                domain: 'string',
+                from: 'string',
+                to: 'string',
+                state: 'string',
+                started: 'timestamp',
+                // table -> { rows }
+                progress: 'json'
+            },
+            index: [
+                { attribute: 'domain', type: 'hash' }
+            ]
+        }), true);
+        // domain -> move, as of the last refresh
+        this.moves = {};
+        // Promise of the column family setup, once per process
+        this.setup = null;
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Returns the storage group to read a domain's tables from.
+     * @param  {string} domain in dot notation
+     * @return {string|null} the storage group name, or null if the domain
+     *                       isn't being moved
+     */
+    readGroup(domain) {
+        const move = this.moves[domain];
+        if (!move) {
+            return null;
+        }
+        return move.state === 'moved' ? move.to : move.from;
+    }
+
+    /**
+     * Returns the storage group that writes to a domain's tables are
+     * repeated in.
+     * @param  {string} domain in dot notation
+     * @return {string|null} the storage group name, or null if the domain
+     *                       isn't being moved
+     */
+    mirrorGroup(domain) {
+        const move = this.moves[domain];
+        if (!move) {
+            return null;
+        }
+        return move.state === 'moved' ? move.from : move.to;
+    }
+
+    _request(query) {
+        return this.db._internalRequest(this.db.registry.conf.keyspace, MOVES_CF,
+            this.schemaInfo, query);
+    }
+
+    _setup() {
+        if (!this.setup) {
+            const req = this._request({ options: {} });
+            this.setup = this.db._createKeyspace(req)
+            .then(() => this.db._createTable(req, this.schemaInfo, MOVES_CF))
+            .catch((e) => {
+                this.setup = null;
+                throw e;
+            });
+        }
+        return this.setup;
+    }
+
+    // Updates the moves known to this process
+    _update(moves) {
+        this.moves = moves;
+        // Keyspace names depend on the storage group of a domain
+        this.db.keyspaceNameCache = {};
+    }
+
+    /**
+     * Reloads the moves, picking up moves started or finished by other
+     * processes.
+     * @return {Promise}
+     */
+    refresh() {
+        return this.db._getRaw(this._request({}))
+        .then((res) => {
+            const moves = {};
+            dbu.convertRows(res.items, this.schemaInfo).forEach((move) => {
+                moves[move.domain] = move;
+            });
+            if (JSON.stringify(moves) !== JSON.stringify(this.moves)) {
+                this._update(moves);
+            }
+        })
+        .catch((e) => {
+            // Nothing was moved yet
+            if (!/^Keyspace .* does not exist$|^unconfigured table/.test(e.message)) {
+                throw e;
+            }
+        });
+    }
+
+    startRefresh() {
+        if (!this.conf.refresh_interval || this.refreshTimer) {
+            return;
+        }
+        this.refreshTimer = setInterval(() => {
+            this.refresh()
+            .catch((e) => this.log('error/cassandra/domain_moves_refresh', e));
+        }, this.conf.refresh_interval);
+        this.refreshTimer.unref();
+    }
+
+    stopRefresh() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    _badRequest(title) {
+        return new dbu.HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title
+            }
+        });
+    }
+
+    _get(domain) {
+        return this._setup()
+        .then(() => this.db._getRaw(this._request({ attributes: { domain } })))
+        .then((res) => dbu.convertRows(res.items, this.schemaInfo)[0] || null);
+    }
+
+    _put(move, condition) {
+        const attributes = extend(true, {}, move);
+        attributes.started = new Date(move.started);
+        return this.db._put(this._request({ if: condition, attributes }))
+        .then(() => {
+            this._update(Object.assign({}, this.moves, { [move.domain]: move }));
+            return move;
+        });
+    }
+
+    // Lists the registry entries of a storage group's tables
+    _tables(group) {
+        const entries = [];
+        return this.db._eachTable((entry) => {
+            if (entry.storage_group === group) {
+                entries.push(entry);
+            }
+        })
+        .thenReturn(entries);
+    }
+
+    // Creates the tables of the old storage group in the new one
+    _createTables(move) {
+        return this._tables(move.from)
+        .then((entries) => P.each(entries, (entry) => this.db._getStoredSchema(entry.keyspace)
+        .then((schema) => {
+            if (!schema) {
+                // Dropped in the meantime
+                return;
+            }
+            const attributes = schema.attributes;
+            if (Object.keys(attributes).some((att) => attributes[att] === 'counter')) {
+                // Counter increments can't be replayed idempotently
+                throw this._badRequest(`Table ${entry.table} with counters can't be moved`);
+            }
+            return this.db._createTableForStorageGroup(move.to, schema);
+        })));
+    }
+
+    /**
+     * Copies a domain's rows of a table to another keyspace, using their
+     * original write times and the largest TTL of each row. Rows without
+     * write times, which only hold keys or collections, are written with the
+     * time the copy started, so that they don't overwrite later writes.
+     * @param  {string} domain
+     * @param  {string} table      the logical table name
+     * @param  {string} fromKeyspace
+     * @param  {string} toKeyspace
+     * @return {Promise}
+     */
+    _copy(domain, table, fromKeyspace, toKeyspace) {
+        return this.db._makeInternalRequest(domain, table, {}, () => fromKeyspace)
+        .then((fromReq) => {
+            const schema = fromReq.schema;
+            const attributes = Object.keys(schema.attributes);
+            // Write times and TTLs are only available for regular columns
+            const timed = attributes.filter((att) => schema.iKeys.indexOf(att) === -1 &&
+                !/^(set|list|map)<.*>$/.test(schema.attributes[att]));
+            const proj = attributes.map(dbu.cassID)
+                .concat(timed.map((att) => `writetime(${dbu.cassID(att)}) as ` +
+                    `${dbu.cassID(dbu.cassWriteTime(att))}`))
+                .concat(timed.map((att) => `TTL(${dbu.cassID(att)}) as ` +
+                    `${dbu.cassID(dbu.cassTTL(att))}`));
+            const cql = `select ${proj.join(',')} from ${dbu.cassID(fromKeyspace)}.data ` +
+                'where "_domain" = ? allow filtering';
+            const options = {
+                fetchSize: this.conf.fetch_size,
+                retries: 3,
+                withTTL: true
+            };
+            // No later than the read of any row
+            const started = Date.now();
+            return dbu.eachRow(this.db.client, cql, [domain], options, (row) => {
+                dbu.assignMaxWriteTime(row);
+                const writetime = row._writetime;
+                const values = dbu.convertRows([row], schema)[0];
+                Object.keys(values).forEach((att) => {
+                    // Locks only apply to the storage group being read from
+                    if (values[att] === null || values[att] === undefined ||
+                            /^_writetime/.test(att) ||
+                            (att === 'transactiontid' && schema.transactional)) {
+                        delete values[att];
+                    }
+                });
+                // In milliseconds
+                const query = {
+                    table,
+                    attributes: values,
+                    timestamp: writetime ? writetime / 1000 : started
+                };
+                return this.db._makeInternalRequest(domain, table, query, () => toKeyspace,
+                    true)
+                .then((req) => this.db._put(req));
+            });
+        });
+    }
+
+    // Counts a domain's rows of a table
+    _count(domain, keyspace) {
+        let count = 0;
+        const cql = `select "_domain" from ${dbu.cassID(keyspace)}.data ` +
+            'where "_domain" = ? allow filtering';
+        return dbu.eachRow(this.db.client, cql, [domain],
+            { fetchSize: this.conf.fetch_size, retries: 3 }, () => {
+                count++;
+            })
+        .then(() => count);
+    }
+
+    /**
+     * Compares the row counts of a table in both storage groups, and returns
+     * the number of rows.
+     * @param  {Object} move
+     * @param  {Object} entry      the registry entry of the table
+     * @param  {string} toKeyspace
+     * @param  {number} [attempt]
+     * @return {Promise<number>}
+     * @throws {HTTPError} 500 if the counts still differ after the last
+     *                     attempt
+     */
+    _verify(move, entry, toKeyspace, attempt = 1) {
+        return P.join(this._count(move.domain, entry.keyspace),
+            this._count(move.domain, toKeyspace))
+        .spread((fromRows, toRows) => {
+            if (fromRows === toRows) {
+                return fromRows;
+            }
+            if (attempt < this.conf.verify_attempts) {
+                // Possibly counted while a write was applied to one group only
+                return P.delay(this.conf.verify_delay)
+                .then(() => this._verify(move, entry, toKeyspace, attempt + 1));
+            }
+            throw new dbu.HTTPError({
+                status: 500,
+                body: {
+                    type: 'move_error',
+                    title: `Row count mismatch after copying table ${entry.table}: ` +
+                        `${fromRows} in ${move.from}, ${toRows} in ${move.to}`
+                }
+            });
+        });
+    }
+
+    // Copies and verifies the tables not yet recorded in the move's progress
+    _run(move) {
+        const started = Date.parse(move.started);
+        const wait = started + 2 * this.conf.refresh_interval - Date.now();
+        // Only copy once all processes write to both storage groups
+        return P.delay(Math.max(wait, 0))
+        .then(() => this._tables(move.from))
+        .then((entries) => P.each(entries, (entry) => {
+            if (move.progress[entry.table]) {
+                return;
+            }
+            const toKeyspace = this.db._keyspaceNameForStorageGroup(move.to, entry.table);
+            return this._copy(move.domain, entry.table, entry.keyspace, toKeyspace)
+            .then(() => this._verify(move, entry, toKeyspace))
+            .then((rows) => {
+                move.progress[entry.table] = { rows };
+                return this._put(move);
+            });
+        }))
+        .then(() => {
+            move.state = 'moved';
+            return this._put(move);
+        });
+    }
+
+    /**
+     * Moves a domain to another storage group, or resumes an interrupted
+     * move.
+     * @param  {string} domain in dot notation
+     * @param  {string} group  the name of the new storage group
+     * @return {Promise<Object>} the move, in state `moved`
+     */
+    move(domain, group) {
+        if (!this.db.storageGroups.some((storageGroup) => storageGroup.name === group)) {
+            return P.reject(this._badRequest(`Unknown storage group ${group}`));
+        }
+        return this._get(domain)
+        .then((move) => {
+            if (move) {
+                if (move.to !== group) {
+                    throw this._badRequest(`${domain} is being moved to ${move.to}`);
+                }
+                // Pick up tables created since the move was started
+                return this._createTables(move).thenReturn(move);
+            }
+            move = {
+                domain,
+                from: this.db._resolveStorageGroup(domain).name,
+                to: group,
+                state: 'copying',
+                started: new Date().toISOString(),
+                progress: {}
+            };
+            if (move.from === group) {
+                throw this._badRequest(`${domain} already belongs to ${group}`);
+            }
+            // The tables need to exist before writes are repeated in them
+            return this._createTables(move)
+            .then(() => this._put(move, 'not exists'))
+            .catch({ status: 412 }, () => {
+                throw this._badRequest(`${domain} is being moved by another process`);
+            });
+        })
+        .then((move) => {
+            if (move.state === 'moved') {
+                return move;
+            }
+            this.log('warn/cassandra/domain_move', {
+                message: `Moving ${domain} from ${move.from} to ${move.to}`,
+                domain
+            });
+            return this._run(move);
+        });
+    }
+
+    /**
+     * Finishes a move once the storage group configuration was updated,
+     * which stops repeating writes in the old storage group.
+     * @param  {string} domain in dot notation
+     * @return {Promise}
+     */
+    finish(domain) {
+        return this._get(domain)
+        .then((move) => {
+            if (!move || move.state !== 'moved') {
+                throw this._badRequest(`${domain} has no completed move`);
+            }
+            if (this.db._configuredStorageGroup(domain).name !== move.to) {
+                throw this._badRequest(`The storage group configuration of ${domain} ` +
+                    `needs to be updated to ${move.to} first`);
+            }
+            return this.db._delete(this._request({ attributes: { domain } }));
+        })
+        .then(() => {
+            const moves = Object.assign({}, this.moves);
+            delete moves[domain];
+            this._update(moves);
+        });
+    }
+}
+
+module.exports = DomainMoves;
@@ -6,6 +6,8 @@ const fs = require('fs');
 const loadBalancing = cass.policies.loadBalancing;
 const reconnection = cass.policies.reconnection;
 const DB = require('./db');
+const MemoryDB = require('./memoryDB');
+const SqliteDB = require('./sqliteDB');
 
 function validateAndNormalizeDcConf(conf) {
     // Default to 'datacenter1'
@@ -44,10 +46,44 @@ function sslOptions(sslConf) {
     return sslOpts;
 }
 
+function makeSqliteClient(options) {
+    // Optional dependency, only needed for this backend
+    const sqlite3 = require('sqlite3');
+    const sqliteConf = Object.assign({
+        path: 'restbase.sqlite3',
+        busy_timeout: 10000
+    }, options.conf.sqlite);
+    return new P((resolve, reject) => {
+        const client = new sqlite3.Database(sqliteConf.path, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(client);
+            }
+        });
+    })
+    .then((client) => {
+        // Wait for writes of other processes sharing the database
+        client.configure('busyTimeout', sqliteConf.busy_timeout);
+        const db = new SqliteDB(client, options);
+        db.startSchemaRefresh();
+        return db;
+    });
+}
+
 function makeClient(options) {
     const clientOpts = {};
     const conf = options.conf;
     validateAndNormalizeDcConf(conf);
+    if (!conf.salt_key) {
+        throw new Error('salt_key is required to sign next tokens');
+    }
+
+    if (conf.backend === 'memory') {
+        return P.resolve(new MemoryDB(options));
+    } else if (conf.backend === 'sqlite') {
+        return makeSqliteClient(options);
+    }
 
     clientOpts.keyspace = conf.keyspace || 'system';
     clientOpts.contactPoints = conf.hosts;
@@ -111,7 +147,16 @@ function makeClient(options) {
     });
 
     return client.connect()
-    .then(() => new DB(client, options));
+    .then(() => {
+        const db = new DB(client, options);
+        db.transactions.startCleanup();
+        db.dependentUpdates.startReplay();
+        db.startSchemaRefresh();
+        db.domainMoves.startRefresh();
+        // Domains being moved need to resolve to the right storage group
+        // from the start.
+        return db.domainMoves.refresh().thenReturn(db);
+    });
 }
 
 module.exports = makeClient;
@@ -0,0 +1,811 @@
+'use strict';
+
+const P = require('bluebird');
+const cass = require('cassandra-driver');
+const extend = require('extend');
+const DB = require('./db');
+const dbu = require('./dbutils');
+const rawValues = require('./rawValues');
+
+const types = cass.types;
+const compareRaw = rawValues.compareRaw;
+const rawValue = rawValues.rawValue;
+const applyUpdateOp = rawValues.applyUpdateOp;
+
+/*
+ * In-memory storage backend, for tests and local development.
+ *
+ * Keyspaces and column families are emulated in memory, so that storage
+ * groups, the per-domain partitioning of column families, the meta column
+ * family holding the schema, and schema migrations behave as they do on
+ * Cassandra. Requests are validated by building the CQL that would be sent
+ * to Cassandra, and then evaluated against the in-memory rows.
+ *
+ * Values are stored in the representation the Cassandra driver returns, so
+ * that the regular read conversions apply.
+ */
+
+/**
+ * Evaluates the predicates of a query or condition against a row.
+ * @param  {Object} schema     the schema info
+ * @param  {Object} predicates attribute -> value or predicate object
+ * @param  {Object} row        the stored row
+ * @return {boolean}
+ */
+function matches(schema, predicates, row) {
+    return Object.keys(predicates).every((att) => {
+        const type = schema.attributes[att];
+        const pred = predicates[att];
+        const val = row[att] === undefined ? null : row[att];
+        if (pred === null || pred.constructor !== Object) {
+            return compareRaw(type, val, rawValue(schema, att, pred)) === 0;
+        }
+        return Object.keys(pred).every((op) => {
+            const arg = pred[op];
+            /* eslint-disable indent */
+            switch (op.toLowerCase()) {
+                case 'eq':
+                    return compareRaw(type, val, rawValue(schema, att, arg)) === 0;
+                case 'ne':
+                    return compareRaw(type, val, rawValue(schema, att, arg)) !== 0;
+                case 'lt':
+                    return val !== null && compareRaw(type, val, rawValue(schema, att, arg)) < 0;
+                case 'gt':
+                    return val !== null && compareRaw(type, val, rawValue(schema, att, arg)) > 0;
+                case 'le':
+                    return val !== null && compareRaw(type, val, rawValue(schema, att, arg)) <= 0;
+                case 'ge':
+                    return val !== null && compareRaw(type, val, rawValue(schema, att, arg)) >= 0;
+                case 'between':
+                    return val !== null &&
+                        compareRaw(type, val, rawValue(schema, att, arg[0])) >= 0 &&
+                        compareRaw(type, val, rawValue(schema, att, arg[1])) <= 0;
+                default:
+                    throw new Error(`Illegal predicate operator for ${op}`);
+            }
+            /* eslint-enable indent */
+        });
+    });
+}
+
+/**
+ * Rejects queries Cassandra can't answer with a slice of a partition: range
+ * keys can only be restricted after all preceding ones, and only the last
+ * restricted one by a range predicate.
+ * @param {Object} schema     the schema info
+ * @param {Object} attributes the query predicates
+ * @throws {Error} with Cassandra's message
+ */
+function checkSlice(schema, attributes) {
+    let sliced;
+    let unrestricted;
+    schema.index.forEach((elem) => {
+        const pred = attributes[elem.attribute];
+        if (elem.type !== 'range') {
+            return;
+        } else if (pred === undefined) {
+            unrestricted = unrestricted || elem.attribute;
+        } else if (sliced) {
+            throw new Error(`Clustering column "${elem.attribute}" cannot be restricted ` +
+                `(preceding column "${sliced}" is restricted by a non-EQ relation)`);
+        } else if (unrestricted) {
+            throw new Error(`PRIMARY KEY column "${elem.attribute}" cannot be restricted ` +
+                `as preceding column "${unrestricted}" is not restricted`);
+        } else if (pred !== null && pred.constructor === Object &&
+                Object.keys(pred).some((op) => op.toLowerCase() !== 'eq')) {
+            sliced = elem.attribute;
+        }
+    });
+}
+
+// Whether a cell holds a value at time `now`
+function isLive(cell, now) {
+    return !!cell && cell.value !== null && (!cell.expires || cell.expires > now);
+}
+
+// Copies the partitions of a column family, sharing the unmodified cells
+function copyPartitions(partitions) {
+    const copy = new Map();
+    partitions.forEach((partition, partKey) => {
+        const rows = new Map();
+        partition.rows.forEach((row, clusteringKey) => {
+            rows.set(clusteringKey, Object.assign({}, row, {
+                cells: Object.assign({}, row.cells)
+            }));
+        });
+        copy.set(partKey, Object.assign({}, partition, {
+            statics: Object.assign({}, partition.statics),
+            rows
+        }));
+    });
+    return copy;
+}
+
+class MemoryDB extends DB {
+    constructor(options) {
+        super(null, options);
+        // There are no Cassandra schemas to update
+        this.conf.skip_schema_update = true;
+        // keyspace -> column family -> { schema, partitions }
+        this.keyspaces = {};
+        // Tail of the queue of writes, see _exclusive
+        this.writes = P.resolve();
+        // Column family -> partitions before the current write, see _begin
+        this.undo = null;
+    }
+
+    _getCassandraVersion() {
+        return null;
+    }
+
+    _disconnect() {
+        return P.resolve();
+    }
+
+    _createKeyspace(req) {
+        if (!this.keyspaces[req.keyspace]) {
+            this.keyspaces[req.keyspace] = {};
+        }
+        return P.resolve();
+    }
+
+    _createTable(req, schema, columnfamily) {
+        const keyspace = this.keyspaces[req.keyspace];
+        if (!keyspace[columnfamily]) {
+            keyspace[columnfamily] = {
+                schema,
+                // JSON of the partition key -> { key, statics, rows }
+                partitions: new Map()
+            };
+        }
+        return P.resolve();
+    }
+
+    _dropTable(keyspace) {
+        this.schemaCache[keyspace] = null;
+        delete this.keyspaces[keyspace];
+        return P.resolve();
+    }
+
+    _buildIndexes() {
+        // Index entries are derived from the rows of the primary table
+        return P.resolve();
+    }
+
+    updateReplicationIfNecessary() {
+        return P.resolve();
+    }
+
+    moveDomain() {
+        // Copying rows requires scanning a Cassandra table
+        return P.reject(new dbu.HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title: 'Domain moves are only supported by the Cassandra backend'
+            }
+        }));
+    }
+
+    exportTable() {
+        // Exports page through a Cassandra table scan
+        return P.reject(new dbu.HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title: 'Table exports are only supported by the Cassandra backend'
+            }
+        }));
+    }
+
+    splitTable() {
+        // Tokens are computed by the Cassandra partitioner
+        return P.reject(new dbu.HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title: 'Token range scans are only supported by the Cassandra backend'
+            }
+        }));
+    }
+
+    /**
+     * Looks up an emulated column family.
+     * @param  {string} keyspace
+     * @param  {string} columnfamily
+     * @return {Object} the column family
+     * @throws {Error} with Cassandra's message if it does not exist
+     */
+    _columnfamily(keyspace, columnfamily) {
+        if (!this.keyspaces[keyspace]) {
+            throw new Error(`Keyspace ${keyspace} does not exist`);
+        }
+        const cf = this.keyspaces[keyspace][columnfamily];
+        if (!cf) {
+            throw new Error(`unconfigured table ${columnfamily}`);
+        }
+        return cf;
+    }
+
+    /**
+     * Provides the column family a request operates on. Backends persisting
+     * the data elsewhere load the rows the request can touch.
+     * @param  {InternalRequest} req
+     * @return {Promise<Object>} the column family
+     */
+    _load(req) {
+        return P.try(() => {
+            const cf = this._columnfamily(req.keyspace, req.columnfamily);
+            if (this.undo && !this.undo.has(cf)) {
+                this.undo.set(cf, copyPartitions(cf.partitions));
+            }
+            return cf;
+        });
+    }
+
+    /**
+     * Persists the changes a write made to the column family _load returned,
+     * given the request and the column family. In-memory column families are
+     * modified in place.
+     * @return {Promise}
+     */
+    _store() {
+        return P.resolve();
+    }
+
+    /**
+     * Runs writes one at a time, each as a transaction: if fn fails, the
+     * changes it made are rolled back.
+     * @param  {Function} fn returns a promise
+     * @return {Promise}  the result of fn
+     */
+    _exclusive(fn) {
+        const res = this.writes
+        .then(() => this._begin())
+        .then(() => P.try(fn)
+            .then((result) => this._commit().thenReturn(result),
+                (e) => this._rollback().then(() => {
+                    throw e;
+                })));
+        this.writes = res.catch(() => {});
+        return res;
+    }
+
+    // Starts recording the partitions of the column families a write loads
+    _begin() {
+        this.undo = new Map();
+        return P.resolve();
+    }
+
+    _commit() {
+        this.undo = null;
+        return P.resolve();
+    }
+
+    _rollback() {
+        this.undo.forEach((partitions, cf) => {
+            cf.partitions = partitions;
+        });
+        this.undo = null;
+        return P.resolve();
+    }
+
+    // The key of a partition or row in the partitions and rows maps
+    _cellKey(cells) {
+        return JSON.stringify(Object.keys(cells).map((att) => String(cells[att].value)));
+    }
+
+    /**
+     * Materializes the live rows of a column family.
+     * @param  {Object}  schema the schema info
+     * @param  {Object}  cf     the column family
+     * @param  {boolean} [keys] include static-only partitions
+     * @return {Array} rows, as attribute -> { value, writetime, expires }
+     */
+    _liveRows(schema, cf, keys) {
+        const now = Date.now();
+        const res = [];
+        const keyOf = (cells) => JSON.stringify(schema.iKeys.map((att) =>
+            cells[att] && cells[att].value !== null ? String(cells[att].value) : null));
+        Array.from(cf.partitions.keys()).sort().forEach((partKey) => {
+            const partition = cf.partitions.get(partKey);
+            const statics = {};
+            Object.keys(partition.statics).forEach((att) => {
+                if (isLive(partition.statics[att], now)) {
+                    statics[att] = partition.statics[att];
+                }
+            });
+            const rows = [];
+            partition.rows.forEach((row) => {
+                const cells = {};
+                let live = isLive(row.marker, now);
+                Object.keys(row.cells).forEach((att) => {
+                    if (isLive(row.cells[att], now)) {
+                        cells[att] = row.cells[att];
+                        live = true;
+                    }
+                });
+                if (live) {
+                    rows.push(Object.assign({}, partition.key, row.key, cells, statics));
+                }
+            });
+            if (!rows.length && Object.keys(statics).length && keys) {
+                rows.push(Object.assign({}, partition.key, statics));
+            }
+            rows.sort((a, b) => {
+                for (let i = 0; i < schema.index.length; i++) {
+                    const elem = schema.index[i];
+                    if (elem.type === 'range') {
+                        const att = elem.attribute;
+                        const cmp = compareRaw(schema.attributes[att],
+                            a[att] && a[att].value, b[att] && b[att].value);
+                        if (cmp) {
+                            return elem.order === 'desc' ? -cmp : cmp;
+                        }
+                    }
+                }
+                return 0;
+            });
+            rows.forEach((row) => {
+                row._key = keyOf(row);
+                res.push(row);
+            });
+        });
+        return res;
+    }
+
+    // Extracts the stored values of a materialized row
+    _values(schema, row) {
+        const values = {};
+        Object.keys(schema.attributes).forEach((att) => {
+            values[att] = row[att] ? row[att].value : null;
+        });
+        return values;
+    }
+
+    _getRaw(req, options) {
+        options = options || {};
+        if (!req.schema) {
+            throw new Error('restbase-mod-table-cassandra: ' +
+                `No schema for ${req.keyspace}, table: ${req.columnfamily}`);
+        }
+        // Validates the query, and adds the _domain attribute
+        return P.try(() => {
+            if (dbu.buildGetQuery(req, options).range) {
+                throw new dbu.HTTPError({
+                    status: 400,
+                    body: {
+                        type: 'bad_request',
+                        title: 'Token range scans are only supported by the Cassandra backend'
+                    }
+                });
+            }
+        })
+        .then(() => this._load(req))
+        .then((cf) => {
+            const query = req.query;
+            let schema = req.schema;
+            const attributes = query.attributes || {};
+            const hasRangePredicate = Object.keys(attributes).some((att) =>
+                schema.iKeyMap[att] && schema.iKeyMap[att].type === 'range');
+            let rows = this._liveRows(schema, cf, !hasRangePredicate && !query.index)
+                .map((row) => this._values(schema, row));
+            if (query.index) {
+                // Secondary index entries map one-to-one to rows of the
+                // primary table, so they are derived on the fly.
+                schema = dbu.indexSchemaInfo(schema, query.index);
+                const idxSchema = schema;
+                rows = rows.map((row) => {
+                    const entry = {};
+                    Object.keys(idxSchema.attributes).forEach((att) => {
+                        entry[att] = row[att];
+                    });
+                    return entry;
+                })
+                .filter((entry) => idxSchema.iKeys.every((att) => entry[att] !== null))
+                .sort((a, b) => {
+                    for (let i = 0; i < idxSchema.index.length; i++) {
+                        const elem = idxSchema.index[i];
+                        const cmp = compareRaw(idxSchema.attributes[elem.attribute],
+                            a[elem.attribute], b[elem.attribute]);
+                        if (cmp && elem.type === 'range') {
+                            return elem.order === 'desc' ? -cmp : cmp;
+                        } else if (cmp && elem.type === 'hash') {
+                            return cmp;
+                        }
+                    }
+                    return 0;
+                });
+            }
+            checkSlice(schema, attributes);
+            rows = rows.filter((row) => matches(schema, attributes, row));
+            if (query.order) {
+                const reversed = Object.keys(query.order).some((att) =>
+                    query.order[att] !== schema.iKeyMap[att].order);
+                if (reversed) {
+                    rows.reverse();
+                }
+            }
+            if (query.distinct) {
+                const seen = new Set();
+                rows = rows.filter((row) => {
+                    const key = JSON.stringify(schema.index
+                        .filter((elem) => elem.type === 'hash')
+                        .map((elem) => String(row[elem.attribute])));
+                    if (seen.has(key)) {
+                        return false;
+                    }
+                    seen.add(key);
+                    return true;
+                });
+            }
+            const limit = dbu.resultLimit(query, options);
+            if (limit) {
+                rows = rows.slice(0, limit);
+            }
+
+            let next;
+            if (query.limit) {
+                const offset = query.next ? parseInt(dbu.decodePageToken(query.next, req,
+                    this.pageTokenOptions).toString(), 10) : 0;
+                if (isNaN(offset)) {
+                    throw new Error('Invalid paging state');
+                }
+                const end = offset + query.limit;
+                if (end < rows.length) {
+                    next = dbu.encodePageToken(Buffer.from(String(end)), req,
+                        this.pageTokenOptions);
+                }
+                rows = rows.slice(offset, end);
+            }
+
+            let projAttrs = Object.keys(schema.attributes);
+            if (query.proj) {
+                projAttrs = Array.isArray(query.proj) ? query.proj : [query.proj];
+            }
+            const cellRows = (options.withTTL || options.withWriteTime) &&
+                this._liveRows(req.schema, cf, true).reduce((map, row) => {
+                    map[row._key] = row;
+                    return map;
+                }, {});
+            const now = Date.now();
+            const items = rows.map((row) => {
+                const item = {};
+                projAttrs.forEach((att) => {
+                    item[att] = row[att] === undefined ? null : row[att];
+                });
+                if (cellRows) {
+                    const key = JSON.stringify(req.schema.iKeys.map((att) =>
+                        row[att] !== null && row[att] !== undefined ? String(row[att]) : null));
+                    const cells = cellRows[key] || {};
+                    projAttrs.forEach((att) => {
+                        const type = schema.attributes[att];
+                        if (!schema.iKeyMap[att] && !/^(set|map|list)<.*>$/.test(type) &&
+                                type !== 'counter') {
+                            const cell = cells[att];
+                            if (options.withTTL) {
+                                item[dbu.cassTTL(att)] = cell && cell.expires ?
+                                    Math.ceil((cell.expires - now) / 1000) : null;
+                            }
+                            if (options.withWriteTime) {
+                                item[dbu.cassWriteTime(att)] = cell ? cell.writetime : null;
+                            }
+                        }
+                    });
+                    if (options.withTTL) {
+                        dbu.assignMaxTTL(item);
+                    }
+                    if (options.withWriteTime) {
+                        dbu.assignMaxWriteTime(item);
+                    }
+                }
+                return item;
+            });
+            return next ? { items, next } : { items };
+        });
+    }
+
+    /**
+     * Finds the stored partition and row addressed by a full primary key.
+     * @param  {Object}  schema     the schema info
+     * @param  {Object}  cf         the column family
+     * @param  {Object}  attributes the request attributes
+     * @param  {boolean} create     create them if missing
+     * @return {Object} { partition, row }
+     */
+    _locate(schema, cf, attributes, create) {
+        const key = {};
+        const rowKey = {};
+        schema.index.forEach((elem) => {
+            if (elem.type === 'hash' || elem.type === 'range') {
+                const cell = {
+                    value: rawValue(schema, elem.attribute, attributes[elem.attribute])
+                };
+                (elem.type === 'hash' ? key : rowKey)[elem.attribute] = cell;
+            }
+        });
+        const partKey = this._cellKey(key);
+        let partition = cf.partitions.get(partKey);
+        if (!partition && create) {
+            partition = { key, statics: {}, rows: new Map() };
+            cf.partitions.set(partKey, partition);
+        }
+        const clusteringKey = this._cellKey(rowKey);
+        let row = partition && partition.rows.get(clusteringKey);
+        if (!row && create) {
+            row = { key: rowKey, marker: null, cells: {} };
+            partition.rows.set(clusteringKey, row);
+        }
+        return { partition, row };
+    }
+
+    // The stored values of a row, including static values
+    _current(schema, location) {
+        const now = Date.now();
+        if (!location.partition) {
+            return null;
+        }
+        const row = location.row;
+        const live = row && (isLive(row.marker, now) ||
+            Object.keys(row.cells).some((att) => isLive(row.cells[att], now)));
+        const values = {};
+        const cells = Object.assign({}, location.partition.key, row && row.key,
+            row && row.cells, location.partition.statics);
+        Object.keys(schema.attributes).forEach((att) => {
+            values[att] = isLive(cells[att], now) ? cells[att].value : null;
+        });
+        return live ? values : null;
+    }
+
+    // Rejects a write whose condition is not met, as DB#_checkApplied does
+    _notApplied(req, current, atts) {
+        const row = { '[applied]': false };
+        if (current) {
+            (atts || Object.keys(current)).forEach((att) => {
+                row[att] = current[att];
+            });
+        }
+        this._checkApplied(req, { rows: [row] });
+    }
+
+    _put(req) {
+        if (!req.schema) {
+            throw new Error('Table not found!');
+        }
+        if (req.query.dependents) {
+            return this.dependentUpdates.run(req, (primaryReq) => this._put(primaryReq));
+        }
+        return this._exclusive(() => this._putRows(req))
+        .thenReturn({ status: 201 });
+    }
+
+    // Applies a put to the rows
+    _putRows(req) {
+        // Validates the write, normalizes conditions, and adds _domain
+        return P.try(() => dbu.buildPutQuery(req))
+        .then((queryInfo) => this._load(req).then((cf) => {
+            const schema = req.schema;
+            const query = req.query;
+            const attributes = query.attributes;
+            const location = this._locate(schema, cf, attributes, false);
+            const current = this._current(schema, location);
+            if (query.if === 'not exists' && current) {
+                this._notApplied(req, current);
+            } else if (query.if === 'exists' && !current) {
+                this._notApplied(req, null);
+            } else if (query.if && query.if.constructor === Object &&
+                    !matches(schema, query.if, current || {})) {
+                this._notApplied(req, current, Object.keys(query.if));
+            }
+
+            const now = Date.now();
+            const writetime = query.timestamp && !query.if ?
+                Math.round(query.timestamp * 1000) : now * 1000;
+            const ttl = req.ttl || (schema.options && schema.options.default_time_to_live);
+            const expires = ttl ? now + ttl * 1000 : null;
+            const target = this._locate(schema, cf, attributes, true);
+            const write = (cells, att, value) => {
+                const cell = cells[att];
+                if (!cell || cell.writetime <= writetime) {
+                    cells[att] = { value, writetime, expires };
+                }
+            };
+            if (/^insert /.test(queryInfo.cql)) {
+                write(target.row, 'marker', true);
+            }
+            Object.keys(attributes).forEach((att) => {
+                const val = attributes[att];
+                const type = schema.attributes[att];
+                if (val === undefined || !type || schema.iKeyMap[att]) {
+                    return;
+                }
+                const cells = schema.staticKeyMap[att] ?
+                    target.partition.statics : target.row.cells;
+                const op = type === 'counter' ? dbu.counterOperation(att, val) :
+                    dbu.collectionOperation(type, val);
+                if (op) {
+                    let operand = op.operand;
+                    if (type !== 'counter' && !(/^map</.test(type) && op.op === 'remove')) {
+                        operand = rawValue(schema, att, operand) ||
+                            (Array.isArray(operand) ? [] : {});
+                    }
+                    const currentCell = isLive(cells[att], now) ? cells[att].value : null;
+                    write(cells, att, applyUpdateOp(type, currentCell, op.op, operand));
+                } else {
+                    write(cells, att, rawValue(schema, att, val));
+                }
+            });
+            return this._store(req, cf);
+        }));
+    }
+
+    _delete(req) {
+        return this._exclusive(() => this._deleteRows(req))
+        .thenReturn({ status: 204 });
+    }
+
+    // Applies a delete to the rows
+    _deleteRows(req) {
+        // Validates the predicates, and adds _domain
+        return P.try(() => dbu.buildDeleteQuery(req))
+        .then(() => this._load(req).then((cf) => {
+            const schema = req.schema;
+            const query = req.query;
+            const attributes = query.attributes;
+            if (query.if) {
+                const current = this._current(schema,
+                    this._locate(schema, cf, attributes, false));
+                if (query.if === 'exists' && !current) {
+                    this._notApplied(req, null);
+                } else if (query.if.constructor === Object &&
+                        !matches(schema, query.if, current || {})) {
+                    this._notApplied(req, current, Object.keys(query.if));
+                }
+            }
+            const deletetime = query.timestamp && !query.if ?
+                Math.round(query.timestamp * 1000) : Date.now() * 1000;
+            const shadow = (cells) => Object.keys(cells).forEach((att) => {
+                if (cells[att].writetime <= deletetime) {
+                    delete cells[att];
+                }
+            });
+            const hasRangePredicate = Object.keys(attributes).some((att) =>
+                schema.iKeyMap[att].type === 'range');
+            const keyPredicates = {};
+            Object.keys(attributes).forEach((att) => {
+                if (schema.iKeyMap[att].type === 'hash') {
+                    keyPredicates[att] = attributes[att];
+                }
+            });
+            cf.partitions.forEach((partition) => {
+                const partValues = {};
+                Object.keys(partition.key).forEach((att) => {
+                    partValues[att] = partition.key[att].value;
+                });
+                if (!matches(schema, keyPredicates, partValues)) {
+                    return;
+                }
+                if (!hasRangePredicate) {
+                    // Deleting a partition also deletes its static values
+                    shadow(partition.statics);
+                }
+                partition.rows.forEach((row) => {
+                    const values = Object.assign({}, partValues);
+                    Object.keys(row.key).forEach((att) => {
+                        values[att] = row.key[att].value;
+                    });
+                    if (matches(schema, attributes, values)) {
+                        shadow(row.cells);
+                        if (row.marker && row.marker.writetime <= deletetime) {
+                            row.marker = null;
+                        }
+                    }
+                });
+            });
+            return this._store(req, cf);
+        }));
+    }
+
+    /**
+     * Performs a list of put and delete operations. All operations are
+     * validated before any is applied, and then applied as one write, so
+     * that a failure rolls back the operations applied before it.
+     * @param  {string}   domain            in dot notation
+     * @param  {Object}   query             batch query, as for DB#batch
+     * @param  {Function} [resolveKeyspace] keyspace name resolver
+     * @return {Promise<Object>} result, with one item per operation
+     */
+    _batch(domain, query, resolveKeyspace) {
+        const operations = query.operations;
+        const mode = query.mode || 'logged';
+        const badRequest = (title) => new dbu.HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title
+            }
+        });
+        if (!Array.isArray(operations) || !operations.length) {
+            return P.reject(badRequest('A batch requires a non-empty operations array'));
+        }
+        if (mode !== 'logged' && mode !== 'unlogged') {
+            return P.reject(badRequest(`Invalid batch mode ${mode}`));
+        }
+        return P.map(operations, (op, i) => {
+            if (!op || (op.method !== 'put' && op.method !== 'delete')) {
+                throw badRequest(`Invalid method in batch operation ${i}`);
+            }
+            if (op.if) {
+                throw badRequest(`Conditional batch operation ${i} is not supported`);
+            }
+            return this._makeInternalRequest(domain, op.table, op, resolveKeyspace, true)
+            .then((req) => {
+                if (!req.schema) {
+                    throw badRequest(`Table ${op.table} not found in batch operation ${i}`);
+                }
+                try {
+                    // Validate without modifying the request
+                    const checkReq = req.extend({ query: extend(true, {}, req.query) });
+                    if (op.method === 'put') {
+                        dbu.buildPutQuery(checkReq);
+                    } else {
+                        dbu.buildDeleteQuery(checkReq);
+                    }
+                } catch (e) {
+                    if (e instanceof dbu.HTTPError) {
+                        throw e;
+                    }
+                    throw badRequest(`Invalid batch operation ${i}: ${e.message}`);
+                }
+                return req;
+            });
+        })
+        .then((reqs) => {
+            if (query.consistency) {
+                // Consistency levels are validated, but don't apply here
+                dbu.consistencyLevel(query.consistency, 'write');
+            }
+            return this._exclusive(() => P.each(reqs, (req, i) =>
+                operations[i].method === 'put' ? this._putRows(req) : this._deleteRows(req)));
+        })
+        .then(() => ({
+            items: operations.map((op) => ({
+                table: op.table,
+                status: op.method === 'put' ? 201 : 204
+            }))
+        }));
+    }
+
+    /**
+     * Performs a transaction. As writes to the in-memory backend can't
+     * interleave, a transaction is a batch of writes to participating
+     * tables.
+     * @param  {string} domain in dot notation
+     * @param  {Object} query  transaction query, as for DB#transaction
+     * @return {Promise<Object>} result, with the transaction `tid` and one
+     *                         item per operation
+     */
+    transaction(domain, query) {
+        const operations = query && query.operations;
+        return P.each(Array.isArray(operations) ? operations : [], (op) =>
+            this._makeInternalRequest(domain, op && op.table, {})
+            .then((req) => {
+                if (req.schema && !req.schema.transactional) {
+                    throw new dbu.HTTPError({
+                        status: 400,
+                        body: {
+                            type: 'bad_request',
+                            title: `Table ${op.table} does not support transactions`
+                        }
+                    });
+                }
+            }))
+        .then(() => this.batch(domain, { operations }))
+        .then((res) => ({
+            tid: types.TimeUuid.now().toString(),
+            items: res.items
+        }));
+    }
+}
+
+module.exports = MemoryDB;
@@ -0,0 +1,175 @@
+'use strict';
+
+const cass = require('cassandra-driver');
+
+const types = cass.types;
+
+/*
+ * Conversions and comparisons of stored values, in the representation the
+ * Cassandra driver returns. Shared by the backends emulating Cassandra's
+ * storage, and by the fake Cassandra client of the tests.
+ */
+
+/**
+ * Compares two stored values the way Cassandra orders them.
+ * @param  {string} type the schema type
+ * @param  {*}      a
+ * @param  {*}      b
+ * @return {number}      negative, zero or positive
+ */
+function compareRaw(type, a, b) {
+    if (a === null || a === undefined) {
+        return b === null || b === undefined ? 0 : -1;
+    } else if (b === null || b === undefined) {
+        return 1;
+    }
+    /* eslint-disable indent */
+    switch (type) {
+        case 'string':
+        case 'json':
+            return Buffer.compare(Buffer.from(a), Buffer.from(b));
+        case 'blob':
+            return Buffer.compare(a, b);
+        case 'timestamp':
+            return a.getTime() - b.getTime();
+        case 'timeuuid': {
+            const pa = a.getDatePrecision();
+            const pb = b.getDatePrecision();
+            return (pa.date.getTime() - pb.date.getTime()) || (pa.ticks - pb.ticks) ||
+                compareRaw('string', a.toString(), b.toString());
+        }
+        case 'uuid':
+            return compareRaw('string', a.toString(), b.toString());
+        case 'varint':
+        case 'decimal':
+        case 'long':
+        case 'counter':
+            return a.compare(b);
+        case 'boolean':
+            return Number(a) - Number(b);
+        default:
+            if (Array.isArray(a) || typeof a === 'object') {
+                return compareRaw('string', JSON.stringify(a), JSON.stringify(b));
+            }
+            return a < b ? -1 : (a > b ? 1 : 0);
+    }
+    /* eslint-enable indent */
+}
+
+/**
+ * Converts a value to the representation returned by the Cassandra driver.
+ * @param  {string} type the schema type
+ * @param  {*}      val  the value, after write conversion
+ * @return {*}           the stored value
+ */
+function toRaw(type, val) {
+    if (val === null || val === undefined) {
+        return null;
+    }
+    const collection = /^(set|list)<(\w+)>$/.exec(type);
+    if (collection) {
+        let items = val.map((item) => toRaw(collection[2], item));
+        if (collection[1] === 'set') {
+            // Sets are ordered, and hold each value once
+            items = items.sort((a, b) => compareRaw(collection[2], a, b))
+                .filter((item, i) => !i || compareRaw(collection[2], items[i - 1], item));
+        }
+        return items.length ? items : null;
+    }
+    const map = /^map<\w+,\s*(\w+)>$/.exec(type);
+    if (map) {
+        const keys = Object.keys(val).sort();
+        if (!keys.length) {
+            return null;
+        }
+        const res = {};
+        keys.forEach((key) => {
+            res[key] = toRaw(map[1], val[key]);
+        });
+        return res;
+    }
+    /* eslint-disable indent */
+    switch (type) {
+        case 'varint':
+            return types.Integer.fromString(String(val));
+        case 'decimal':
+            return types.BigDecimal.fromString(String(val));
+        case 'float':
+            return Math.fround(val);
+        case 'timestamp': {
+            const date = new Date(val);
+            if (isNaN(date.getTime())) {
+                throw new Error(`Invalid timestamp ${val}`);
+            }
+            return date;
+        }
+        case 'timeuuid':
+            return types.TimeUuid.fromString(String(val));
+        case 'uuid':
+            return types.Uuid.fromString(String(val));
+        case 'long':
+        case 'counter':
+            return types.Long.isLong(val) ? val : types.Long.fromString(String(val));
+        case 'blob':
+            return Buffer.from(val);
+        default:
+            return val;
+    }
+    /* eslint-enable indent */
+}
+
+/**
+ * Converts a request value to its stored representation.
+ * @param  {Object} schema the schema info
+ * @param  {string} att    the attribute name
+ * @param  {*}      val    the request value
+ * @return {*}
+ */
+function rawValue(schema, att, val) {
+    const conv = schema.conversions[att];
+    if (val !== null && val !== undefined && conv && conv.write) {
+        val = conv.write(val);
+    }
+    return toRaw(schema.attributes[att], val);
+}
+
+/**
+ * Applies an incremental collection or counter update to a stored value.
+ * @param  {string} type    the schema type
+ * @param  {*}      current the stored value
+ * @param  {string} op      'add', 'prepend' or 'remove'
+ * @param  {*}      operand the stored representation of the operand
+ * @return {*}              the new stored value
+ */
+function applyUpdateOp(type, current, op, operand) {
+    if (type === 'counter') {
+        current = current || types.Long.ZERO;
+        return op === 'add' ? current.add(operand) : current.subtract(operand);
+    }
+    const elemType = /^\w+<(?:\w+,\s*)?(\w+)>$/.exec(type)[1];
+    if (/^map</.test(type)) {
+        const res = Object.assign({}, current);
+        if (op === 'add') {
+            Object.assign(res, operand);
+        } else {
+            operand.forEach((key) => delete res[key]);
+        }
+        return toRaw(type, res);
+    }
+    current = current || [];
+    operand = operand || [];
+    if (op === 'add') {
+        return toRaw(type, current.concat(operand));
+    } else if (op === 'prepend') {
+        return toRaw(type, operand.concat(current));
+    }
+    return toRaw(type, current.filter((item) =>
+        !operand.some((other) => compareRaw(elemType, item, other) === 0)));
+}
+
+module.exports = {
+    compareRaw,
+    toRaw,
+    rawValue,
+    applyUpdateOp
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+const P = require('bluebird');
+const dbu = require('./dbutils');
+
+/** @const */
+const defaultConf = {
+    // Keyspace holding the registry. Table keyspaces always contain `_T_`,
+    // so the default can't collide with them.
+    keyspace: 'restbase_registry'
+};
+
+/**
+ * Column family of the registry
+ * @const
+ */
+const REGISTRY_CF = 'keyspaces';
+
+/**
+ * Central registry of the keyspaces backing logical tables, recording the
+ * storage group, logical table, schema hash and creation time of each.
+ *
+ * Keyspace names are derived from truncated and hashed storage group and
+ * table names, so different logical tables can map to the same keyspace.
+ * Registering a keyspace on table creation detects these collisions.
+ */
+class Registry {
+    constructor(db, options) {
+        this.db = db;
+        this.conf = Object.assign({}, defaultConf, options.conf.registry);
+        this.schema = dbu.validateAndNormalizeSchema({
+            table: REGISTRY_CF,
+            attributes: {
+                keyspace: 'string',
+                storage_group: 'string',
+                table: 'string',
+                schema_hash: 'string',
+                created: 'timestamp'
+            },
+            index: [
+                { attribute: 'keyspace', type: 'hash' }
+            ],
+            secondaryIndexes: {
+                by_storage_group: [
+                    { attribute: 'storage_group', type: 'hash' },
+                    { attribute: 'table', type: 'proj' },
+                    { attribute: 'schema_hash', type: 'proj' },
+                    { attribute: 'created', type: 'proj' }
+                ]
+            }
+        });
+        this.schemaInfo = dbu.makeSchemaInfo(this.schema, true);
+        // Promise of the registry setup, once per process
+        this.setup = null;
+    }
+
+    // Wraps a query into a request against the registry column family
+    _request(req, query) {
+        return req.extend({
+            domain: null,
+            table: REGISTRY_CF,
+            keyspace: this.conf.keyspace,
+            columnfamily: REGISTRY_CF,
+            schema: this.schemaInfo,
+            query,
+            ttl: null
+        });
+    }
+
+    // Creates the registry keyspace and column family
+    _setup(req) {
+        if (!this.setup) {
+            const setupReq = this._request(req, { options: {} });
+            const indexes = this.schemaInfo.secondaryIndexInfo;
+            this.setup = this.db._createKeyspace(setupReq)
+            .then(() => this.db._createTable(setupReq, this.schemaInfo, REGISTRY_CF))
+            .then(() => P.each(Object.keys(indexes), (name) =>
+                this.db._createTable(setupReq, indexes[name], dbu.idxColumnFamily(name))))
+            .catch((e) => {
+                this.setup = null;
+                throw e;
+            });
+        }
+        return this.setup;
+    }
+
+    // Reads the registry entry of a request's keyspace
+    _get(req) {
+        return this.db._getRaw(this._request(req, {
+            attributes: { keyspace: req.keyspace }
+        }))
+        .then((res) => dbu.convertRows(res.items, this.schemaInfo)[0] || null);
+    }
+
+    // Checks an existing entry for collisions, and updates its schema hash
+    _update(req, current, schemaHash) {
+        if (current.table !== req.table || current.storage_group !== req.domain) {
+            throw new dbu.HTTPError({
+                status: 400,
+                body: {
+                    type: 'bad_request',
+                    title: `Keyspace name collision: ${req.keyspace} already belongs ` +
+                        `to table ${current.table} of storage group ${current.storage_group}`,
+                    keyspace: req.keyspace
+                }
+            });
+        }
+        if (current.schema_hash !== schemaHash) {
+            return this.db._put(this._request(req, {
+                attributes: {
+                    keyspace: req.keyspace,
+                    schema_hash: schemaHash
+                }
+            }));
+        }
+    }
+
+    /**
+     * Records the keyspace of a table, or updates its schema hash.
+     * @param  {InternalRequest} req        a createTable request, with the
+     *                                      storage group as its domain
+     * @param  {Object}          schemaInfo the table's schema info
+     * @return {Promise}
+     * @throws {HTTPError} 400 if the keyspace is registered for a different
+     *                     logical table or storage group
+     */
+    register(req, schemaInfo) {
+        const schemaHash = dbu.hashKey(schemaInfo.hash);
+        return this._setup(req)
+        .then(() => this._get(req))
+        .then((current) => {
+            if (current) {
+                return this._update(req, current, schemaHash);
+            }
+            return this.db._put(this._request(req, {
+                if: 'not exists',
+                attributes: {
+                    keyspace: req.keyspace,
+                    storage_group: req.domain,
+                    table: req.table,
+                    schema_hash: schemaHash,
+                    created: new Date()
+                }
+            }))
+            // Registered concurrently
+            .catch({ status: 412 }, (e) => this._update(req, e.body.current, schemaHash));
+        });
+    }
+
+    /**
+     * Removes the registry entry of a dropped keyspace.
+     * @param  {InternalRequest} req for the dropped keyspace
+     * @return {Promise}
+     */
+    unregister(req) {
+        return this._setup(req)
+        .then(() => this.db._delete(this._request(req, {
+            attributes: { keyspace: req.keyspace }
+        })));
+    }
+
+    /**
+     * Lists the registered keyspaces.
+     * @param  {InternalRequest} req
+     * @return {Promise<Object>} result with `items` and, if there are more
+     *                           entries, `next`
+     */
+    list(req) {
+        return this._setup(req)
+        .then(() => this.db._getRaw(this._request(req, req.query || {})))
+        .then((res) => {
+            res.items = dbu.convertRows(res.items, this.schemaInfo);
+            return res;
+        });
+    }
+
+    /**
+     * Lists the registered keyspaces of a storage group.
+     * @param  {InternalRequest} req   with optional `limit` and `next` paging
+     *                                 parameters in its query
+     * @param  {string}          group the storage group name
+     * @return {Promise<Object>} result with `items` and, if there are more
+     *                           entries, `next`
+     */
+    listGroup(req, group) {
+        const query = req.query || {};
+        return this.list(req.extend({
+            query: {
+                index: 'by_storage_group',
+                attributes: { storage_group: group },
+                limit: query.limit,
+                next: query.next
+            }
+        }));
+    }
+}
+
+module.exports = Registry;
@@ -54,6 +54,52 @@ class Table extends Unsupported {
     }
 }
 
+/**
+ * Secondary index definition handler
+ *
+ * Indexes can be removed, which drops their column families. Adding or
+ * changing an index would require back-filling the index column family from
+ * the primary table, which is not supported.
+ */
+class SecondaryIndexes {
+    constructor(options) {
+        this.options = options;
+    }
+
+    validate(req, current, proposed) {
+        const currIndexes = current.secondaryIndexes || {};
+        const propIndexes = proposed.secondaryIndexes || {};
+        Object.keys(propIndexes).forEach((name) => {
+            if (stringify(currIndexes[name]) !== stringify(propIndexes[name])) {
+                throw new Error('Only secondary index removals are supported; ' +
+                    `can't migrate index ${name}`);
+            }
+        });
+        return confChanged({ conf: currIndexes, version: current.version },
+            { conf: propIndexes, version: proposed.version });
+    }
+
+    migrate(req, current, proposed) {
+        const propIndexes = proposed.secondaryIndexes || {};
+        const removed = Object.keys(current.secondaryIndexes || {})
+            .filter((name) => !propIndexes[name]);
+        return P.each(removed, (name) => {
+            this.options.log('warn/schemaMigration/secondaryIndexes', {
+                message: `dropping secondary index ${name}`,
+                index: name
+            });
+            // Tables of older backends have no column families for their indexes
+            const cql = 'DROP TABLE IF EXISTS ' +
+                `${dbu.cassID(req.keyspace)}.${dbu.cassID(dbu.idxColumnFamily(name))}`;
+            this.options.log('trace/alter_schema', cql);
+            if (this.options.skip_schema_update) {
+                return P.resolve();
+            }
+            return this.options.client.execute(cql, [], { consistency: req.consistency });
+        });
+    }
+}
+
 /**
  * options object migration handler
  */
@@ -71,14 +117,28 @@ class Options {
     }
 
     migrate(req, current, proposed) {
-        const table = `${dbu.cassID(req.keyspace)}.${dbu.cassID(req.columnfamily)}`;
-        const cql = `ALTER TABLE ${table} WITH ${dbu.getOptionCQL(proposed.options,
-            this.options.db)}`;
-        this.options.log('trace/alter_schema', cql);
-        if (this.options.skip_schema_update) {
+        // Secondary index column families share the options of the table
+        const columnfamilies = [req.columnfamily].concat(
+            Object.keys(proposed.secondaryIndexInfo || {}).map(dbu.idxColumnFamily));
+        let optionCQL = dbu.getOptionCQL(proposed.options, this.options.db);
+        if (!optionCQL && (current.options || {}).default_time_to_live) {
+            // Cassandra keeps the TTL unless it is reset
+            optionCQL = 'default_time_to_live = 0';
+        }
+        if (!optionCQL) {
+            // Only options applied by this module changed, such as the
+            // default consistencies
             return P.resolve();
         }
-        return this.options.client.execute(cql, [], { consistency: req.consistency });
+        return P.each(columnfamilies, (columnfamily) => {
+            const table = `${dbu.cassID(req.keyspace)}.${dbu.cassID(columnfamily)}`;
+            const cql = `ALTER TABLE ${table} WITH ${optionCQL}`;
+            this.options.log('trace/alter_schema', cql);
+            if (this.options.skip_schema_update) {
+                return P.resolve();
+            }
+            return this.options.client.execute(cql, [], { consistency: req.consistency });
+        });
     }
 }
 
@@ -207,8 +267,9 @@ Index.prototype.migrate = () => {
 /**
  * Migrator for the db module config.
  *
- * Primarily concerned with replication factor updates. Only triggers a
- * migration if the config version was incremented.
+ * Primarily concerned with replication factor updates, including those of
+ * the storage group. Only triggers a migration if the config version was
+ * incremented.
  */
 class ConfigMigrator {
     constructor(options) {
@@ -216,7 +277,8 @@ class ConfigMigrator {
     }
 
     migrate(req) {
-        return this.options.db.updateReplicationIfNecessary(req.keyspace, req.query.options);
+        return this.options.db.updateReplicationIfNecessary(req.keyspace, req.query.options,
+            req.domain);
     }
 }
 
@@ -279,6 +341,7 @@ const migrationHandlers = [
     ConfigMigrator,
     // Finally, the remaining schema elements.
     Table,
+    SecondaryIndexes,
     Options,
     Attributes,
     Index
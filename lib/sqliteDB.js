@@ -0,0 +1,398 @@
+'use strict';
+
+const P = require('bluebird');
+const MemoryDB = require('./memoryDB');
+const rawValues = require('./rawValues');
+
+const toRaw = rawValues.toRaw;
+const rawValue = rawValues.rawValue;
+
+/*
+ * SQLite storage backend, for single-node deployments.
+ *
+ * Each column family is a SQLite table named `<keyspace>.<columnfamily>`,
+ * with the hash and range keys of the schema as its composite primary key.
+ * The other attributes of a row are stored as cells in a JSON column, along
+ * with their write time and expiry. Static attributes are stored in the same
+ * way in a `<keyspace>.<columnfamily>.static` table, keyed by the hash keys.
+ * As the cells are not columns, adding and dropping attributes requires no
+ * changes to the SQLite tables, and options such as `default_time_to_live`
+ * apply from the stored schema.
+ *
+ * Requests are evaluated by the in-memory backend against the rows loaded
+ * from SQLite, which selects them by the equality predicates on keys.
+ */
+
+// Quotes a SQLite identifier
+function sqlID(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+function tableName(keyspace, columnfamily) {
+    return sqlID(`${keyspace}.${columnfamily}`);
+}
+
+function staticTableName(keyspace, columnfamily) {
+    return sqlID(`${keyspace}.${columnfamily}.static`);
+}
+
+/**
+ * Encodes a stored value as a JSON value.
+ * @param  {string} type the schema type
+ * @param  {*}      raw  the stored value
+ * @return {*}
+ */
+function encode(type, raw) {
+    if (raw === null || raw === undefined) {
+        return null;
+    }
+    const collection = /^(?:set|list)<(\w+)>$/.exec(type);
+    if (collection) {
+        return raw.map((item) => encode(collection[1], item));
+    }
+    const map = /^map<\w+,\s*(\w+)>$/.exec(type);
+    if (map) {
+        const res = {};
+        Object.keys(raw).forEach((key) => {
+            res[key] = encode(map[1], raw[key]);
+        });
+        return res;
+    }
+    /* eslint-disable indent */
+    switch (type) {
+        case 'blob':
+            return raw.toString('base64');
+        case 'timestamp':
+            return raw.getTime();
+        case 'varint':
+        case 'decimal':
+        case 'long':
+        case 'counter':
+        case 'timeuuid':
+        case 'uuid':
+            return raw.toString();
+        default:
+            return raw;
+    }
+    /* eslint-enable indent */
+}
+
+/**
+ * Decodes a value encoded by encode().
+ * @param  {string} type the schema type
+ * @param  {*}      val  the encoded value
+ * @return {*}           the stored value
+ */
+function decode(type, val) {
+    if (val === null || val === undefined) {
+        return null;
+    }
+    const collection = /^(?:set|list)<(\w+)>$/.exec(type);
+    if (collection) {
+        return val.map((item) => decode(collection[1], item));
+    }
+    const map = /^map<\w+,\s*(\w+)>$/.exec(type);
+    if (map) {
+        const res = {};
+        Object.keys(val).forEach((key) => {
+            res[key] = decode(map[1], val[key]);
+        });
+        return res;
+    }
+    if (type === 'blob') {
+        return Buffer.from(val, 'base64');
+    } else if (type === 'boolean') {
+        // SQLite stores booleans in key columns as integers
+        return !!val;
+    }
+    return toRaw(type, val);
+}
+
+class SqliteDB extends MemoryDB {
+    /**
+     * @param {sqlite3.Database} client an open SQLite database
+     * @param {Object}           options
+     */
+    constructor(client, options) {
+        super(options);
+        this.client = client;
+        this.keyspaces = null;
+    }
+
+    _run(sql, params) {
+        return new P((resolve, reject) => {
+            this.client.run(sql, params || [], (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    _all(sql, params) {
+        return new P((resolve, reject) => {
+            this.client.all(sql, params || [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    _disconnect() {
+        return P.fromCallback((callback) => this.client.close(callback));
+    }
+
+    _createKeyspace() {
+        // Keyspaces are a prefix of table names
+        return P.resolve();
+    }
+
+    _createTable(req, schema, columnfamily) {
+        const keyColumns = (types) => schema.index
+            .filter((elem) => types.indexOf(elem.type) !== -1)
+            .map((elem) => sqlID(elem.attribute));
+        const primaryKey = keyColumns(['hash', 'range']);
+        const hashKey = keyColumns(['hash']);
+        this.log('warn/table/sqlite/createTable', {
+            message: `Creating CF ${columnfamily} in keyspace ${req.keyspace}`,
+            columnfamily,
+            keyspace: req.keyspace
+        });
+        return this._run(`CREATE TABLE IF NOT EXISTS ${tableName(req.keyspace, columnfamily)} ` +
+            `(${primaryKey.join(', ')}, "_cells" TEXT NOT NULL, "_marker" TEXT, ` +
+            `PRIMARY KEY (${primaryKey.join(', ')}))`)
+        .then(() => this._run('CREATE TABLE IF NOT EXISTS ' +
+            `${staticTableName(req.keyspace, columnfamily)} (${hashKey.join(', ')}, ` +
+            `"_cells" TEXT NOT NULL, PRIMARY KEY (${hashKey.join(', ')}))`));
+    }
+
+    _dropTable(keyspace) {
+        this.schemaCache[keyspace] = null;
+        const prefix = `${keyspace}.`;
+        return this._all("SELECT name FROM sqlite_master WHERE type = 'table' " +
+            'AND substr(name, 1, ?) = ?', [prefix.length, prefix])
+        .then((tables) => P.each(tables, (table) =>
+            this._run(`DROP TABLE IF EXISTS ${sqlID(table.name)}`)));
+    }
+
+    /**
+     * Runs each write in a SQLite transaction. The immediate transaction also
+     * keeps other processes from writing to the database between the reads
+     * and writes of a put, delete or batch.
+     * @return {Promise}
+     */
+    _begin() {
+        return this._run('BEGIN IMMEDIATE');
+    }
+
+    _commit() {
+        return this._run('COMMIT');
+    }
+
+    _rollback() {
+        return this._run('ROLLBACK');
+    }
+
+    /**
+     * Builds the equality predicates on keys which select the stored rows a
+     * request can touch. The remaining predicates are evaluated in memory.
+     * @param  {Object} schema the schema info
+     * @param  {Object} query  the request query
+     * @param  {Array}  types  the key types to consider
+     * @return {Object} { sql, params }
+     */
+    _keyRestriction(schema, query, types) {
+        const attributes = query.index ? {} : query.attributes || {};
+        const conditions = [];
+        const params = [];
+        schema.index.forEach((elem) => {
+            let pred = attributes[elem.attribute];
+            if (types.indexOf(elem.type) === -1 || pred === undefined) {
+                return;
+            }
+            if (pred !== null && pred.constructor === Object) {
+                const ops = Object.keys(pred);
+                if (ops.length !== 1 || ops[0].toLowerCase() !== 'eq') {
+                    return;
+                }
+                pred = pred[ops[0]];
+            }
+            conditions.push(`${sqlID(elem.attribute)} = ?`);
+            params.push(encode(schema.attributes[elem.attribute],
+                rawValue(schema, elem.attribute, pred)));
+        });
+        return {
+            sql: conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    _decodeCells(schema, json) {
+        const cells = {};
+        const stored = JSON.parse(json);
+        Object.keys(stored).forEach((att) => {
+            // Cells of dropped attributes are discarded
+            if (schema.attributes[att]) {
+                cells[att] = {
+                    value: decode(schema.attributes[att], stored[att].v),
+                    writetime: stored[att].ts,
+                    expires: stored[att].exp
+                };
+            }
+        });
+        return cells;
+    }
+
+    // Encodes cells as JSON, dropping expired ones
+    _encodeCells(schema, cells) {
+        const now = Date.now();
+        const stored = {};
+        Object.keys(cells).sort().forEach((att) => {
+            const cell = cells[att];
+            if (!cell.expires || cell.expires > now) {
+                stored[att] = {
+                    v: encode(schema.attributes[att], cell.value),
+                    ts: cell.writetime,
+                    exp: cell.expires
+                };
+            }
+        });
+        return JSON.stringify(stored);
+    }
+
+    // Builds the key cells of a stored row
+    _keyCells(schema, row, type) {
+        const cells = {};
+        schema.index.forEach((elem) => {
+            if (elem.type === type) {
+                cells[elem.attribute] = {
+                    value: decode(schema.attributes[elem.attribute], row[elem.attribute])
+                };
+            }
+        });
+        return cells;
+    }
+
+    /**
+     * Loads the stored rows a request can touch into a column family, in the
+     * format of the in-memory backend. The stored representation of each row
+     * is kept, so that _store only writes the changed ones.
+     * @param  {InternalRequest} req
+     * @return {Promise<Object>} the column family
+     */
+    _load(req) {
+        const schema = req.schema;
+        const rows = this._keyRestriction(schema, req.query, ['hash', 'range']);
+        const statics = this._keyRestriction(schema, req.query, ['hash']);
+        const cf = { schema, partitions: new Map() };
+        const partitionOf = (row) => {
+            const key = this._keyCells(schema, row, 'hash');
+            const partKey = this._cellKey(key);
+            if (!cf.partitions.has(partKey)) {
+                cf.partitions.set(partKey, {
+                    key,
+                    statics: {},
+                    rows: new Map(),
+                    stored: new Map(),
+                    storedStatics: null
+                });
+            }
+            return cf.partitions.get(partKey);
+        };
+        return this._all(`SELECT * FROM ${tableName(req.keyspace, req.columnfamily)}` +
+            `${rows.sql}`, rows.params)
+        .then((dataRows) => this._all('SELECT * FROM ' +
+            `${staticTableName(req.keyspace, req.columnfamily)}${statics.sql}`, statics.params)
+        .then((staticRows) => {
+            dataRows.forEach((row) => {
+                const partition = partitionOf(row);
+                const key = this._keyCells(schema, row, 'range');
+                const clusteringKey = this._cellKey(key);
+                partition.rows.set(clusteringKey, {
+                    key,
+                    marker: row._marker ? JSON.parse(row._marker) : null,
+                    cells: this._decodeCells(schema, row._cells)
+                });
+                partition.stored.set(clusteringKey, [row._cells, row._marker]);
+            });
+            staticRows.forEach((row) => {
+                const partition = partitionOf(row);
+                partition.statics = this._decodeCells(schema, row._cells);
+                partition.storedStatics = row._cells;
+            });
+            return cf;
+        }))
+        .catch((e) => {
+            if (!/no such table/.test(e.message)) {
+                throw e;
+            }
+            // Report missing tables as Cassandra does. The meta column
+            // family is created last, and stands for the keyspace.
+            return this._all("SELECT name FROM sqlite_master WHERE type = 'table' " +
+                'AND name = ?', [`${req.keyspace}.meta`])
+            .then((tables) => {
+                if (!tables.length) {
+                    throw new Error(`Keyspace ${req.keyspace} does not exist`);
+                }
+                throw new Error(`unconfigured table ${req.columnfamily}`);
+            });
+        });
+    }
+
+    /**
+     * Writes the rows and static values a put or delete changed.
+     * @param  {InternalRequest} req
+     * @param  {Object}          cf  the column family returned by _load
+     * @return {Promise}
+     */
+    _store(req, cf) {
+        const schema = req.schema;
+        const hashAtts = schema.index.filter((elem) => elem.type === 'hash')
+            .map((elem) => elem.attribute);
+        const keyAtts = hashAtts.concat(schema.index.filter((elem) => elem.type === 'range')
+            .map((elem) => elem.attribute));
+        const table = tableName(req.keyspace, req.columnfamily);
+        const staticTable = staticTableName(req.keyspace, req.columnfamily);
+        const keyParams = (atts, cells) => atts.map((att) =>
+            encode(schema.attributes[att], cells[att].value));
+        const keyCondition = (atts) => atts.map((att) => `${sqlID(att)} = ?`).join(' AND ');
+        const writes = [];
+        const now = Date.now();
+        cf.partitions.forEach((partition) => {
+            const statics = this._encodeCells(schema, partition.statics);
+            if (statics !== (partition.storedStatics || '{}')) {
+                const params = keyParams(hashAtts, partition.key);
+                writes.push(statics !== '{}' ? [`INSERT OR REPLACE INTO ${staticTable} ` +
+                    `(${hashAtts.map(sqlID).join(', ')}, "_cells") VALUES ` +
+                    `(${hashAtts.map(() => '?').join(', ')}, ?)`, params.concat([statics])] :
+                    [`DELETE FROM ${staticTable} WHERE ${keyCondition(hashAtts)}`, params]);
+            }
+            partition.rows.forEach((row, clusteringKey) => {
+                const cells = this._encodeCells(schema, row.cells);
+                const marker = row.marker && (!row.marker.expires || row.marker.expires > now) ?
+                    JSON.stringify(row.marker) : null;
+                const stored = partition.stored && partition.stored.get(clusteringKey);
+                if (stored && stored[0] === cells && stored[1] === marker) {
+                    return;
+                }
+                const params = keyParams(keyAtts, Object.assign({}, partition.key, row.key));
+                if (cells !== '{}' || marker) {
+                    writes.push([`INSERT OR REPLACE INTO ${table} ` +
+                        `(${keyAtts.map(sqlID).join(', ')}, "_cells", "_marker") VALUES ` +
+                        `(${keyAtts.map(() => '?').join(', ')}, ?, ?)`,
+                    params.concat([cells, marker])]);
+                } else if (stored) {
+                    writes.push([`DELETE FROM ${table} WHERE ${keyCondition(keyAtts)}`, params]);
+                }
+            });
+        });
+        return P.each(writes, (write) => this._run(write[0], write[1]));
+    }
+}
+
+module.exports = SqliteDB;
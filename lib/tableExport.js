@@ -0,0 +1,132 @@
+'use strict';
+
+const dbu = require('./dbutils');
+
+/** @const */
+const defaultConf = {
+    // Number of rows read per page
+    fetch_size: 100
+};
+
+/**
+ * Exports of the rows of a logical table, for a single domain or for all
+ * domains of a storage group.
+ *
+ * An export is a sequence of records:
+ * - a `schema` record, with the table, storage group, keyspace and schema;
+ * - a `row` record per row, with the row's domain and its attributes, as
+ *   returned by a get request, along with the latest `_writetime` of its
+ *   attributes;
+ * - after each page of rows, a `page` record with the `next` token to
+ *   resume the export from, if there are more rows;
+ * - an `end` record with the number of exported rows.
+ */
+class TableExport {
+    constructor(db, options) {
+        this.db = db;
+        this.conf = Object.assign({}, defaultConf, options.conf.export);
+    }
+
+    // Builds the statement reading all rows, for one domain or all domains
+    _selectQuery(req, withTTL, allDomains) {
+        const schema = req.schema;
+        const attributes = Object.keys(schema.attributes);
+        // As for get requests with withTTL and withWriteTime
+        const timedAttrs = attributes.filter((att) => !schema.iKeyMap[att] &&
+            !/^(set|map|list)<.*>$/.test(schema.attributes[att]) &&
+            schema.attributes[att] !== 'counter');
+        let proj = attributes.map(dbu.cassID);
+        if (withTTL) {
+            proj = proj.concat(timedAttrs.map((att) =>
+                `TTL(${dbu.cassID(att)}) as ${dbu.cassID(dbu.cassTTL(att))}`));
+        }
+        proj = proj.concat(timedAttrs.map((att) =>
+            `WRITETIME(${dbu.cassID(att)}) as ${dbu.cassID(dbu.cassWriteTime(att))}`));
+        let cql = `select ${proj.join(',')} from ${dbu.cassID(req.keyspace)}.data`;
+        if (!allDomains) {
+            cql += ' where "_domain" = ? allow filtering';
+        }
+        return { cql, params: allDomains ? [] : [req.domain] };
+    }
+
+    /**
+     * Exports the rows of a table.
+     * @param  {string}   domain in dot notation
+     * @param  {Object}   query  with the `table`, and optionally
+     *                           - `storage_group`: true to export the rows of
+     *                             all domains in the domain's storage group
+     *                           - `withTTL`: true to include the `_ttl` of rows
+     *                           - `next`: the token of a `page` record to
+     *                             resume from
+     * @param  {Function} write  called with each record; can return a
+     *                           promise to delay the following records
+     * @return {Promise<number>} the number of exported rows
+     */
+    run(domain, query, write) {
+        const allDomains = !!query.storage_group;
+        let rows = 0;
+        return this.db._makeInternalRequest(domain, query.table, {})
+        .then((req) => {
+            if (!req.schema) {
+                throw new dbu.HTTPError({
+                    status: 404,
+                    body: {
+                        type: 'notfound',
+                        title: `Table ${query.table} not found`
+                    }
+                });
+            }
+            // Page tokens are bound to the export they were handed out for
+            const tokenReq = req.extend({
+                query: {
+                    table: query.table,
+                    withTTL: !!query.withTTL,
+                    storage_group: allDomains
+                }
+            });
+            const tokenOptions = this.db.pageTokenOptions;
+            const pageState = query.next ?
+                dbu.decodePageToken(query.next, tokenReq, tokenOptions) : null;
+            const statement = this._selectQuery(req, query.withTTL, allDomains);
+            return this.db._getStoredSchema(req.keyspace)
+            .then((schema) => write({
+                type: 'schema',
+                table: query.table,
+                domain: allDomains ? null : domain,
+                storage_group: this.db._resolveStorageGroup(domain).name,
+                keyspace: req.keyspace,
+                schema
+            }))
+            .then(() => dbu.eachRow(this.db.client, statement.cql, statement.params, {
+                fetchSize: this.conf.fetch_size,
+                retries: 3,
+                withTTL: query.withTTL,
+                pageState,
+                onPage: (state) => write({
+                    type: 'page',
+                    next: dbu.encodePageToken(Buffer.from(state, 'hex'), tokenReq, tokenOptions)
+                })
+            }, (row) => {
+                dbu.assignMaxWriteTime(row);
+                const record = {
+                    type: 'row',
+                    domain: row._domain,
+                    row: dbu.convertRows([row], req.schema)[0]
+                };
+                Object.keys(record.row).forEach((att) => {
+                    // Imports only use the latest write time of a row
+                    if (/^_writetime_/.test(att) || (/^_(ttl|writetime)$/.test(att) &&
+                            (record.row[att] === null || record.row[att] === undefined))) {
+                        delete record.row[att];
+                    }
+                });
+                rows++;
+                return write(record);
+            }));
+        })
+        .then(() => write({ type: 'end', rows }))
+        .thenReturn(rows);
+    }
+}
+
+module.exports = TableExport;
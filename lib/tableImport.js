@@ -0,0 +1,260 @@
+'use strict';
+
+const P = require('bluebird');
+const extend = require('extend');
+const dbu = require('./dbutils');
+
+/** @const */
+const defaultConf = {
+    // Number of rows written concurrently
+    concurrency: 10
+};
+
+/**
+ * Column family of the import checkpoints, in the registry keyspace
+ * @const
+ */
+const CHECKPOINTS_CF = 'import_checkpoints';
+
+/**
+ * Bulk imports of newline-delimited JSON rows into a logical table.
+ *
+ * Each line is either a row object, or a record as written by a table export
+ * (see lib/tableExport.js), of which only the `row` records are imported.
+ * A row's `_ttl` and `_writetime` (in microseconds, as returned by
+ * Cassandra) are preserved.
+ *
+ * The input is read in chunks. All rows of a chunk are validated before any
+ * of them is written, and written with bounded concurrency. Imports with a
+ * checkpoint id record the number of lines imported after each chunk, so
+ * that an interrupted import resumes with the following line.
+ */
+class TableImport {
+    constructor(db, options) {
+        this.db = db;
+        this.conf = Object.assign({}, defaultConf, options.conf.import);
+        this.schemaInfo = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema({
+            table: CHECKPOINTS_CF,
+            attributes: {
+                domain: 'string',
+                id: 'string',
+                table: 'string',
+                lines: 'int',
+                rows: 'int',
+                updated: 'timestamp'
+            },
+            index: [
+                { attribute: 'domain', type: 'hash' },
+                { attribute: 'id', type: 'range', order: 'asc' }
+            ]
+        }), true);
+        // Promise of the column family setup, once per process
+        this.setup = null;
+    }
+
+    _request(query) {
+        return this.db._internalRequest(this.db.registry.conf.keyspace, CHECKPOINTS_CF,
+            this.schemaInfo, query);
+    }
+
+    _setup() {
+        if (!this.setup) {
+            const req = this._request({ options: {} });
+            this.setup = this.db._createKeyspace(req)
+            .then(() => this.db._createTable(req, this.schemaInfo, CHECKPOINTS_CF))
+            .catch((e) => {
+                this.setup = null;
+                throw e;
+            });
+        }
+        return this.setup;
+    }
+
+    _badRequest(title) {
+        return new dbu.HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title
+            }
+        });
+    }
+
+    /**
+     * Reads an import checkpoint.
+     * @param  {string} domain the checkpoint was recorded for
+     * @param  {string} id
+     * @return {Promise<Object|null>} the checkpoint, with the `table`, and
+     *                                the number of imported `lines` and
+     *                                `rows`
+     */
+    getCheckpoint(domain, id) {
+        return this._setup()
+        .then(() => this.db._getRaw(this._request({ attributes: { domain, id } })))
+        .then((res) => dbu.convertRows(res.items, this.schemaInfo)[0] || null);
+    }
+
+    _putCheckpoint(checkpoint) {
+        return this.db._put(this._request({
+            attributes: Object.assign({ updated: new Date() }, checkpoint)
+        }));
+    }
+
+    // Parses a line into a put query and its domain, or null if there is no
+    // row to import
+    _parse(line, lineNo, domain, query) {
+        if (!line.trim()) {
+            return null;
+        }
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (e) {
+            throw this._badRequest(`Invalid JSON on line ${lineNo}: ${e.message}`);
+        }
+        if (!record || record.constructor !== Object) {
+            throw this._badRequest(`Invalid row on line ${lineNo}`);
+        }
+        let rowDomain = domain;
+        let row = record;
+        if (record.type) {
+            if (record.type !== 'row') {
+                return null;
+            }
+            row = record.row || {};
+            if (query.storage_group) {
+                // Keep the domains of storage group exports
+                rowDomain = record.domain;
+            }
+        }
+        const attributes = {};
+        Object.keys(row).forEach((att) => {
+            // Null values of exports are unset attributes
+            if ((!/^_/.test(att) || att === '_ttl') && row[att] !== null) {
+                attributes[att] = row[att];
+            }
+        });
+        const putQuery = { table: query.table, attributes };
+        if (row._writetime) {
+            putQuery.timestamp = row._writetime / 1000;
+        }
+        return { domain: rowDomain, query: putQuery, lineNo };
+    }
+
+    // Validates a put without performing it
+    _validate(put) {
+        return this.db._makeInternalRequest(put.domain, put.query.table,
+            extend(true, {}, put.query), undefined, true)
+        .then((req) => dbu.buildPutQuery(req))
+        .catch((e) => {
+            if (e instanceof dbu.HTTPError) {
+                throw e;
+            }
+            throw this._badRequest(`Invalid row on line ${put.lineNo}: ${e.message}`);
+        });
+    }
+
+    // Validates and writes the rows of a chunk of lines
+    _importLines(lines, state, domain, query) {
+        const puts = [];
+        lines.forEach((line) => {
+            state.lineNo++;
+            if (state.lineNo > state.skip) {
+                const put = this._parse(line, state.lineNo, domain, query);
+                if (put) {
+                    puts.push(put);
+                }
+            }
+        });
+        if (state.lineNo <= state.skip) {
+            return P.resolve();
+        }
+        return P.each(puts, (put) => this._validate(put))
+        .then(() => P.map(puts, (put) => this.db.put(put.domain, put.query),
+            { concurrency: this.conf.concurrency }))
+        .then(() => {
+            state.rows += puts.length;
+            if (query.checkpoint) {
+                return this._putCheckpoint({
+                    domain,
+                    id: query.checkpoint,
+                    table: query.table,
+                    lines: state.lineNo,
+                    rows: state.rows
+                });
+            }
+        });
+    }
+
+    /**
+     * Imports rows into a table.
+     * @param  {string}   domain in dot notation
+     * @param  {Object}   query  with the `table`, and optionally
+     *                           - `storage_group`: true to import the rows of
+     *                             a storage group export into their domains
+     *                           - `checkpoint`: the id of the checkpoint to
+     *                             record, and resume from
+     * @param  {Readable} input  the newline-delimited JSON rows
+     * @return {Promise<Object>} the number of imported `rows`, and of read
+     *                           `lines`
+     */
+    run(domain, query, input) {
+        const state = { lineNo: 0, skip: 0, rows: 0 };
+        return this.db._makeInternalRequest(domain, query.table, {})
+        .then((req) => {
+            if (!req.schema) {
+                throw new dbu.HTTPError({
+                    status: 404,
+                    body: {
+                        type: 'notfound',
+                        title: `Table ${query.table} not found`
+                    }
+                });
+            }
+            if (req.schema.counters) {
+                // Counters can only be incremented
+                throw this._badRequest(`Table ${query.table} with counters can't be imported`);
+            }
+            if (query.checkpoint) {
+                return this.getCheckpoint(domain, query.checkpoint);
+            }
+        })
+        .then((checkpoint) => {
+            if (checkpoint) {
+                if (checkpoint.table !== query.table) {
+                    throw this._badRequest(`Checkpoint ${query.checkpoint} belongs to ` +
+                        `table ${checkpoint.table}`);
+                }
+                state.skip = checkpoint.lines;
+                state.rows = checkpoint.rows;
+            }
+            return new P((resolve, reject) => {
+                let partial = '';
+                let pending = P.resolve();
+                input.setEncoding('utf8');
+                input.on('data', (chunk) => {
+                    const lines = (partial + chunk).split('\n');
+                    partial = lines.pop();
+                    // Read on once the chunk was imported
+                    input.pause();
+                    pending = pending.then(() => this._importLines(lines, state, domain, query))
+                    .then(() => input.resume());
+                    pending.catch(reject);
+                });
+                input.on('end', () => {
+                    // The last line doesn't need to end with a newline
+                    const lines = partial ? [partial] : [];
+                    pending.then(() => this._importLines(lines, state, domain, query))
+                    .then(resolve, reject);
+                });
+                input.on('error', reject);
+            });
+        })
+        .then(() => ({
+            rows: state.rows,
+            lines: state.lineNo
+        }));
+    }
+}
+
+module.exports = TableImport;
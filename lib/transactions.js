@@ -0,0 +1,496 @@
+'use strict';
+
+const P = require('bluebird');
+const cass = require('cassandra-driver');
+const extend = require('extend');
+const dbu = require('./dbutils');
+
+const TimeUuid = cass.types.TimeUuid;
+
+/**
+ * Name of the logical table holding a domain's transactions
+ * @const
+ */
+const TRANSACTIONS_TABLE = '_transactions';
+
+/**
+ * Allowance for clock differences between hosts, in milliseconds
+ * @const
+ */
+const CLOCK_UNCERTAINTY = 1000;
+
+/** @const */
+const defaultConf = {
+    // Time a transaction has to commit, in milliseconds
+    timeout: 10000,
+    // Time to wait for locks held by older transactions, in milliseconds
+    lock_timeout: 2000,
+    // Interval of the sweep for abandoned transactions, in milliseconds; 0
+    // disables the sweep
+    cleanup_interval: 60000
+};
+
+/** @const */
+const transactionSchema = {
+    table: TRANSACTIONS_TABLE,
+    attributes: {
+        tid: 'timeuuid',
+        // set when wounded or rolled back
+        aborted: 'boolean',
+        // set on commit
+        commitTimestamp: 'timeuuid',
+        // the partitions locked by the transaction
+        members: 'set<json>',
+        // the original transaction request
+        body: 'json'
+    },
+    index: [
+        { attribute: 'tid', type: 'hash' }
+    ]
+};
+
+// Creation time of a transaction, in milliseconds
+function tidTime(tid) {
+    return TimeUuid.fromString(tid).getDate().getTime();
+}
+
+/**
+ * Multi-item transactions, using two-phase locking with wound-wait as
+ * described in doc/Transactions.md.
+ *
+ * Transactions lock the partitions they write to through the static
+ * transactiontid column of the participating tables, and are tracked in a
+ * per-domain transaction table. Once all locks are held, a transaction is
+ * marked as committed, its writes are applied with the commit timestamp,
+ * and the locks are released. Transactions that time out before committing
+ * are rolled back; those that time out after committing are rolled forward.
+ */
+class Transactions {
+    constructor(db, options) {
+        this.db = db;
+        this.log = options.log;
+        this.conf = Object.assign({}, defaultConf, options.conf.transactions);
+        // keyspace -> promise of the transaction table creation
+        this.tables = {};
+        this.cleanupTimer = null;
+    }
+
+    /**
+     * Runs a transaction.
+     * @param  {string} domain in dot notation
+     * @param  {Object} query  transaction query, with an `operations` array
+     *                         of put and delete queries, each naming its
+     *                         `method` and `table`
+     * @return {Promise<Object>} result, with the transaction `tid` and one
+     *                         item per operation
+     */
+    run(domain, query) {
+        const operations = query && query.operations;
+        if (!Array.isArray(operations) || !operations.length) {
+            return P.reject(this._badRequest('A transaction requires a non-empty ' +
+                'operations array'));
+        }
+        const tid = TimeUuid.now().toString();
+        let members;
+        let committed = false;
+        return P.map(operations, (op, i) => this._member(domain, op, i))
+        .then((opMembers) => {
+            // Lock partitions in a stable order
+            const byKey = {};
+            opMembers.forEach((member) => {
+                byKey[JSON.stringify([member.table, member.key])] = member;
+            });
+            members = Object.keys(byKey).sort().map((key) => byKey[key]);
+            return this._setup(domain);
+        })
+        .then(() => this.db.put(domain, {
+            table: TRANSACTIONS_TABLE,
+            attributes: {
+                tid,
+                aborted: false,
+                members,
+                body: { operations }
+            }
+        }))
+        .then(() => {
+            const deadline = Date.now() + this.conf.lock_timeout;
+            return P.each(members, (member) => this._acquire(domain, tid, member, deadline));
+        })
+        .then(() => this._commit(domain, tid))
+        .then((commitTid) => {
+            committed = true;
+            return this._apply(domain, tid, commitTid, operations);
+        })
+        .tap(() => this._finish(domain, tid, members))
+        .then((res) => ({
+            tid,
+            items: res.items
+        }))
+        .catch((e) => {
+            if (committed || !members) {
+                // Committed transactions are rolled forward by the cleanup
+                throw e;
+            }
+            return this._rollback(domain, tid, members)
+            .catch((rollbackErr) => {
+                this.log('error/cassandra/transaction_rollback', rollbackErr);
+            })
+            .then(() => {
+                throw e;
+            });
+        });
+    }
+
+    /**
+     * Cleans up after a transaction holding a lock, if it was abandoned.
+     * @param  {string} domain in dot notation
+     * @param  {string} tid    the transaction holding the lock
+     * @param  {Object} member the locked partition
+     * @return {Promise<boolean>} whether the lock was released
+     */
+    recover(domain, tid, member) {
+        return this._getTransaction(domain, tid)
+        .then((record) => {
+            if (record && !this._expired(tid)) {
+                // Still in progress
+                return false;
+            }
+            const cleanup = record ? this._cleanup(domain, record) : P.resolve();
+            // Transactions that were already cleaned up can leave a stale
+            // lock behind, if they crashed while releasing their locks.
+            return cleanup
+            .then(() => this._lock(domain, member, null, tid))
+            .then((holder) => holder === null);
+        });
+    }
+
+    /**
+     * Starts the periodic sweep for abandoned transactions.
+     */
+    startCleanup() {
+        if (!this.conf.cleanup_interval || this.cleanupTimer) {
+            return;
+        }
+        this.cleanupTimer = setInterval(() => {
+            this.cleanup()
+            .catch((e) => this.log('error/cassandra/transaction_cleanup', e));
+        }, this.conf.cleanup_interval);
+        this.cleanupTimer.unref();
+    }
+
+    stopCleanup() {
+        clearInterval(this.cleanupTimer);
+        this.cleanupTimer = null;
+    }
+
+    /**
+     * Rolls back or forward all timed-out transactions.
+     * @return {Promise}
+     */
+    cleanup() {
+        return P.each(this.db.storageGroups, (group) => {
+            const keyspace = this.db._keyspaceNameForStorageGroup(group.name,
+                TRANSACTIONS_TABLE);
+            const cql = `select "_domain", "tid" from ${dbu.cassID(keyspace)}.data`;
+            const expired = [];
+            const nextPage = (pageState) => this.db.client.execute(cql, [],
+                { prepare: true, fetchSize: 1000, pageState })
+            .then((res) => {
+                res.rows.forEach((row) => {
+                    const tid = row.tid.toString();
+                    if (this._expired(tid)) {
+                        expired.push({ domain: row._domain, tid });
+                    }
+                });
+                if (res.pageState) {
+                    return nextPage(res.pageState);
+                }
+            });
+            return nextPage()
+            .then(() => P.each(expired, (entry) =>
+                this._getTransaction(entry.domain, entry.tid)
+                .then((record) => record && this._cleanup(entry.domain, record))))
+            .catch((e) => {
+                // The transaction table is only created on first use
+                if (!/^(?:Keyspace|unconfigured table)/i.test(e.message)) {
+                    throw e;
+                }
+            });
+        });
+    }
+
+    _badRequest(title) {
+        return new dbu.HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title
+            }
+        });
+    }
+
+    _conflict(title, tid) {
+        return new dbu.HTTPError({
+            status: 409,
+            body: {
+                type: 'transaction_conflict',
+                title,
+                tid
+            }
+        });
+    }
+
+    /**
+     * Validates a transaction operation, and derives the partition it locks.
+     * @param  {string} domain in dot notation
+     * @param  {Object} op     the operation
+     * @param  {number} i      the index of the operation
+     * @return {Promise<Object>} the member, with `table` and `key`
+     */
+    _member(domain, op, i) {
+        if (!op || (op.method !== 'put' && op.method !== 'delete')) {
+            return P.reject(this._badRequest(`Invalid method in transaction operation ${i}`));
+        }
+        if (op.if) {
+            return P.reject(this._badRequest(`Conditional transaction operation ${i} ` +
+                'is not supported'));
+        }
+        return this.db._makeInternalRequest(domain, op.table, extend(true, {}, op))
+        .then((req) => {
+            if (!req.schema) {
+                throw this._badRequest(`Table ${op.table} not found in transaction operation ${i}`);
+            }
+            if (!req.schema.transactional) {
+                throw this._badRequest(`Table ${op.table} does not support transactions`);
+            }
+            try {
+                return { table: op.table, key: dbu.partitionKey(req) };
+            } catch (e) {
+                throw this._badRequest(`Invalid transaction operation ${i}: ${e.message}`);
+            }
+        });
+    }
+
+    // Creates the domain's transaction table, once per keyspace
+    _setup(domain) {
+        const keyspace = this.db.keyspaceName(domain, TRANSACTIONS_TABLE);
+        if (!this.tables[keyspace]) {
+            this.tables[keyspace] = this.db.createTable(domain,
+                extend(true, {}, transactionSchema))
+            .catch((e) => {
+                delete this.tables[keyspace];
+                throw e;
+            });
+        }
+        return this.tables[keyspace];
+    }
+
+    _getTransaction(domain, tid) {
+        return this.db.get(domain, {
+            table: TRANSACTIONS_TABLE,
+            attributes: { tid }
+        })
+        .then((res) => res.items[0] || null);
+    }
+
+    _expired(tid) {
+        return tidTime(tid) + this.conf.timeout + CLOCK_UNCERTAINTY < Date.now();
+    }
+
+    /**
+     * Swaps the lock holder of a partition.
+     * @param  {string}      domain in dot notation
+     * @param  {Object}      member the partition to lock, with `table` and `key`
+     * @param  {string|null} tid    the new lock holder, or null to release
+     * @param  {string|null} holder the expected current holder
+     * @return {Promise<string|null>} the holder after the update
+     */
+    _lock(domain, member, tid, holder) {
+        return this.db._makeInternalRequest(domain, member.table,
+            { attributes: extend({}, member.key) }, undefined, true)
+        .then((req) => {
+            const queryInfo = dbu.buildLockQuery(req, tid, holder);
+            return this.db.client.execute(queryInfo.cql, queryInfo.params,
+                this.db._queryOptions(req));
+        })
+        .then((result) => {
+            const row = result.rows[0];
+            if (row['[applied]']) {
+                return tid;
+            }
+            return row.transactiontid ? row.transactiontid.toString() : null;
+        });
+    }
+
+    /**
+     * Acquires the lock of a partition, wounding younger and waiting for
+     * older transactions holding it.
+     * @param  {string} domain   in dot notation
+     * @param  {string} tid      the acquiring transaction
+     * @param  {Object} member   the partition to lock
+     * @param  {number} deadline time to give up waiting, in milliseconds
+     * @param  {number} [wait]   delay before the next attempt
+     * @return {Promise}
+     */
+    _acquire(domain, tid, member, deadline, wait = 10) {
+        const retry = () => {
+            if (Date.now() + wait > deadline) {
+                throw this._conflict('Timed out waiting for a lock held by another ' +
+                    'transaction', tid);
+            }
+            return P.delay(wait)
+            .then(() => this._acquire(domain, tid, member, deadline, wait * 2));
+        };
+        return this._lock(domain, member, tid, null)
+        .then((holder) => {
+            if (holder === tid) {
+                return;
+            }
+            if (holder === null) {
+                // Released in the meantime
+                return this._acquire(domain, tid, member, deadline, wait);
+            }
+            return this._getTransaction(domain, holder)
+            .then((other) => {
+                if (!other || this._expired(holder)) {
+                    return P.resolve(other && this._cleanup(domain, other))
+                    .then(() => this._lock(domain, member, tid, holder))
+                    .then((newHolder) => newHolder !== tid && retry());
+                }
+                if (tidTime(holder) < tidTime(tid) ||
+                        (tidTime(holder) === tidTime(tid) && holder < tid)) {
+                    // Wait for older transactions
+                    return retry();
+                }
+                // Wound younger transactions, unless they already committed
+                return this._abort(domain, holder)
+                .then((aborted) => {
+                    if (!aborted) {
+                        return retry();
+                    }
+                    return this._lock(domain, member, tid, holder)
+                    .then((newHolder) => newHolder !== tid && retry());
+                });
+            });
+        });
+    }
+
+    /**
+     * Marks a transaction as aborted, unless it committed.
+     * @param  {string} domain in dot notation
+     * @param  {string} tid    the transaction
+     * @return {Promise<boolean>} true if aborted, false if committed
+     */
+    _abort(domain, tid) {
+        return this.db.put(domain, {
+            table: TRANSACTIONS_TABLE,
+            attributes: { tid, aborted: true },
+            if: { commitTimestamp: null }
+        })
+        .thenReturn(true)
+        .catch((e) => {
+            if (e.status === 412) {
+                return false;
+            }
+            throw e;
+        });
+    }
+
+    // Marks a transaction as committed, unless it was wounded or timed out.
+    _commit(domain, tid) {
+        if (this._expired(tid)) {
+            return P.reject(this._conflict('The transaction timed out', tid));
+        }
+        const commitTid = TimeUuid.now().toString();
+        return this.db.put(domain, {
+            table: TRANSACTIONS_TABLE,
+            attributes: { tid, commitTimestamp: commitTid },
+            if: { aborted: false }
+        })
+        .thenReturn(commitTid)
+        .catch((e) => {
+            if (e.status === 412) {
+                throw this._conflict('The transaction was aborted by an older transaction',
+                    tid);
+            }
+            throw e;
+        });
+    }
+
+    /**
+     * Performs the writes of a committed transaction. The writes use the
+     * commit timestamp, so that they can be replayed.
+     * @param  {string} domain     in dot notation
+     * @param  {string} tid        the transaction
+     * @param  {string} commitTid  the commit timestamp
+     * @param  {Array}  operations the transaction's put and delete queries
+     * @return {Promise<Object>} the batch result
+     */
+    _apply(domain, tid, commitTid, operations) {
+        const timestamp = tidTime(commitTid);
+        // Keep the operations intact, as requests take their _ttl attribute
+        return P.map(operations, (op) => this.db._makeInternalRequest(domain, op.table,
+            extend(true, {}, op))
+        .then((req) => {
+            const attributes = extend({}, op.attributes);
+            // Uniformly named tid attributes default to the commit tid
+            if (req.schema.attributes.tid === 'timeuuid' && attributes.tid === undefined) {
+                attributes.tid = commitTid;
+            }
+            return extend({}, op, {
+                attributes,
+                timestamp: op.timestamp || timestamp
+            });
+        }))
+        .then((committed) => this.db.batch(domain, {
+            operations: committed,
+            mode: 'logged'
+        }, tid));
+    }
+
+    // Releases the locks of a transaction, and removes it.
+    _finish(domain, tid, members) {
+        return P.each(members, (member) => this._lock(domain, member, null, tid))
+        .then(() => this.db.delete(domain, {
+            table: TRANSACTIONS_TABLE,
+            attributes: { tid }
+        }));
+    }
+
+    _rollback(domain, tid, members) {
+        return this._abort(domain, tid)
+        .then((aborted) => {
+            if (aborted) {
+                return this._finish(domain, tid, members);
+            }
+            // Committed in the meantime
+            return this._getTransaction(domain, tid)
+            .then((record) => record && this._cleanup(domain, record));
+        });
+    }
+
+    /**
+     * Rolls an abandoned transaction forward if it committed, and back
+     * otherwise.
+     * @param  {string} domain in dot notation
+     * @param  {Object} record the transaction
+     * @return {Promise}
+     */
+    _cleanup(domain, record) {
+        this.log('warn/cassandra/transaction_cleanup', {
+            message: `Cleaning up abandoned transaction ${record.tid}`,
+            committed: !!record.commitTimestamp
+        });
+        const members = record.members || [];
+        if (!record.commitTimestamp) {
+            return this._rollback(domain, record.tid, members);
+        }
+        return this._apply(domain, record.tid, record.commitTimestamp,
+            record.body.operations)
+        .then(() => this._finish(domain, record.tid, members));
+    }
+}
+
+Transactions.TABLE = TRANSACTIONS_TABLE;
+
+module.exports = Transactions;
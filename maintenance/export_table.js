@@ -0,0 +1,99 @@
+'use strict';
+
+const fs         = require('fs');
+const P          = require('bluebird');
+const getConfig  = require('./lib/index').getConfig;
+const makeClient = require('../lib/index');
+const process    = require('process');
+
+const yargs = require('yargs')
+    .usage('Usage: $0 [-c YAML] -d DOMAIN -t TABLE [-g] [--ttl] [-n NEXT] [-o FILE]\n\n' +
+           'Export the rows of a RESTBase table as newline-delimited JSON')
+    .demand(['domain', 'table'])
+    .options('h', { alias: 'help' })
+    .options('H', {
+        alias: 'hostname',
+        describe: 'Cassandra hostname (contact node); defaults to the configured hosts',
+        type: 'string'
+    })
+    .options('c', {
+        alias: 'config',
+        describe: 'RESTBase configuration file',
+        type: 'string'
+    })
+    .options('d', {
+        alias: 'domain',
+        describe: 'Domain to export',
+        type: 'string'
+    })
+    .options('t', {
+        alias: 'table',
+        describe: 'Logical table name (e.g. parsoid.html)',
+        type: 'string'
+    })
+    .options('g', {
+        alias: 'storage-group',
+        describe: 'Export all domains of the domain\'s storage group',
+        type: 'boolean'
+    })
+    .options('ttl', {
+        describe: 'Include the TTL of rows',
+        type: 'boolean'
+    })
+    .options('n', {
+        alias: 'next',
+        describe: 'Resume from the token of a page record',
+        type: 'string'
+    })
+    .options('o', {
+        alias: 'output',
+        describe: 'Output file; defaults to stdout',
+        type: 'string'
+    });
+
+const argv = yargs.argv;
+
+if (argv.h) {
+    yargs.showHelp();
+    process.exit(0);
+}
+
+const conf = getConfig(argv.config);
+if (argv.hostname) {
+    conf.hosts = [ argv.hostname ];
+}
+// Appending keeps the records of earlier attempts when resuming
+const out = argv.output ? fs.createWriteStream(argv.output, { flags: argv.next ? 'a' : 'w' }) :
+    process.stdout;
+
+function write(record) {
+    if (!out.write(`${JSON.stringify(record)}\n`)) {
+        return new P((resolve) => out.once('drain', resolve));
+    }
+}
+
+return makeClient({
+    conf,
+    log: (level, info) => {
+        if (/^error|fatal/.test(level)) {
+            console.error(level, info);
+        }
+    }
+})
+.then((db) => db.exportTable(argv.domain, {
+    table: argv.table,
+    storage_group: argv['storage-group'],
+    withTTL: argv.ttl,
+    next: argv.next
+}, write)
+.then((rows) => console.error(`Exported ${rows} rows`))
+.finally(() => db.close()))
+.catch((e) => {
+    console.error(e.body || e);
+    process.exitCode = 1;
+})
+.finally(() => {
+    if (out !== process.stdout) {
+        out.end();
+    }
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const fs         = require('fs');
+const getConfig  = require('./lib/index').getConfig;
+const makeClient = require('../lib/index');
+const process    = require('process');
+
+const yargs = require('yargs')
+    .usage('Usage: $0 [-c YAML] -d DOMAIN -t TABLE [-g] [-k CHECKPOINT] [-i FILE]\n\n' +
+           'Import newline-delimited JSON rows, such as a table export, into a RESTBase table')
+    .demand(['domain', 'table'])
+    .options('h', { alias: 'help' })
+    .options('H', {
+        alias: 'hostname',
+        describe: 'Cassandra hostname (contact node); defaults to the configured hosts',
+        type: 'string'
+    })
+    .options('c', {
+        alias: 'config',
+        describe: 'RESTBase configuration file',
+        type: 'string'
+    })
+    .options('d', {
+        alias: 'domain',
+        describe: 'Domain to import into',
+        type: 'string'
+    })
+    .options('t', {
+        alias: 'table',
+        describe: 'Logical table name (e.g. parsoid.html)',
+        type: 'string'
+    })
+    .options('g', {
+        alias: 'storage-group',
+        describe: 'Import the rows of a storage group export into their domains',
+        type: 'boolean'
+    })
+    .options('k', {
+        alias: 'checkpoint',
+        describe: 'Checkpoint id to record the progress under, and resume from',
+        type: 'string'
+    })
+    .options('i', {
+        alias: 'input',
+        describe: 'Input file; defaults to stdin',
+        type: 'string'
+    });
+
+const argv = yargs.argv;
+
+if (argv.h) {
+    yargs.showHelp();
+    process.exit(0);
+}
+
+const conf = getConfig(argv.config);
+if (argv.hostname) {
+    conf.hosts = [ argv.hostname ];
+}
+const input = argv.input ? fs.createReadStream(argv.input) : process.stdin;
+
+return makeClient({
+    conf,
+    log: (level, info) => {
+        if (/^error|fatal/.test(level)) {
+            console.error(level, info);
+        }
+    }
+})
+.then((db) => db.importTable(argv.domain, {
+    table: argv.table,
+    storage_group: argv['storage-group'],
+    checkpoint: argv.checkpoint
+}, input)
+.then((res) => console.error(`Imported ${res.rows} rows from ${res.lines} lines`))
+.finally(() => db.close()))
+.catch((e) => {
+    console.error(e.body || e);
+    process.exitCode = 1;
+})
+.finally(() => input.destroy());
@@ -0,0 +1,96 @@
+"use strict";
+
+var assert = require('assert');
+var fs = require('fs');
+var makeClient = require('../../lib/index');
+var yaml = require('js-yaml');
+
+var testTable0 = {
+    table: 'batchTest',
+    options: { durability: 'low' },
+    attributes: {
+        title: 'string',
+        rev: 'int',
+        comment: 'string'
+    },
+    index: [
+        { attribute: 'title', type: 'hash' },
+        { attribute: 'rev', type: 'range', order: 'desc' }
+    ]
+};
+
+describe('Batch operations', () => {
+    var db;
+    before(() => {
+        return makeClient({
+            log: (level, info) => {
+                if (/^error|fatal/.test(level)) {
+                    console.log(level, info);
+                }
+            },
+            conf: yaml.safeLoad(fs.readFileSync(__dirname + '/../utils/test_client.conf.yaml'))
+        })
+        .then((newDb) => {
+            db = newDb;
+            return db.createTable('restbase.cassandra.test.local', testTable0);
+        })
+        .then((response) => {
+            assert.ok(response, 'undefined response');
+            assert.deepEqual(response.status, 201);
+        });
+    });
+    after(() => {
+        return db.dropTable('restbase.cassandra.test.local', testTable0.table);
+    });
+
+    it('applies puts and deletes in one batch', () => {
+        return db.batch('restbase.cassandra.test.local', {
+            mode: 'unlogged',
+            operations: [
+                {
+                    method: 'put',
+                    table: testTable0.table,
+                    attributes: { title: 'Foo', rev: 3, comment: 'third' }
+                },
+                {
+                    method: 'put',
+                    table: testTable0.table,
+                    attributes: { title: 'Foo', rev: 2, comment: 'second' }
+                },
+                {
+                    method: 'delete',
+                    table: testTable0.table,
+                    attributes: { title: 'Foo', rev: 1 }
+                }
+            ]
+        })
+        .then((response) => {
+            assert.deepEqual(response.items.map((item) => item.status), [201, 201, 204]);
+            return db.get('restbase.cassandra.test.local', {
+                table: testTable0.table,
+                attributes: { title: 'Foo' }
+            });
+        })
+        .then((response) => {
+            assert.deepEqual(response.items.map((item) => item.rev), [3, 2]);
+        });
+    });
+
+    it('rejects invalid batch modes', () => {
+        return db.batch('restbase.cassandra.test.local', {
+            mode: 'counter',
+            operations: [
+                {
+                    method: 'delete',
+                    table: testTable0.table,
+                    attributes: { title: 'Foo' }
+                }
+            ]
+        })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+        });
+    });
+});
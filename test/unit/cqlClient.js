@@ -0,0 +1,79 @@
+"use strict";
+
+var assert = require('assert');
+var CQLClient = require('../utils/cqlClient');
+var DB = require('../../lib/db');
+
+var domain = 'en.wikipedia.org';
+
+var revTable = {
+    table: 'revTable',
+    attributes: {
+        title: 'string',
+        rev: 'int',
+        latest: 'int',
+        author: 'string',
+        body: 'json'
+    },
+    index: [
+        { attribute: 'title', type: 'hash' },
+        { attribute: 'rev', type: 'range', order: 'desc' },
+        { attribute: 'latest', type: 'static' }
+    ]
+};
+
+function makeDB() {
+    var db = new DB(new CQLClient(), {
+        conf: {
+            datacenters: ['datacenter1'],
+            storage_groups: [{ name: 'default.group', domains: '/./' }]
+        },
+        log: () => {}
+    });
+    return db.createTable(domain, JSON.parse(JSON.stringify(revTable)))
+    .then(() => db);
+}
+
+function putRev(db, rev, author) {
+    return db.put(domain, {
+        table: revTable.table,
+        attributes: { title: 'Foo', rev: rev, latest: rev, author: author, body: { rev: rev } }
+    });
+}
+
+describe('Fake CQL client', () => {
+    it('reads back rows in range order with the latest static', () => {
+        return makeDB()
+        .then((db) => putRev(db, 1, 'Alice')
+        .then(() => putRev(db, 2, 'Bob'))
+        .then(() => db.get(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo' }
+        })))
+        .then((res) => {
+            assert.deepEqual(res.items.map((row) => row.rev), [2, 1]);
+            assert.deepEqual(res.items.map((row) => row.latest), [2, 2]);
+            assert.deepEqual(res.items[1].body, { rev: 1 });
+        });
+    });
+
+    it('rejects statements Cassandra rejects', () => {
+        var client = new CQLClient();
+        return client.execute("create keyspace ks WITH replication = " +
+            "{ 'class': 'NetworkTopologyStrategy', 'datacenter1': 3 }")
+        .then(() => client.execute('create table ks.cf (a text, b int, c text, ' +
+            'primary key (a, b))'))
+        .then(() => client.execute('select * from ks.cf where b = ?', [1]))
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.ok(/ALLOW FILTERING/.test(error.message), error.message);
+            return client.execute('insert into ks.cf (a,b) values (?,?,?)', ['x', 1, 'y']);
+        })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.ok(/Unmatched column names\/values/.test(error.message), error.message);
+        });
+    });
+});
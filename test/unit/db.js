@@ -0,0 +1,1090 @@
+"use strict";
+
+var assert = require('assert');
+var P = require('bluebird');
+var cass = require('cassandra-driver');
+var CQLClient = require('../utils/cqlClient');
+var DB = require('../../lib/db');
+var dbu = require('../../lib/dbutils');
+
+var testTable0 = {
+    table: 'testTable0',
+    attributes: {
+        title: 'string',
+        tid: 'timeuuid',
+        body: 'json'
+    },
+    index: [
+        { attribute: 'title', type: 'hash' },
+        { attribute: 'tid', type: 'range', order: 'desc' }
+    ]
+};
+
+var testTable1 = {
+    table: 'testTable1',
+    attributes: {
+        title: 'string',
+        rev: 'int',
+        transactiontid: 'timeuuid',
+        body: 'json'
+    },
+    index: [
+        { attribute: 'title', type: 'hash' },
+        { attribute: 'rev', type: 'range', order: 'desc' },
+        { attribute: 'transactiontid', type: 'static' }
+    ]
+};
+
+var indexedTable = {
+    table: 'indexedTable',
+    attributes: {
+        title: 'string',
+        rev: 'int',
+        author: 'string',
+        body: 'json'
+    },
+    index: [
+        { attribute: 'title', type: 'hash' },
+        { attribute: 'rev', type: 'range', order: 'desc' }
+    ],
+    secondaryIndexes: {
+        by_author: [
+            { attribute: 'author', type: 'hash' },
+            { attribute: 'body', type: 'proj' }
+        ]
+    }
+};
+
+var transactionTable = {
+    table: '_transactions',
+    attributes: {
+        tid: 'timeuuid',
+        aborted: 'boolean',
+        commitTimestamp: 'timeuuid',
+        members: 'set<json>',
+        body: 'json'
+    },
+    index: [
+        { attribute: 'tid', type: 'hash' }
+    ]
+};
+
+var revTable = {
+    table: 'revTable',
+    attributes: {
+        title: 'string',
+        rev: 'int',
+        latest: 'int',
+        author: 'string',
+        body: 'json'
+    },
+    index: [
+        { attribute: 'title', type: 'hash' },
+        { attribute: 'rev', type: 'range', order: 'desc' },
+        { attribute: 'latest', type: 'static' }
+    ],
+    secondaryIndexes: {
+        by_author: [
+            { attribute: 'author', type: 'hash' },
+            { attribute: 'body', type: 'proj' }
+        ]
+    }
+};
+
+var domain = 'en.wikipedia.org';
+
+// Minimal stand-in for the cassandra-driver Client, returning canned results
+function makeDB(results) {
+    var client = {
+        statements: [],
+        execute: function (cql, params) {
+            this.statements.push({ cql: cql, params: params });
+            return P.resolve(results.shift() || { rows: [] });
+        },
+        batch: function (queries) {
+            this.statements.push({ batch: queries });
+            return P.resolve({ rows: [] });
+        }
+    };
+    var db = new DB(client, {
+        conf: {
+            datacenters: ['datacenter1'],
+            storage_groups: [{ name: 'default.group', domains: '/./' }]
+        },
+        log: () => {}
+    });
+    [testTable0, testTable1, indexedTable, transactionTable].forEach((table) => {
+        var keyspace = db.keyspaceName(domain, table.table);
+        db.schemaCache[keyspace] = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema(
+            JSON.parse(JSON.stringify(table))));
+        db.transactions.tables[keyspace] = P.resolve();
+    });
+    return db;
+}
+
+// DB with the fake Cassandra of test/utils/cqlClient.js, and the revTable
+function makeCQLDB(client) {
+    var db = new DB(client || new CQLClient(), {
+        conf: {
+            datacenters: ['datacenter1'],
+            salt_key: 'secret',
+            storage_groups: [{ name: 'default.group', domains: '/./' }]
+        },
+        log: () => {}
+    });
+    return db.createTable(domain, JSON.parse(JSON.stringify(revTable)))
+    .then(() => db);
+}
+
+function putRev(db, rev, author) {
+    return db.put(domain, {
+        table: revTable.table,
+        attributes: { title: 'Foo', rev: rev, latest: rev, author: author, body: { rev: rev } }
+    });
+}
+
+describe('DB configuration', () => {
+    it('rejects invalid default consistencies', () => {
+        ['localOn', 'any', 'serial'].forEach((name) => {
+            assert.throws(() => new DB({}, {
+                conf: {
+                    datacenters: ['datacenter1'],
+                    defaultConsistency: name
+                },
+                log: () => {}
+            }), new RegExp(`^Error: Invalid defaultConsistency ${name}$`));
+        });
+    });
+
+    it('creates keyspaces with the configured replication', () => {
+        return makeCQLDB()
+        .then((db) => {
+            var keyspace = db.keyspaceName(domain, revTable.table);
+            var meta = db.client.metadata.keyspaces[keyspace];
+            assert.deepEqual(meta.strategyOptions, { datacenter1: '3' });
+            db.conf.datacenters.push('new_dc');
+            return db.updateReplicationIfNecessary(keyspace)
+            .then(() => {
+                assert.deepEqual(db.client.metadata.keyspaces[keyspace].strategyOptions,
+                    { datacenter1: '3', new_dc: '3' });
+            });
+        });
+    });
+
+    it('applies the replication and consistency of storage groups', () => {
+        var testDomain = 'en.test.local';
+        var groups = [
+            {
+                name: 'test.group',
+                domains: '/\\.test\\.local$/',
+                datacenters: ['datacenter1'],
+                replicas: 1,
+                readConsistency: 'one',
+                writeConsistency: 'quorum'
+            },
+            { name: 'default.group', domains: '/./' }
+        ];
+        var db = new DB(new CQLClient(), {
+            conf: {
+                datacenters: ['datacenter1', 'datacenter2'],
+                storage_groups: groups
+            },
+            log: () => {}
+        });
+        var keyspaces = db.client.metadata.keyspaces;
+        var lastOptions = () => db.client.statements[db.client.statements.length - 1].options;
+        return db.createTable(testDomain, JSON.parse(JSON.stringify(revTable)))
+        .then(() => db.createTable(domain, JSON.parse(JSON.stringify(revTable))))
+        .then(() => {
+            assert.deepEqual(keyspaces[db.keyspaceName(testDomain, revTable.table)]
+                .strategyOptions, { datacenter1: '1' });
+            assert.deepEqual(keyspaces[db.keyspaceName(domain, revTable.table)]
+                .strategyOptions, { datacenter1: '3', datacenter2: '3' });
+            return putRev(db, 1, 'Alice');
+        })
+        .then(() => {
+            assert.deepEqual(lastOptions().consistency, cass.types.consistencies.localOne);
+            return db.put(testDomain, {
+                table: revTable.table,
+                attributes: { title: 'Foo', rev: 1, author: 'Alice' }
+            });
+        })
+        .then(() => {
+            assert.deepEqual(lastOptions().consistency, cass.types.consistencies.quorum);
+            return db.get(testDomain, {
+                table: revTable.table,
+                attributes: { title: 'Foo' }
+            });
+        })
+        .then(() => {
+            assert.deepEqual(lastOptions().consistency, cass.types.consistencies.one);
+            // Config migrations apply changed replication settings
+            groups[0].replicas = { datacenter1: 2 };
+            db.storageGroups = db._buildStorageGroups(groups);
+            db.conf.version = 2;
+            return db.createTable(testDomain, JSON.parse(JSON.stringify(revTable)));
+        })
+        .then(() => {
+            assert.deepEqual(keyspaces[db.keyspaceName(testDomain, revTable.table)]
+                .strategyOptions, { datacenter1: '2' });
+        });
+    });
+
+    it('applies the consistencies of tables and queries', () => {
+        var schema = JSON.parse(JSON.stringify(revTable));
+        schema.table = 'consistencyTable';
+        schema.options = {
+            read_consistency: 'quorum',
+            write_consistency: 'eachQuorum',
+            serial_consistency: 'localSerial'
+        };
+        var lastOptions;
+        return makeCQLDB()
+        .then((db) => {
+            lastOptions = () => db.client.statements[db.client.statements.length - 1].options;
+            return db.createTable(domain, schema)
+            .then(() => db.put(domain, {
+                table: schema.table,
+                if: 'not exists',
+                attributes: { title: 'Foo', rev: 1, author: 'Alice' }
+            }))
+            .then(() => {
+                assert.deepEqual(lastOptions().consistency, cass.types.consistencies.eachQuorum);
+                assert.deepEqual(lastOptions().serialConsistency,
+                    cass.types.consistencies.localSerial);
+                return db.get(domain, {
+                    table: schema.table,
+                    attributes: { title: 'Foo' }
+                });
+            })
+            .then(() => {
+                assert.deepEqual(lastOptions().consistency, cass.types.consistencies.quorum);
+                return db.get(domain, {
+                    table: schema.table,
+                    consistency: 'two',
+                    attributes: { title: 'Foo' }
+                });
+            })
+            .then(() => {
+                assert.deepEqual(lastOptions().consistency, cass.types.consistencies.two);
+                return db.put(domain, {
+                    table: schema.table,
+                    serialConsistency: 'quorum',
+                    if: 'not exists',
+                    attributes: { title: 'Foo', rev: 2 }
+                });
+            })
+            .then(() => {
+                assert.fail('expected an error');
+            }, (error) => {
+                assert.deepEqual(error.status, 400);
+                return db.get(domain, {
+                    table: schema.table,
+                    consistency: 'any',
+                    attributes: { title: 'Foo' }
+                });
+            })
+            .then(() => {
+                assert.fail('expected an error');
+            }, (error) => {
+                assert.deepEqual(error.status, 400);
+            });
+        });
+    });
+});
+
+describe('DB secondary indexes', () => {
+    it('writes projected attributes to secondary indexes', () => {
+        return makeCQLDB()
+        .then((db) => putRev(db, 1, 'Alice')
+        .then(() => db.get(domain, {
+            table: revTable.table,
+            index: 'by_author',
+            attributes: { author: 'Alice' }
+        })))
+        .then((res) => {
+            assert.deepEqual(res.items.length, 1);
+            assert.deepEqual(res.items[0].body, { rev: 1 });
+        });
+    });
+
+    it('skips stale index entries of concurrent writes', () => {
+        var db;
+        var byAuthor = (author) => ({
+            table: revTable.table,
+            index: 'by_author',
+            attributes: { author: author }
+        });
+        return makeCQLDB()
+        .then((newDB) => {
+            db = newDB;
+            return putRev(db, 1, 'Alice');
+        })
+        // Both puts read Alice's entry, and leave the other one's behind
+        .then(() => P.all([putRev(db, 1, 'Bob'), putRev(db, 1, 'Carol')]))
+        .then(() => P.all([byAuthor('Bob'), byAuthor('Carol')].map((query) =>
+            db.get(domain, query))))
+        .then((results) => {
+            assert.deepEqual(results.map((res) => res.items.length).sort(), [0, 1]);
+            return db.get(domain, {
+                table: revTable.table,
+                attributes: { title: 'Foo', rev: 1 }
+            })
+            .then((res) => db.get(domain, Object.assign(byAuthor(res.items[0].author), {
+                proj: ['body']
+            })));
+        })
+        .then((res) => {
+            assert.deepEqual(res.items, [{ body: { rev: 1 } }]);
+        });
+    });
+
+    it('builds the indexes of tables created by older backends', () => {
+        var db = new DB(new CQLClient(), {
+            conf: {
+                datacenters: ['datacenter1'],
+                storage_groups: [{ name: 'default.group', domains: '/./' }]
+            },
+            log: () => {}
+        });
+        var oldSchema = JSON.parse(JSON.stringify(revTable));
+        oldSchema._backend_version = 2;
+        var byAuthor = {
+            table: revTable.table,
+            index: 'by_author',
+            attributes: { author: 'Alice' }
+        };
+        return db.createTable(domain, oldSchema)
+        // Older backends ignored the indexes
+        .then(() => putRev(db, 1, 'Alice'))
+        .then(() => db.get(domain, JSON.parse(JSON.stringify(byAuthor))))
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.ok(/Unknown secondary index/.test(error.message), error.message);
+            return db.createTable(domain, JSON.parse(JSON.stringify(revTable)));
+        })
+        .then(() => putRev(db, 2, 'Alice'))
+        .then(() => db.get(domain, byAuthor))
+        .then((res) => {
+            assert.deepEqual(res.items.map((row) => row.body), [{ rev: 2 }, { rev: 1 }]);
+        });
+    });
+
+    it('removes secondary indexes', () => {
+        var newSchema = JSON.parse(JSON.stringify(revTable));
+        newSchema.version = 2;
+        delete newSchema.secondaryIndexes;
+        var db;
+        return makeCQLDB()
+        .then((newDB) => {
+            db = newDB;
+            return db.createTable(domain, newSchema);
+        })
+        .then(() => putRev(db, 1, 'Alice'))
+        .then(() => db.get(domain, {
+            table: revTable.table,
+            index: 'by_author',
+            attributes: { author: 'Alice' }
+        }))
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.ok(/Unknown secondary index/.test(error.message), error.message);
+            var keyspace = Object.keys(db.client.keyspaces)
+                .filter((name) => db.client.keyspaces[name].data)[0];
+            assert.deepEqual(db.client.keyspaces[keyspace].idx_by_author, undefined);
+        });
+    });
+
+    it('rejects projections of attributes the index lacks', () => {
+        var db = makeDB([]);
+        return P.each([['nope'], ['body', 'nope'], []], (proj) => db.get(domain, {
+            table: indexedTable.table,
+            index: 'by_author',
+            attributes: { author: 'Alice' },
+            proj: proj
+        })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+        }))
+        .then(() => {
+            assert.deepEqual(db.client.statements, []);
+        });
+    });
+});
+
+describe('DB schema migrations', () => {
+    it('migrates attributes', () => {
+        var newSchema = JSON.parse(JSON.stringify(revTable));
+        newSchema.version = 2;
+        newSchema.attributes.comment = 'string';
+        return makeCQLDB()
+        .then((db) => db.createTable(domain, newSchema)
+        .then(() => db.put(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo', rev: 1, comment: 'added' }
+        }))
+        .then(() => db.get(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo', rev: 1 }
+        })))
+        .then((res) => {
+            assert.deepEqual(res.items[0].comment, 'added');
+        });
+    });
+
+    it('refreshes schemas migrated by other processes', () => {
+        var newSchema = JSON.parse(JSON.stringify(revTable));
+        newSchema.version = 2;
+        newSchema.attributes.comment = 'string';
+        var put = {
+            table: revTable.table,
+            attributes: { title: 'Foo', rev: 1, comment: 'added' }
+        };
+        return makeCQLDB()
+        .then((db) => putRev(db, 1, 'Alice')
+        .then(() => makeCQLDB(db.client))
+        .then((otherDB) => otherDB.createTable(domain, newSchema))
+        .then(() => db.put(domain, JSON.parse(JSON.stringify(put))))
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.ok(/Unknown attribute comment/.test(error.message), error.message);
+            return db.refreshSchemas();
+        })
+        .then(() => db.put(domain, put)))
+        .then((res) => {
+            assert.deepEqual(res.status, 201);
+        });
+    });
+});
+
+describe('DB reads', () => {
+    it('signs paging tokens for their query', () => {
+        var db = new DB(new CQLClient(), {
+            conf: {
+                datacenters: ['datacenter1'],
+                storage_groups: [{ name: 'default.group', domains: '/./' }],
+                salt_key: 'secret',
+                next_token_expiry: 50
+            },
+            log: () => {}
+        });
+        var query = () => ({
+            table: revTable.table,
+            attributes: { title: 'Foo' },
+            limit: 1
+        });
+        var next;
+        var assertRejected = (promise, re) => promise.then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+            assert.ok(re.test(error.body.title), error.body.title);
+        });
+        return db.createTable(domain, JSON.parse(JSON.stringify(revTable)))
+        .then(() => putRev(db, 1, 'Alice'))
+        .then(() => putRev(db, 2, 'Bob'))
+        .then(() => db.get(domain, query()))
+        .then((res) => {
+            next = res.next;
+            assert.ok(JSON.parse(Buffer.from(next, 'base64').toString()).signature);
+            return db.get(domain, Object.assign(query(), { next: next }));
+        })
+        .then((res) => {
+            assert.deepEqual(res.items.map((row) => row.rev), [1]);
+            return assertRejected(db.get('de.wikipedia.org', Object.assign(query(),
+                { next: next })), /does not match/);
+        })
+        .then(() => assertRejected(db.get(domain, Object.assign(query(),
+            { attributes: { title: 'Bar' }, next: next })), /does not match/))
+        .then(() => {
+            var envelope = JSON.parse(Buffer.from(next, 'base64').toString());
+            envelope.state = Buffer.from('tampered').toString('base64');
+            return assertRejected(db.get(domain, Object.assign(query(), {
+                next: Buffer.from(JSON.stringify(envelope)).toString('base64')
+            })), /does not match/);
+        })
+        .then(() => assertRejected(db.get(domain, Object.assign(query(), { next: 'foo' })),
+            /Invalid next token/))
+        .delay(60)
+        .then(() => assertRejected(db.get(domain, Object.assign(query(), { next: next })),
+            /expired/));
+    });
+
+    it('refuses paging tokens without a salt_key', () => {
+        var db = new DB(new CQLClient(), {
+            conf: {
+                datacenters: ['datacenter1'],
+                storage_groups: [{ name: 'default.group', domains: '/./' }]
+            },
+            log: () => {}
+        });
+        return db.createTable(domain, JSON.parse(JSON.stringify(revTable)))
+        .then(() => putRev(db, 1, 'Alice'))
+        .then(() => putRev(db, 2, 'Bob'))
+        .then(() => db.get(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo' },
+            limit: 1
+        }))
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, undefined);
+            assert.ok(/salt_key/.test(error.message), error.message);
+        });
+    });
+
+    it('limits results separately from the page size', () => {
+        var db = new DB(new CQLClient(), {
+            conf: {
+                datacenters: ['datacenter1'],
+                salt_key: 'secret',
+                storage_groups: [{ name: 'default.group', domains: '/./' }],
+                maxLimit: 3
+            },
+            log: () => {}
+        });
+        var schema = JSON.parse(JSON.stringify(revTable));
+        var query = (extra) => Object.assign({
+            table: revTable.table,
+            attributes: { title: 'Foo' }
+        }, extra);
+        return db.createTable(domain, schema)
+        .then(() => P.each([1, 2, 3, 4, 5], (rev) => putRev(db, rev, 'Alice')))
+        .then(() => db.get(domain, query({ limit: 2, maxResults: 3 })))
+        .then((res) => {
+            assert.deepEqual(res.items.map((row) => row.rev), [5, 4]);
+            return db.get(domain, query({ limit: 2, maxResults: 3, next: res.next }));
+        })
+        .then((res) => {
+            assert.deepEqual(res.items.map((row) => row.rev), [3]);
+            assert.deepEqual(res.next, undefined);
+            // Reads without a limit are paged
+            return db.get(domain, query());
+        })
+        .then((res) => {
+            assert.deepEqual(res.items.map((row) => row.rev), [5, 4, 3]);
+            assert.ok(res.next);
+            return db.get(domain, query({ limit: 4 }));
+        })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+            // Tables can raise the maximum
+            schema = JSON.parse(JSON.stringify(revTable));
+            schema.version = 2;
+            schema.options = { max_limit: 10 };
+            return db.createTable(domain, schema);
+        })
+        .then(() => db.get(domain, query({ limit: 4 })))
+        .then((res) => {
+            assert.deepEqual(res.items.length, 4);
+        });
+    });
+
+    it('projects write times', () => {
+        var db;
+        var timestamp = Date.now() - 60000;
+        return makeCQLDB()
+        .then((newDB) => {
+            db = newDB;
+            return db.put(domain, {
+                table: revTable.table,
+                timestamp: timestamp,
+                attributes: { title: 'Foo', rev: 1, author: 'Alice', body: { rev: 1 } }
+            });
+        })
+        .then(() => db.put(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo', rev: 1, author: 'Bob' }
+        }))
+        .then(() => db.get(domain, {
+            table: revTable.table,
+            withWriteTime: true,
+            proj: ['rev', 'author', 'body'],
+            attributes: { title: 'Foo', rev: 1 }
+        }))
+        .then((res) => {
+            var row = res.items[0];
+            assert.deepEqual(row._writetime_body, timestamp * 1000);
+            assert.ok(row._writetime_author > row._writetime_body);
+            assert.deepEqual(row._writetime, row._writetime_author);
+            assert.deepEqual(row._writetime_rev, undefined);
+            return db.get(domain, {
+                table: revTable.table,
+                proj: ['rev', 'unknown'],
+                attributes: { title: 'Foo' }
+            });
+        })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+        });
+    });
+
+    it('scans tables in token ranges', () => {
+        var titles = ['Foo', 'Bar', 'Baz', 'Qux', 'Quux'];
+        var db;
+        return makeCQLDB()
+        .then((newDB) => {
+            db = newDB;
+            return P.each(titles, (title) => db.put(domain, {
+                table: revTable.table,
+                attributes: { title: title, rev: 1 }
+            }));
+        })
+        .then(() => db.put('de.wikipedia.org', {
+            table: revTable.table,
+            attributes: { title: 'Other', rev: 1 }
+        }))
+        .then(() => db.splitTable(domain, { table: revTable.table, splits: 3 }))
+        .then((res) => {
+            assert.deepEqual(res.items.length, 3);
+            var scanned = [];
+            var routed = [];
+            var execute = db.client.execute;
+            db.client.metadata.tokenizer = {};
+            db.client.metadata.newToken = (token) => token;
+            db.client.execute = function (cql, params, options) {
+                if (options && options.routingKey) {
+                    routed.push(options.keyspace);
+                }
+                return execute.apply(this, arguments);
+            };
+            // Page through each range, one row at a time
+            var scan = (range, next) => db.get(domain, {
+                table: revTable.table,
+                range: range,
+                limit: 1,
+                next: next
+            })
+            .then((page) => {
+                scanned = scanned.concat(page.items.map((row) => row.title));
+                return page.next && scan(range, page.next);
+            });
+            return P.each(res.items, (range) => scan(range))
+            .then(() => {
+                assert.deepEqual(scanned.sort(), titles.slice().sort());
+                assert.ok(routed.length >= 3);
+                assert.ok(routed.every((keyspace) =>
+                    keyspace === db.keyspaceName(domain, revTable.table)), routed);
+            });
+        });
+    });
+});
+
+describe('DB conditional writes', () => {
+    it('reports unmet conditions as 412 with the current row', () => {
+        var db = makeDB([{
+            rows: [{ '[applied]': false, _domain: domain, title: 'Foo', body: '{"a":1}' }]
+        }]);
+        return db.put(domain, {
+            table: testTable0.table,
+            if: 'not exists',
+            attributes: { title: 'Foo', tid: 'bd7a5a00-1f04-11e4-b312-c1e90310049f', body: {} }
+        })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            assert.deepEqual(error.status, 412);
+            assert.deepEqual(error.body.current, { title: 'Foo', body: { a: 1 } });
+        });
+    });
+
+    it('returns 201 for applied conditions', () => {
+        var db = makeDB([{ rows: [{ '[applied]': true }] }]);
+        return db.put(domain, {
+            table: testTable0.table,
+            if: 'not exists',
+            attributes: { title: 'Foo', tid: 'bd7a5a00-1f04-11e4-b312-c1e90310049f' }
+        })
+        .then((response) => {
+            assert.deepEqual(response.status, 201);
+        });
+    });
+});
+
+describe('DB conditional deletes', () => {
+    it('reports unmet conditions as 412', () => {
+        var db = makeDB([{ rows: [{ '[applied]': false }] }]);
+        return db.delete(domain, {
+            table: testTable0.table,
+            if: 'exists',
+            attributes: { title: 'Foo', tid: 'bd7a5a00-1f04-11e4-b312-c1e90310049f' }
+        })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            assert.deepEqual(error.status, 412);
+        });
+    });
+});
+
+describe('DB transactions', () => {
+    var ops = [
+        { method: 'put', table: testTable1.table, attributes: { title: 'Foo', rev: 1, body: {} } },
+        { method: 'delete', table: testTable1.table, attributes: { title: 'Bar', rev: 1 } }
+    ];
+
+    it('locks, commits, applies and releases', () => {
+        var db = makeDB([
+            // transaction record, then two locks
+            { rows: [] },
+            { rows: [{ '[applied]': true }] },
+            { rows: [{ '[applied]': true }] },
+            // commit, checking the locks, then releasing them
+            { rows: [{ '[applied]': true }] },
+            { rows: [] },
+            { rows: [] },
+            { rows: [{ '[applied]': true }] },
+            { rows: [{ '[applied]': true }] }
+        ]);
+        return db.transaction(domain, { operations: ops })
+        .then((res) => {
+            var statements = db.client.statements;
+            assert.deepEqual(res.items.map((item) => item.status), [201, 204]);
+            assert(/^update .*_transactions".* set "aborted" = \?,"members" = \?/.test(statements[0].cql),
+                statements[0].cql);
+            // Locks are taken in a stable order
+            assert(/set "transactiontid" = \? where .* if "transactiontid" = \?$/
+                .test(statements[1].cql), statements[1].cql);
+            assert.deepEqual(statements[1].params.slice(1), ['Bar', domain, null]);
+            assert.deepEqual(statements[2].params.slice(1), ['Foo', domain, null]);
+            assert(/set "commitTimestamp" = \? .* if "aborted" = \?$/.test(statements[3].cql),
+                statements[3].cql);
+            // The writes check the locks
+            assert(/^select "transactiontid" from /.test(statements[4].cql), statements[4].cql);
+            assert.deepEqual(statements[6].batch.length, 2);
+            // Locks are released, and the record is removed
+            assert.deepEqual(statements[7].params[0], null);
+            assert.deepEqual(statements[7].params.slice(-1), [res.tid]);
+            assert(/^DELETE FROM .*_transactions"/.test(statements[9].cql), statements[9].cql);
+        });
+    });
+
+    it('writes with the TTLs of operations', () => {
+        var db = makeDB([
+            // transaction record, lock and commit
+            { rows: [] },
+            { rows: [{ '[applied]': true }] },
+            { rows: [{ '[applied]': true }] },
+            // checking, then releasing the lock
+            { rows: [] },
+            { rows: [{ '[applied]': true }] }
+        ]);
+        return db.transaction(domain, { operations: [
+            { method: 'put', table: testTable1.table,
+                attributes: { title: 'Foo', rev: 1, body: {}, _ttl: 10 } }
+        ] })
+        .then(() => {
+            var batch = db.client.statements.filter((statement) => statement.batch)[0].batch;
+            assert(/ USING TIMESTAMP \? AND TTL \? /.test(batch[0].query), batch[0].query);
+        });
+    });
+
+    it('rolls back when wounded', () => {
+        var db = makeDB([
+            { rows: [] },
+            { rows: [{ '[applied]': true }] },
+            { rows: [{ '[applied]': true }] },
+            // commit fails, as the transaction was aborted
+            { rows: [{ '[applied]': false, aborted: true }] },
+            // the rollback, then releasing the locks
+            { rows: [{ '[applied]': true }] },
+            { rows: [{ '[applied]': true }] },
+            { rows: [{ '[applied]': true }] }
+        ]);
+        return db.transaction(domain, { operations: ops })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            var statements = db.client.statements;
+            assert.deepEqual(error.status, 409);
+            assert(statements.every((statement) => !statement.batch));
+            assert(/^DELETE FROM .*_transactions"/.test(statements[statements.length - 1].cql));
+        });
+    });
+
+    it('rejects tables without a transactiontid column', () => {
+        var db = makeDB([]);
+        return db.transaction(domain, { operations: [
+            { method: 'put', table: testTable0.table, attributes: { title: 'Foo' } }
+        ] })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+            assert.deepEqual(db.client.statements, []);
+        });
+    });
+
+    it('makes other writes conditional on the lock', () => {
+        var db = makeDB([{ rows: [{ '[applied]': true }] }]);
+        return db.put(domain, {
+            table: testTable1.table,
+            attributes: { title: 'Foo', rev: 1, body: {} }
+        })
+        .then(() => {
+            var statement = db.client.statements[0];
+            assert(/ if "transactiontid" = \?$/.test(statement.cql), statement.cql);
+        });
+    });
+
+    it('checks the locks of batched writes', () => {
+        var tid = cass.types.TimeUuid.now().toString();
+        var db = makeDB([
+            { rows: [] },
+            { rows: [{ transactiontid: cass.types.TimeUuid.fromString(tid) }] },
+            // the transaction record
+            { rows: [{ tid: tid, aborted: false }] }
+        ]);
+        return db.batch(domain, { operations: [
+            { method: 'put', table: testTable1.table, attributes: { title: 'Foo', rev: 1 } },
+            { method: 'put', table: testTable1.table, attributes: { title: 'Bar', rev: 1 } }
+        ] })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            var statements = db.client.statements;
+            assert.deepEqual(error.status, 409);
+            assert.deepEqual(error.body.tid, tid);
+            assert(/^select "transactiontid" from .* limit 1$/.test(statements[0].cql),
+                statements[0].cql);
+            assert(statements.every((statement) => !statement.batch));
+            // The transaction holding the lock can write
+            db = makeDB([{ rows: [{ transactiontid: cass.types.TimeUuid.fromString(tid) }] }]);
+            return db.batch(domain, { operations: [
+                { method: 'put', table: testTable1.table, attributes: { title: 'Foo', rev: 1 } }
+            ] }, tid);
+        })
+        .then(() => {
+            assert.deepEqual(db.client.statements[1].batch.length, 1);
+        });
+    });
+
+    it('reports rows locked by a live transaction as 409', () => {
+        var tid = cass.types.TimeUuid.now().toString();
+        var db = makeDB([
+            { rows: [{ '[applied]': false, transactiontid: tid }] },
+            // the transaction record
+            { rows: [{ tid: tid, aborted: false }] }
+        ]);
+        return db.put(domain, {
+            table: testTable1.table,
+            attributes: { title: 'Foo', rev: 1, body: {} }
+        })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            assert.deepEqual(error.status, 409);
+            assert.deepEqual(error.body.tid, tid);
+        });
+    });
+
+    it('checks the lock before writes that can\'t be conditional', () => {
+        var tid = cass.types.TimeUuid.now().toString();
+        var db = makeDB([
+            { rows: [] },
+            { rows: [] },
+            { rows: [{ transactiontid: cass.types.TimeUuid.fromString(tid) }] },
+            // the transaction record
+            { rows: [{ tid: tid, aborted: false }] }
+        ]);
+        return db.put(domain, {
+            table: testTable1.table,
+            attributes: { title: 'Foo', rev: 1, body: {} },
+            timestamp: 1000
+        })
+        .then(() => {
+            var statements = db.client.statements;
+            assert(/^select "transactiontid" from .* limit 1$/.test(statements[0].cql),
+                statements[0].cql);
+            assert(!/ if /.test(statements[1].cql), statements[1].cql);
+            return db.delete(domain, {
+                table: testTable1.table,
+                attributes: { title: 'Foo' }
+            });
+        })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            assert.deepEqual(error.status, 409);
+            assert.deepEqual(error.body.tid, tid);
+        });
+    });
+});
+
+describe('DB batches', () => {
+    it('reports invalid operations as 400', () => {
+        var db = makeDB([]);
+        return db.batch(domain, { operations: [
+            { method: 'put', table: testTable0.table, attributes: { body: {} } }
+        ] })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+            assert(/^Invalid batch operation 0/.test(error.body.title), error.body.title);
+        });
+    });
+
+    it('passes on storage errors', () => {
+        var db = makeDB([]);
+        db.client.execute = () => P.reject(new Error('Connection lost'));
+        return db.batch(domain, { operations: [
+            { method: 'put', table: 'otherTable', attributes: { title: 'Foo' } }
+        ] })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected exception');
+        }, (error) => {
+            assert.deepEqual(error.status, undefined);
+            assert.deepEqual(error.message, 'Connection lost');
+        });
+    });
+});
+
+describe('DB dependent updates', () => {
+    var tid = 'bd7a5a00-1f04-11e4-b312-c1e90310049f';
+    var dependents = [
+        { method: 'put', table: testTable1.table, attributes: { title: 'Foo', rev: 1, body: {} } }
+    ];
+
+    it('logs and performs dependent updates once the write was applied', () => {
+        var db = makeDB([
+            // log entry, then the conditional put
+            { rows: [] },
+            { rows: [{ '[applied]': true }] }
+        ]);
+        return db.put(domain, {
+            table: testTable0.table,
+            if: 'not exists',
+            attributes: { title: 'Foo', tid: tid, body: {} },
+            dependents: dependents
+        })
+        .then((response) => {
+            var statements = db.client.statements;
+            assert.deepEqual(response.status, 201);
+            assert(/^update .*"log" set "domain" = \?,"applied" = \?,"body" = \?/
+                .test(statements[0].cql), statements[0].cql);
+            assert(/ if not exists $/.test(statements[1].cql), statements[1].cql);
+            assert(/^update .*"log" set "applied" = \?/.test(statements[2].cql));
+            assert.deepEqual(statements[2].params[0], true);
+            assert(/^select "transactiontid" from /.test(statements[3].cql), statements[3].cql);
+            assert.deepEqual(statements[4].batch.length, 1);
+            assert(/^DELETE FROM .*"log"/.test(statements[5].cql), statements[5].cql);
+        });
+    });
+
+    it('discards dependent updates of unapplied writes', () => {
+        var db = makeDB([
+            { rows: [] },
+            { rows: [{ '[applied]': false }] }
+        ]);
+        return db.put(domain, {
+            table: testTable0.table,
+            if: 'not exists',
+            attributes: { title: 'Foo', tid: tid, body: {} },
+            dependents: dependents
+        })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            var statements = db.client.statements;
+            assert.deepEqual(error.status, 412);
+            assert.deepEqual(statements.length, 3);
+            assert(/^DELETE FROM .*"log"/.test(statements[2].cql), statements[2].cql);
+        });
+    });
+
+    it('keeps entries with locked dependent updates for the next replay', () => {
+        var lockTid = cass.types.TimeUuid.now().toString();
+        var db = makeDB([
+            { rows: [{ transactiontid: cass.types.TimeUuid.fromString(lockTid) }] },
+            // the transaction record
+            { rows: [{ tid: lockTid, aborted: false }] }
+        ]);
+        return db.dependentUpdates._replayEntry({
+            tid: tid,
+            domain: domain,
+            applied: true,
+            body: {
+                table: testTable0.table,
+                primary: { attributes: { title: 'Foo', tid: tid, body: {} } },
+                dependents: dependents
+            }
+        })
+        .then(() => {
+            var statements = db.client.statements;
+            assert.deepEqual(statements.length, 2);
+            assert(statements.every((statement) => !statement.batch &&
+                !/"log"/.test(statement.cql)));
+        });
+    });
+
+    it('requires a conditional put', () => {
+        var db = makeDB([]);
+        return db.put(domain, {
+            table: testTable0.table,
+            attributes: { title: 'Foo', tid: tid, body: {} },
+            dependents: dependents
+        })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+            assert.deepEqual(db.client.statements, []);
+        });
+    });
+
+    it('replays abandoned dependent updates', () => {
+        var db;
+        var rev = (n) => ({ title: 'Foo', rev: n, author: 'Alice', body: { rev: n } });
+        var abandon = (n, applied) => db._makeInternalRequest(domain, revTable.table, {
+            table: revTable.table,
+            if: 'not exists',
+            attributes: rev(n),
+            dependents: [{ method: 'put', table: revTable.table, attributes: rev(n + 10) }]
+        })
+        .then((req) => db.dependentUpdates.run(req, (primaryReq) =>
+            (applied ? db._put(primaryReq) : P.resolve())
+            .then(() => {
+                throw new Error('Connection lost');
+            })))
+        .catch((e) => {
+            assert.deepEqual(e.message, 'Connection lost');
+        });
+        var revs = () => db.get(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo' }
+        })
+        .then((res) => res.items.map((row) => row.rev));
+        return makeCQLDB()
+        .then((newDB) => {
+            db = newDB;
+            db.dependentUpdates.conf.timeout = -1000;
+            return P.each([1, 2, 3], (n) => abandon(n, n !== 2));
+        })
+        .then(revs)
+        .then((res) => {
+            assert.deepEqual(res, [3, 1]);
+            // Tables are found in the registry
+            db.schemaCache = {};
+            return db.dependentUpdates.replay();
+        })
+        .then(revs)
+        .then((res) => {
+            assert.deepEqual(res, [13, 11, 3, 1]);
+            return db.client.execute(`select * from "${db.keyspaceName(domain, revTable.table)}".log`);
+        })
+        .then((res) => {
+            assert.deepEqual(res.rows, []);
+        });
+    });
+});
@@ -1,6 +1,7 @@
 "use strict";
 
 var assert = require('assert');
+var Long = require('cassandra-driver').types.Long;
 var dbu = require('../../lib/dbutils');
 
 var testTable0a = {
@@ -90,5 +91,516 @@ describe('DB utilities', () => {
         };
         var cql = dbu.buildGetQuery(req, { limit: 42 }).cql;
         assert(cql.toLowerCase().includes('limit 42'), 'missing limit clause');
+        req.query = { maxResults: 7, limit: 2 };
+        cql = dbu.buildGetQuery(req, { limit: 42 }).cql;
+        assert(/ limit 7$/.test(cql), cql);
+    });
+
+    it('builds SELECTs with validated projections and write times', () => {
+        var req = {
+            keyspace: 'keyspace',
+            columnfamily: 'columnfamily',
+            domain: 'en.wikipedia.org',
+            schema: dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema(testTable0a)),
+            query: { proj: ['rev', 'comment', 'tags'] },
+        };
+        var cql = dbu.buildGetQuery(req, { withWriteTime: true }).cql;
+        assert(/^select "rev","comment","tags",WRITETIME\("comment"\) as "_writetime_comment" from/
+            .test(cql), cql);
+        [['rev', 'missing'], [], 42].forEach((proj) => {
+            req.query = { proj: proj };
+            assert.throws(() => dbu.buildGetQuery(req),
+                (e) => e.status === 400 && /proj/.test(e.body.title));
+        });
+        var row = { _writetime_author: null, _writetime_comment: Long.fromNumber(2) };
+        dbu.assignMaxWriteTime(row);
+        assert.deepEqual(row, { _writetime_author: null, _writetime_comment: 2, _writetime: 2 });
+    });
+
+    it('validates limits against the maximum', () => {
+        dbu.validateLimits({ limit: 10, maxResults: 1000 }, 10);
+        dbu.validateLimits({ limit: '5' });
+        [
+            [{ limit: 11 }, 10, /limit of 11 exceeds the maximum of 10/],
+            [{ maxResults: 11 }, 10, /maxResults of 11 exceeds/],
+            [{ limit: 0 }, undefined, /Invalid limit/],
+            [{ maxResults: 'all' }, undefined, /Invalid maxResults/]
+        ].forEach((test) => {
+            assert.throws(() => dbu.validateLimits(test[0], test[1]),
+                (e) => e.status === 400 && test[2].test(e.body.title));
+        });
+        var schema = JSON.parse(JSON.stringify(testTable0a));
+        schema.options.max_limit = -1;
+        assert.throws(() => dbu.validateAndNormalizeSchema(schema), (e) => e.status === 400);
+    });
+});
+
+var testTable1 = {
+    table: 'testTable1',
+    attributes: {
+        title: 'string',
+        rev: 'int',
+        tid: 'timeuuid',
+        page: 'string',
+        comment: 'string'
+    },
+    index: [
+        { attribute: 'rev', type: 'hash' },
+        { attribute: 'tid', type: 'range', order: 'desc' }
+    ],
+    secondaryIndexes: {
+        by_page: [
+            { attribute: 'page', type: 'hash' },
+            { attribute: 'tid', type: 'range', order: 'desc' },
+            { attribute: 'comment', type: 'proj' }
+        ],
+        by_title: [
+            { attribute: 'rev', type: 'hash' },
+            { attribute: 'title', type: 'range', order: 'asc' }
+        ]
+    }
+};
+
+describe('Secondary indexes', () => {
+    var schema = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema(testTable1));
+
+    function makeReq(query) {
+        return {
+            keyspace: 'keyspace',
+            columnfamily: 'data',
+            domain: 'en.wikipedia.org',
+            schema: schema,
+            query: query,
+            extend: function (opts) {
+                return Object.assign({ extend: this.extend }, this, opts);
+            }
+        };
+    }
+
+    it('derives index column family schemas', () => {
+        var byPage = schema.secondaryIndexInfo.by_page;
+        assert.deepEqual(byPage.iKeys, ['_domain', 'page', 'tid', 'rev']);
+        assert.deepEqual(Object.keys(byPage.attributes).sort(),
+            ['_domain', 'comment', 'page', 'rev', 'tid']);
+        assert.strictEqual(byPage.local, false);
+        assert.strictEqual(schema.secondaryIndexInfo.by_title.local, true);
+    });
+
+    it('rejects indexes on unknown attributes', () => {
+        var table = JSON.parse(JSON.stringify(testTable1));
+        table.secondaryIndexes.by_page.push({ attribute: 'nope', type: 'proj' });
+        assert.throws(() => dbu.validateAndNormalizeSchema(table), /not in attributes/);
+    });
+
+    it('builds SELECTs against the index column family', () => {
+        var statement = dbu.buildGetQuery(makeReq({
+            index: 'by_page',
+            attributes: { page: 'Foo' }
+        }));
+        assert(/from "keyspace"\."idx_by_page" where/.test(statement.cql),
+            'not reading from the index column family');
+        assert.deepEqual(statement.params, ['Foo', 'en.wikipedia.org']);
+    });
+
+    it('rejects unknown indexes', () => {
+        assert.throws(() => dbu.buildGetQuery(makeReq({ index: 'nope', attributes: {} })),
+            (e) => !e.status && /Unknown secondary index nope/.test(e.message));
+    });
+
+    it('replaces stale index entries on update', () => {
+        var oldRow = {
+            _domain: 'en.wikipedia.org',
+            title: 'Foo',
+            rev: 1,
+            tid: 'bd7a5a00-1f04-11e4-b312-c1e90310049f',
+            page: 'Foo',
+            comment: 'first'
+        };
+        var queries = dbu.buildIndexUpdateQueries(makeReq({
+            attributes: {
+                rev: 1,
+                tid: 'bd7a5a00-1f04-11e4-b312-c1e90310049f',
+                page: 'Bar'
+            }
+        }), [oldRow]);
+        var cqls = queries.map((q) => q.cql);
+        // by_page: delete the 'Foo' entry, add the 'Bar' one; by_title: refresh.
+        assert.strictEqual(cqls.length, 3);
+        assert(/^DELETE FROM "keyspace"\."idx_by_page"/.test(cqls[0]));
+        assert.deepEqual(queries[0].params.slice(0, 1), ['Foo']);
+        assert(/"keyspace"\."idx_by_page"/.test(cqls[1]));
+        assert(queries[1].params.indexOf('Bar') >= 0);
+        assert(/"keyspace"\."idx_by_title"/.test(cqls[2]));
+    });
+
+    it('removes index entries on delete', () => {
+        var oldRow = {
+            _domain: 'en.wikipedia.org',
+            title: 'Foo',
+            rev: 1,
+            tid: 'bd7a5a00-1f04-11e4-b312-c1e90310049f',
+            page: 'Foo',
+            comment: null
+        };
+        var queries = dbu.buildIndexUpdateQueries(makeReq({
+            attributes: { rev: 1 }
+        }), [oldRow], true);
+        assert.strictEqual(queries.length, 2);
+        queries.forEach((q) => assert(/^DELETE FROM/.test(q.cql)));
+    });
+});
+
+describe('Conditional writes', () => {
+    var schema = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema(
+        JSON.parse(JSON.stringify(testTable0a))));
+
+    function makeReq(query) {
+        return {
+            keyspace: 'keyspace',
+            columnfamily: 'data',
+            domain: 'en.wikipedia.org',
+            schema: schema,
+            query: query
+        };
+    }
+
+    it('builds DELETE ... IF EXISTS', () => {
+        var statement = dbu.buildDeleteQuery(makeReq({
+            if: ' Exists',
+            attributes: { title: 'Foo', rev: 1, tid: 'bd7a5a00-1f04-11e4-b312-c1e90310049f' }
+        }));
+        assert(/ IF EXISTS$/.test(statement.cql), statement.cql);
+    });
+
+    it('builds DELETE with predicate conditions', () => {
+        var statement = dbu.buildDeleteQuery(makeReq({
+            if: { author: { eq: 'Bar' } },
+            attributes: { title: 'Foo', rev: 1, tid: 'bd7a5a00-1f04-11e4-b312-c1e90310049f' }
+        }));
+        assert(/ IF "author" = \?$/.test(statement.cql), statement.cql);
+        assert.deepEqual(statement.params[statement.params.length - 1], 'Bar');
+    });
+
+    it('rejects DELETE ... IF NOT EXISTS', () => {
+        assert.throws(() => dbu.buildDeleteQuery(makeReq({
+            if: 'not exists',
+            attributes: { title: 'Foo', rev: 1, tid: 'bd7a5a00-1f04-11e4-b312-c1e90310049f' }
+        })), /conditionals are supported/);
+    });
+
+    it('builds UPDATE ... IF EXISTS', () => {
+        var statement = dbu.buildPutQuery(makeReq({
+            if: 'exists',
+            attributes: {
+                title: 'Foo',
+                rev: 1,
+                tid: 'bd7a5a00-1f04-11e4-b312-c1e90310049f',
+                comment: 'updated'
+            }
+        }));
+        assert(/^update .* if exists$/.test(statement.cql), statement.cql);
+    });
+});
+
+describe('Range deletes', () => {
+    var schema = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema(
+        JSON.parse(JSON.stringify(testTable0a))));
+
+    function makeReq(query) {
+        return {
+            keyspace: 'keyspace',
+            columnfamily: 'data',
+            domain: 'en.wikipedia.org',
+            schema: schema,
+            query: query
+        };
+    }
+
+    function assertBadRequest(query, re) {
+        assert.throws(() => dbu.buildDeleteQuery(makeReq(query)),
+            (e) => e.status === 400 && re.test(e.body.title));
+    }
+
+    it('deletes a slice of clustering rows', () => {
+        var statement = dbu.buildDeleteQuery(makeReq({
+            attributes: { title: 'Foo', rev: { lt: 42 } }
+        }));
+        assert(/WHERE "title" = \? AND "rev" < \? AND "_domain" = \?$/.test(statement.cql),
+            statement.cql);
+        assert.deepEqual(statement.params, ['Foo', 42, 'en.wikipedia.org']);
+    });
+
+    it('deletes with a write timestamp', () => {
+        var statement = dbu.buildDeleteQuery(makeReq({
+            timestamp: 1500000000000,
+            attributes: { title: 'Foo', rev: { between: [1, 5] } }
+        }));
+        assert(/^DELETE FROM "keyspace"\."data" USING TIMESTAMP \? WHERE/.test(statement.cql),
+            statement.cql);
+        assert.deepEqual(statement.params[0].toString(), '1500000000000000');
+    });
+
+    it('requires the full partition key', () => {
+        assertBadRequest({ attributes: { rev: 1 } }, /full partition key/);
+    });
+
+    it('rejects non-key attributes', () => {
+        assertBadRequest({ attributes: { title: 'Foo', author: 'Bar' } }, /non-key attribute/);
+    });
+
+    it('rejects range predicates on hash keys', () => {
+        assertBadRequest({ attributes: { title: { gt: 'Foo' } } }, /equality predicates/);
+    });
+
+    it('rejects restrictions after a range predicate', () => {
+        assertBadRequest({
+            attributes: { title: 'Foo', rev: { gt: 1 }, tid: 'bd7a5a00-1f04-11e4-b312-c1e90310049f' }
+        }, /after a range predicate/);
+    });
+
+    it('rejects restrictions skipping a range key', () => {
+        assertBadRequest({
+            attributes: { title: 'Foo', tid: 'bd7a5a00-1f04-11e4-b312-c1e90310049f' }
+        }, /without restricting rev/);
+    });
+
+    it('requires the full primary key for conditional deletes', () => {
+        assertBadRequest({ if: 'exists', attributes: { title: 'Foo' } }, /full primary key/);
+    });
+});
+
+describe('Collection types', () => {
+    var testTable2 = {
+        table: 'testTable2',
+        attributes: {
+            key: 'string',
+            props: 'map<string, json>',
+            revs: 'list<long>',
+            tags: 'set<string>'
+        },
+        index: [
+            { attribute: 'key', type: 'hash' }
+        ]
+    };
+
+    it('maps collection types to CQL', () => {
+        assert.deepEqual(dbu.schemaTypeToCQLType('map<string,json>'), 'map<text,text>');
+        assert.deepEqual(dbu.schemaTypeToCQLType('map<uuid, long>'), 'map<uuid,bigint>');
+        assert.deepEqual(dbu.schemaTypeToCQLType('list<timestamp>'), 'list<timestamp>');
+    });
+
+    it('rejects invalid collection types', () => {
+        assert.throws(() => dbu.schemaTypeToCQLType('map<int,string>'), /Invalid schema type/);
+        assert.throws(() => dbu.schemaTypeToCQLType('list<set<int>>'), /Invalid schema type/);
+        var table = JSON.parse(JSON.stringify(testTable2));
+        table.attributes.props = 'map<json,string>';
+        assert.throws(() => dbu.validateAndNormalizeSchema(table), /Invalid schema type/);
+    });
+
+    it('keeps collection types in normalized schemas', () => {
+        var schema = dbu.validateAndNormalizeSchema(JSON.parse(JSON.stringify(testTable2)));
+        assert.deepEqual(schema.attributes.props, 'map<string, json>');
+        assert.deepEqual(schema.attributes.revs, 'list<long>');
+    });
+
+    it('round-trips map and list values', () => {
+        var schema = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema(
+            JSON.parse(JSON.stringify(testTable2))));
+        var props = { a: { b: [1, 2] }, c: 'd' };
+        var written = schema.conversions.props.write(props);
+        assert.deepEqual(written, { a: '{"b":[1,2]}', c: '"d"' });
+        assert.deepEqual(schema.conversions.props.read(written), props);
+        assert.strictEqual(schema.conversions.props.write({}), null);
+
+        var revs = schema.conversions.revs.write(['3', '1', '2']);
+        assert.deepEqual(schema.conversions.revs.read(revs), ['3', '1', '2']);
+        assert.strictEqual(schema.conversions.revs.write([]), null);
+    });
+});
+
+describe('Incremental collection updates', () => {
+    var testTable3 = {
+        table: 'testTable3',
+        attributes: {
+            key: 'string',
+            tags: 'set<string>',
+            revs: 'list<int>',
+            props: 'map<string,json>',
+            comment: 'string'
+        },
+        index: [
+            { attribute: 'key', type: 'hash' }
+        ]
+    };
+    var schema = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema(testTable3));
+
+    function build(attributes, condition) {
+        attributes.key = 'Foo';
+        return dbu.buildPutQuery({
+            keyspace: 'keyspace',
+            columnfamily: 'data',
+            domain: 'en.wikipedia.org',
+            schema: schema,
+            query: { attributes: attributes, if: condition }
+        });
+    }
+
+    it('adds and removes set elements', () => {
+        var statement = build({ tags: { add: ['a', 'b'] }, comment: 'c' });
+        assert(/set "tags" = "tags" \+ \?,"comment" = \? +where/.test(statement.cql),
+            statement.cql);
+        assert.deepEqual(statement.params.slice(0, 2), [['a', 'b'], 'c']);
+        statement = build({ tags: { remove: ['a'] } });
+        assert(/set "tags" = "tags" - \? +where/.test(statement.cql), statement.cql);
+    });
+
+    it('appends, prepends and removes list elements', () => {
+        assert(/set "revs" = "revs" \+ \? +where/.test(build({ revs: { add: [1] } }).cql));
+        assert(/set "revs" = \? \+ "revs" +where/.test(build({ revs: { prepend: [1] } }).cql));
+        assert(/set "revs" = "revs" - \? +where/.test(build({ revs: { remove: [1] } }).cql));
+    });
+
+    it('adds and removes map entries with value conversions', () => {
+        var statement = build({ props: { add: { a: { b: 1 } } } });
+        assert(/set "props" = "props" \+ \? +where/.test(statement.cql), statement.cql);
+        assert.deepEqual(statement.params[0], { a: '{"b":1}' });
+        statement = build({ props: { remove: ['a'] } });
+        assert(/set "props" = "props" - \? +where/.test(statement.cql), statement.cql);
+        assert.deepEqual(statement.params[0], ['a']);
+    });
+
+    it('passes empty operands as empty collections', () => {
+        assert.deepEqual(build({ tags: { add: [] } }).params[0], []);
+    });
+
+    it('still overwrites with plain collection values', () => {
+        var statement = build({ tags: ['a'] });
+        assert(/set "tags" = \? +where/.test(statement.cql), statement.cql);
+    });
+
+    it("rejects collection updates with 'not exists'", () => {
+        assert.throws(() => build({ tags: { add: ['a'] } }, 'not exists'), /not exists/);
+    });
+});
+
+describe('Counters', () => {
+    var testTable4 = {
+        table: 'testTable4',
+        attributes: {
+            page: 'string',
+            day: 'int',
+            views: 'counter',
+            edits: 'counter'
+        },
+        index: [
+            { attribute: 'page', type: 'hash' },
+            { attribute: 'day', type: 'range', order: 'desc' }
+        ]
+    };
+
+    function makeTable() {
+        return JSON.parse(JSON.stringify(testTable4));
+    }
+
+    var schema = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema(makeTable()));
+
+    function build(attributes, query) {
+        attributes.page = 'Foo';
+        attributes.day = 1;
+        query = query || {};
+        query.attributes = attributes;
+        return dbu.buildPutQuery({
+            keyspace: 'keyspace',
+            columnfamily: 'data',
+            domain: 'en.wikipedia.org',
+            schema: schema,
+            query: query
+        });
+    }
+
+    it('rejects non-counter, non-key attributes', () => {
+        var table = makeTable();
+        table.attributes.comment = 'string';
+        assert.throws(() => dbu.validateAndNormalizeSchema(table), /comment is of type string/);
+    });
+
+    it('rejects counters in the primary key', () => {
+        var table = makeTable();
+        table.index[1].attribute = 'views';
+        delete table.attributes.day;
+        assert.throws(() => dbu.validateAndNormalizeSchema(table), /part of the primary key/);
+    });
+
+    it('builds increments and decrements', () => {
+        var statement = build({ views: { incr: 1 }, edits: { decr: '2' } });
+        assert(/set "views" = "views" \+ \?,"edits" = "edits" - \? +where/.test(statement.cql),
+            statement.cql);
+        assert.deepEqual(statement.params.slice(0, 2).map(String), ['1', '2']);
+    });
+
+    it('rejects plain counter assignments', () => {
+        assert.throws(() => build({ views: 5 }), /incr: n/);
+    });
+
+    it('rejects TTLs on counter updates', () => {
+        assert.throws(() => build({ views: { incr: 1 } }, { timestamp: 1 }), /timestamps/);
+    });
+
+    it('reads counters as numbers', () => {
+        var rows = dbu.convertRows([{ page: 'Foo', day: 1,
+            views: dbu.counterOperation('views', { incr: 42 }).operand }], schema);
+        assert.strictEqual(rows[0].views, 42);
+    });
+});
+
+describe('Token ranges', () => {
+    var schema = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema(
+        JSON.parse(JSON.stringify(testTable0a))));
+
+    function decode(range) {
+        var bounds = dbu.decodeTokenRange(range);
+        return [bounds.start.toString(), bounds.end.toString()];
+    }
+
+    it('splits the token ring into adjacent ranges', () => {
+        var ranges = dbu.splitTokenRing(3).map(decode);
+        assert.deepEqual(ranges.length, 3);
+        assert.deepEqual(ranges[0][0], '-9223372036854775808');
+        assert.deepEqual(ranges[2][1], '9223372036854775807');
+        assert.deepEqual(ranges[0][1], ranges[1][0]);
+        assert.deepEqual(ranges[1][1], ranges[2][0]);
+        assert.deepEqual(dbu.splitTokenRing(1).map(decode),
+            [['-9223372036854775808', '9223372036854775807']]);
+    });
+
+    it('rejects invalid numbers of ranges and descriptors', () => {
+        [0, 1.5, NaN, 1000000].forEach((splits) => {
+            assert.throws(() => dbu.splitTokenRing(splits), (e) => e.status === 400);
+        });
+        var tampered = Buffer.from(JSON.stringify(['5', '1'])).toString('base64');
+        ['foo', tampered].forEach((range) => {
+            assert.throws(() => dbu.decodeTokenRange(range), (e) => e.status === 400);
+        });
+    });
+
+    it('builds SELECTs restricting the partition token', () => {
+        var range = dbu.splitTokenRing(2)[1];
+        var statement = dbu.buildGetQuery({
+            keyspace: 'keyspace',
+            columnfamily: 'data',
+            domain: 'en.wikipedia.org',
+            schema: schema,
+            query: { range: range }
+        });
+        assert(/ where token\("_domain","title"\) > \? AND token\("_domain","title"\) <= \? AND "_domain" = \? allow filtering$/
+            .test(statement.cql), statement.cql);
+        assert.deepEqual(statement.params.slice(0, 2).map(String), decode(range));
+        assert.throws(() => dbu.buildGetQuery({
+            keyspace: 'keyspace',
+            columnfamily: 'data',
+            domain: 'en.wikipedia.org',
+            schema: schema,
+            query: { range: range, attributes: { title: 'Foo' } }
+        }), (e) => e.status === 400);
     });
 });
@@ -0,0 +1,197 @@
+"use strict";
+
+var assert = require('assert');
+var P = require('bluebird');
+var CQLClient = require('../utils/cqlClient');
+var DB = require('../../lib/db');
+
+var domain = 'en.wikipedia.org';
+
+var revTable = {
+    table: 'revTable',
+    attributes: {
+        title: 'string',
+        rev: 'int',
+        latest: 'int',
+        author: 'string',
+        body: 'json'
+    },
+    index: [
+        { attribute: 'title', type: 'hash' },
+        { attribute: 'rev', type: 'range', order: 'desc' },
+        { attribute: 'latest', type: 'static' }
+    ],
+    secondaryIndexes: {
+        by_author: [
+            { attribute: 'author', type: 'hash' }
+        ]
+    }
+};
+
+function makeDB(client, groups) {
+    return new DB(client, {
+        conf: {
+            datacenters: ['datacenter1'],
+            salt_key: 'secret',
+            storage_groups: groups || [
+                { name: 'default.group', domains: '/./' },
+                { name: 'big.group', domains: 'big.example.org' }
+            ],
+            domain_moves: { refresh_interval: 0, verify_delay: 1 }
+        },
+        log: () => {}
+    });
+}
+
+function putRev(db, rev) {
+    return db.put(domain, {
+        table: revTable.table,
+        attributes: { title: 'Foo', rev: rev, latest: rev, author: 'Alice', body: { rev: rev } }
+    });
+}
+
+function getRevs(db) {
+    return db.get(domain, {
+        table: revTable.table,
+        attributes: { title: 'Foo' }
+    })
+    .then((res) => res.items.map((row) => [row.rev, row.latest, row.body.rev]));
+}
+
+describe('Domain moves', () => {
+    var client;
+    var db;
+    beforeEach(() => {
+        client = new CQLClient();
+        db = makeDB(client);
+        return db.createTable(domain, JSON.parse(JSON.stringify(revTable)))
+        .then(() => putRev(db, 1))
+        .then(() => putRev(db, 2));
+    });
+
+    it('copies rows and cuts reads over', () => {
+        return db.moveDomain(domain, 'big.group')
+        .then((move) => {
+            assert.deepEqual(move.state, 'moved');
+            assert.deepEqual(move.progress, { revTable: { rows: 2 } });
+            assert.deepEqual(db.keyspaceName(domain, revTable.table),
+                db._keyspaceNameForStorageGroup('big.group', revTable.table));
+            return getRevs(db);
+        })
+        .then((revs) => {
+            assert.deepEqual(revs, [[2, 2, 2], [1, 2, 1]]);
+            return db.get(domain, {
+                table: revTable.table,
+                index: 'by_author',
+                attributes: { author: 'Alice' }
+            });
+        })
+        .then((res) => {
+            assert.deepEqual(res.items.length, 2);
+        });
+    });
+
+    it('copies rows without write times at the start of the copy', () => {
+        var timestamps = [];
+        var put = db._put;
+        var before;
+        db._put = function (req) {
+            if (req.columnfamily === 'data' &&
+                    req.keyspace === db._keyspaceNameForStorageGroup('big.group', revTable.table)) {
+                timestamps.push(req.query.timestamp);
+            }
+            return put.apply(this, arguments);
+        };
+        // A row holding only its keys
+        return db.put(domain, {
+            table: revTable.table,
+            attributes: { title: 'Bar', rev: 1 }
+        })
+        .then(() => {
+            before = Date.now();
+            return db.moveDomain(domain, 'big.group');
+        })
+        .then((move) => {
+            assert.deepEqual(move.progress, { revTable: { rows: 3 } });
+            assert.deepEqual(timestamps.length, 3);
+            assert.ok(timestamps.every((timestamp) => timestamp <= Date.now()), timestamps);
+            assert.ok(timestamps.some((timestamp) => timestamp >= before), timestamps);
+        });
+    });
+
+    it('compares row counts again while writes change them', () => {
+        var counts = [3, 2, 3, 3];
+        db.domainMoves._count = () => P.resolve(counts.shift());
+        return db.moveDomain(domain, 'big.group')
+        .then((move) => {
+            assert.deepEqual(move.progress, { revTable: { rows: 3 } });
+            assert.deepEqual(counts, []);
+        });
+    });
+
+    it('fails on row counts that keep differing', () => {
+        var counts = [3, 2, 3, 2, 3, 2];
+        db.domainMoves._count = () => P.resolve(counts.shift());
+        return db.moveDomain(domain, 'big.group')
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, 500);
+            assert.deepEqual(counts, []);
+        });
+    });
+
+    it('persists moves for other processes', () => {
+        var otherDB = makeDB(client);
+        return db.moveDomain(domain, 'big.group')
+        .then(() => otherDB.domainMoves.refresh())
+        .then(() => {
+            assert.deepEqual(otherDB.keyspaceName(domain, revTable.table),
+                db._keyspaceNameForStorageGroup('big.group', revTable.table));
+        });
+    });
+
+    it('repeats writes in the old storage group until finished', () => {
+        // Without the move, reads use the configured storage group
+        var oldDB = makeDB(client);
+        return db.moveDomain(domain, 'big.group')
+        .then(() => putRev(db, 3))
+        .then(() => getRevs(oldDB))
+        .then((revs) => {
+            assert.deepEqual(revs.map((rev) => rev[0]), [3, 2, 1]);
+            return db.finishMove(domain);
+        })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+            db.storageGroups = db._buildStorageGroups([
+                { name: 'big.group', domains: domain },
+                { name: 'default.group', domains: '/./' }
+            ]);
+            db.storageGroupsCache = {};
+            return db.finishMove(domain);
+        })
+        .then(() => putRev(db, 4))
+        .then(() => P.all([getRevs(db), getRevs(oldDB)]))
+        .then((results) => {
+            assert.deepEqual(results[0].map((rev) => rev[0]), [4, 3, 2, 1]);
+            assert.deepEqual(results[1].map((rev) => rev[0]), [3, 2, 1]);
+        });
+    });
+
+    it('rejects moves to the current or unknown storage groups', () => {
+        return db.moveDomain(domain, 'default.group')
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+            return db.moveDomain(domain, 'unknown.group');
+        })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+        });
+    });
+});
@@ -0,0 +1,163 @@
+"use strict";
+
+var assert = require('assert');
+var MemoryDB = require('../../lib/memoryDB');
+
+var domain = 'en.wikipedia.org';
+
+var revTable = {
+    table: 'revTable',
+    attributes: {
+        title: 'string',
+        rev: 'int',
+        latest: 'int',
+        body: 'json'
+    },
+    index: [
+        { attribute: 'title', type: 'hash' },
+        { attribute: 'rev', type: 'range', order: 'desc' },
+        { attribute: 'latest', type: 'static' }
+    ]
+};
+
+function makeDB() {
+    var db = new MemoryDB({
+        conf: {
+            datacenters: ['datacenter1'],
+            salt_key: 'secret',
+            storage_groups: [{ name: 'default.group', domains: '/./' }]
+        },
+        log: () => {}
+    });
+    return db.createTable(domain, JSON.parse(JSON.stringify(revTable)))
+    .then(() => db);
+}
+
+function putRevs(db, revs) {
+    return revs.reduce((p, rev) => p.then(() => db.put(domain, {
+        table: revTable.table,
+        attributes: { title: 'Foo', rev: rev, latest: rev, body: { rev: rev } }
+    })), Promise.resolve());
+}
+
+describe('MemoryDB', () => {
+    it('returns rows in range order with the latest static', () => {
+        return makeDB()
+        .then((db) => putRevs(db, [1, 3, 2])
+        .then(() => db.get(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo' }
+        })))
+        .then((res) => {
+            assert.deepEqual(res.items.map((row) => row.rev), [3, 2, 1]);
+            assert.deepEqual(res.items.map((row) => row.latest), [2, 2, 2]);
+            assert.deepEqual(res.items[0].body, { rev: 3 });
+        });
+    });
+
+    it('pages through results', () => {
+        return makeDB()
+        .then((db) => putRevs(db, [1, 2, 3])
+        .then(() => db.get(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo' },
+            limit: 2
+        }))
+        .then((res) => {
+            assert.deepEqual(res.items.map((row) => row.rev), [3, 2]);
+            assert.ok(res.next);
+            return db.get(domain, {
+                table: revTable.table,
+                attributes: { title: 'Foo' },
+                limit: 2,
+                next: res.next
+            });
+        }))
+        .then((res) => {
+            assert.deepEqual(res.items.map((row) => row.rev), [1]);
+            assert.deepEqual(res.next, undefined);
+        });
+    });
+
+    it('expires rows written with a TTL', () => {
+        return makeDB()
+        .then((db) => db.put(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo', rev: 1, body: {}, _ttl: 1 }
+        })
+        .then(() => db.get(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo' },
+            withTTL: true
+        }))
+        .then((res) => {
+            assert.deepEqual(res.items.length, 1);
+            assert.ok(res.items[0]._ttl <= 1);
+            return new Promise((resolve) => setTimeout(resolve, 1100));
+        })
+        .then(() => db.get(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo' }
+        })))
+        .then((res) => {
+            assert.deepEqual(res.items, []);
+        });
+    });
+
+    it('rejects inserts of existing rows with 412', () => {
+        return makeDB()
+        .then((db) => putRevs(db, [1])
+        .then(() => db.put(domain, {
+            table: revTable.table,
+            if: 'not exists',
+            attributes: { title: 'Foo', rev: 1, body: { rev: 2 } }
+        })))
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            assert.deepEqual(error.status, 412);
+            assert.deepEqual(error.body.current.body, { rev: 1 });
+        });
+    });
+
+    it('closes without a client', () => {
+        return makeDB()
+        .then((db) => db.close());
+    });
+
+    it('rolls back batches failing partway', () => {
+        var db;
+        return makeDB()
+        .then((newDB) => {
+            db = newDB;
+            return putRevs(db, [1]);
+        })
+        .then(() => {
+            var store = db._store;
+            db._store = function (req) {
+                if (req.query.attributes.rev === 3) {
+                    return Promise.reject(new Error('Out of memory'));
+                }
+                return store.apply(this, arguments);
+            };
+            return db.batch(domain, { operations: [
+                { method: 'put', table: revTable.table,
+                    attributes: { title: 'Foo', rev: 2, latest: 2, body: { rev: 2 } } },
+                { method: 'delete', table: revTable.table, attributes: { title: 'Foo', rev: 1 } },
+                { method: 'put', table: revTable.table, attributes: { title: 'Foo', rev: 3 } }
+            ] });
+        })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected exception');
+        }, (error) => {
+            assert.deepEqual(error.message, 'Out of memory');
+            return db.get(domain, {
+                table: revTable.table,
+                attributes: { title: 'Foo' }
+            });
+        })
+        .then((res) => {
+            assert.deepEqual(res.items.map((row) => [row.rev, row.latest]), [[1, 1]]);
+        });
+    });
+});
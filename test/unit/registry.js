@@ -0,0 +1,133 @@
+"use strict";
+
+var assert = require('assert');
+var CQLClient = require('../utils/cqlClient');
+var DB = require('../../lib/db');
+
+var domain = 'en.wikipedia.org';
+
+function makeSchema(table) {
+    return {
+        table: table,
+        attributes: {
+            key: 'string',
+            value: 'string'
+        },
+        index: [
+            { attribute: 'key', type: 'hash' }
+        ]
+    };
+}
+
+function makeDB() {
+    return new DB(new CQLClient(), {
+        conf: {
+            datacenters: ['datacenter1'],
+            salt_key: 'secret',
+            storage_groups: [{ name: 'default.group', domains: '/./' }]
+        },
+        log: () => {}
+    });
+}
+
+describe('Keyspace registry', () => {
+    it('registers created tables', () => {
+        var db = makeDB();
+        return db.createTable(domain, makeSchema('first'))
+        .then(() => db.createTable(domain, makeSchema('second')))
+        .then(() => db.listTables())
+        .then((res) => {
+            var entries = res.items.map((item) => [item.keyspace, item.storage_group,
+                item.table]).sort();
+            assert.deepEqual(entries, [
+                [db.keyspaceName(domain, 'first'), 'default.group', 'first'],
+                [db.keyspaceName(domain, 'second'), 'default.group', 'second']
+            ]);
+            assert.ok(!isNaN(Date.parse(res.items[0].created)));
+        });
+    });
+
+    it('updates the schema hash on migrations', () => {
+        var db = makeDB();
+        var schema = makeSchema('first');
+        var hash;
+        return db.createTable(domain, JSON.parse(JSON.stringify(schema)))
+        .then(() => db.listTables())
+        .then((res) => {
+            hash = res.items[0].schema_hash;
+            schema.version = 2;
+            schema.attributes.comment = 'string';
+            return db.createTable(domain, schema);
+        })
+        .then(() => db.listTables())
+        .then((res) => {
+            assert.notDeepEqual(res.items[0].schema_hash, hash);
+        });
+    });
+
+    it('removes dropped tables', () => {
+        var db = makeDB();
+        return db.createTable(domain, makeSchema('first'))
+        .then(() => db.dropTable(domain, 'first'))
+        .then(() => db.listTables())
+        .then((res) => {
+            assert.deepEqual(res.items, []);
+        });
+    });
+
+    it('lists the tables of a domain\'s storage group', () => {
+        var db = new DB(new CQLClient(), {
+            conf: {
+                datacenters: ['datacenter1'],
+                salt_key: 'secret',
+                storage_groups: [
+                    { name: 'other.group', domains: 'other.example.org' },
+                    { name: 'default.group', domains: '/./' }
+                ]
+            },
+            log: () => {}
+        });
+        var firstPage;
+        return db.createTable(domain, makeSchema('first'))
+        .then(() => db.createTable(domain, makeSchema('second')))
+        .then(() => db.createTable('other.example.org', makeSchema('third')))
+        .then(() => db.listDomainTables(domain, { limit: 1 }))
+        .then((res) => {
+            firstPage = res.items;
+            assert.deepEqual(firstPage.length, 1);
+            assert.ok(res.next);
+            return db.listDomainTables(domain, { limit: 1, next: res.next });
+        })
+        .then((res) => {
+            var items = firstPage.concat(res.items)
+                .sort((a, b) => a.table < b.table ? -1 : 1);
+            assert.deepEqual(items.map((item) => [item.table, item.keyspace, item.version,
+                item.config_version]), [
+                ['first', db.keyspaceName(domain, 'first'), 1, 0],
+                ['second', db.keyspaceName(domain, 'second'), 1, 0]
+            ]);
+            assert.ok(items[0].schema_hash);
+            assert.ok(items[0].backend_version);
+            return db.listDomainTables('other.example.org');
+        })
+        .then((res) => {
+            assert.deepEqual(res.items.map((item) => item.table), ['third']);
+        });
+    });
+
+    it('rejects tables colliding with the keyspace of another table', () => {
+        var db = makeDB();
+        return db.createTable(domain, makeSchema('first'))
+        .then(() => {
+            var keyspace = db.keyspaceName(domain, 'first');
+            db._keyspaceNameForStorageGroup = () => keyspace;
+            return db.createTable(domain, makeSchema('second'));
+        })
+        .then((response) => {
+            assert.fail(response, undefined, 'expected HTTPError exception');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+            assert.ok(/collision/.test(error.body.title), error.body.title);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+"use strict";
+
+var assert = require('assert');
+var P = require('bluebird');
+var dbu = require('../../lib/dbutils');
+var SchemaMigrator = require('../../lib/schemaMigration');
+
+var testTable0 = {
+    table: 'testTable0',
+    attributes: {
+        key: 'string',
+        tags: 'set<string>',
+        props: 'map<string,json>'
+    },
+    index: [
+        { attribute: 'key', type: 'hash' }
+    ]
+};
+
+function makeInfo(schema) {
+    return dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema(
+        JSON.parse(JSON.stringify(schema))));
+}
+
+function makeMigrator() {
+    var client = {
+        statements: [],
+        execute: function (cql) {
+            this.statements.push(cql);
+            return P.resolve({ rows: [] });
+        }
+    };
+    return new SchemaMigrator({
+        client: client,
+        log: () => {}
+    });
+}
+
+var req = {
+    keyspace: 'keyspace',
+    columnfamily: 'data',
+    query: {}
+};
+
+describe('Attribute migrations', () => {
+    it('adds and drops collection columns', () => {
+        var proposed = JSON.parse(JSON.stringify(testTable0));
+        proposed.version = 2;
+        delete proposed.attributes.props;
+        proposed.attributes.revs = 'list<long>';
+        proposed.attributes.names = 'map<uuid,string>';
+        var migrator = makeMigrator();
+        return migrator.migrate(req, makeInfo(testTable0), makeInfo(proposed))
+        .then((migrated) => {
+            assert.strictEqual(migrated, true);
+            assert.deepEqual(migrator.options.client.statements, [
+                'ALTER TABLE "keyspace"."data" ADD "revs" list<bigint>',
+                'ALTER TABLE "keyspace"."data" ADD "names" map<uuid,text>',
+                'ALTER TABLE "keyspace"."data" DROP "props"'
+            ]);
+        });
+    });
+});
+
+describe('Option migrations', () => {
+    var withTTL = JSON.parse(JSON.stringify(testTable0));
+    withTTL.options = { default_time_to_live: 3600 };
+
+    it('changes and resets the default TTL', () => {
+        var changed = JSON.parse(JSON.stringify(withTTL));
+        changed.version = 2;
+        changed.options.default_time_to_live = 60;
+        var removed = JSON.parse(JSON.stringify(testTable0));
+        removed.version = 2;
+        var migrator = makeMigrator();
+        return migrator.migrate(req, makeInfo(withTTL), makeInfo(changed))
+        .then(() => migrator.migrate(req, makeInfo(withTTL), makeInfo(removed)))
+        .then(() => {
+            assert.deepEqual(migrator.options.client.statements, [
+                'ALTER TABLE "keyspace"."data" WITH default_time_to_live = 60',
+                'ALTER TABLE "keyspace"."data" WITH default_time_to_live = 0'
+            ]);
+        });
+    });
+
+    it('applies default consistencies without altering tables', () => {
+        var proposed = JSON.parse(JSON.stringify(testTable0));
+        proposed.version = 2;
+        proposed.options = { read_consistency: 'quorum' };
+        var migrator = makeMigrator();
+        return migrator.migrate(req, makeInfo(testTable0), makeInfo(proposed))
+        .then(() => {
+            assert.deepEqual(migrator.options.client.statements, []);
+        });
+    });
+});
+
+describe('Secondary index migrations', () => {
+    var indexed = JSON.parse(JSON.stringify(testTable0));
+    indexed.attributes.rev = 'int';
+    indexed.attributes.name = 'string';
+    indexed.secondaryIndexes = {
+        by_rev: [
+            { attribute: 'rev', type: 'hash' }
+        ]
+    };
+
+    it('drops the column families of removed indexes', () => {
+        var proposed = JSON.parse(JSON.stringify(indexed));
+        proposed.version = 2;
+        delete proposed.secondaryIndexes.by_rev;
+        var migrator = makeMigrator();
+        return migrator.migrate(req, makeInfo(indexed), makeInfo(proposed))
+        .then((migrated) => {
+            assert.strictEqual(migrated, true);
+            assert.deepEqual(migrator.options.client.statements, [
+                'DROP TABLE IF EXISTS "keyspace"."idx_by_rev"'
+            ]);
+        });
+    });
+
+    it('rejects added and changed indexes', () => {
+        var added = JSON.parse(JSON.stringify(indexed));
+        added.version = 2;
+        added.secondaryIndexes.by_tags = [{ attribute: 'rev', type: 'hash' }];
+        var changed = JSON.parse(JSON.stringify(indexed));
+        changed.version = 2;
+        changed.secondaryIndexes.by_rev.push({ attribute: 'name', type: 'proj' });
+        return P.each([added, changed], (proposed) => {
+            assert.throws(() => makeMigrator().migrate(req, makeInfo(indexed),
+                makeInfo(proposed)), /Only secondary index removals/);
+        });
+    });
+});
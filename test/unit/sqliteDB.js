@@ -0,0 +1,258 @@
+"use strict";
+
+var assert = require('assert');
+var SqliteClient = require('../utils/sqliteClient');
+var SqliteDB = require('../../lib/sqliteDB');
+
+var domain = 'en.wikipedia.org';
+
+var typesTable = {
+    table: 'typesTable',
+    version: 1,
+    attributes: {
+        key: 'string',
+        flag: 'boolean',
+        latest: 'int',
+        data: 'blob',
+        created: 'timestamp',
+        amount: 'decimal',
+        views: 'long',
+        id: 'uuid',
+        tags: 'set<string>',
+        scores: 'map<string,int>',
+        body: 'json'
+    },
+    index: [
+        { attribute: 'key', type: 'hash' },
+        { attribute: 'flag', type: 'range', order: 'asc' },
+        { attribute: 'latest', type: 'static' }
+    ]
+};
+
+var row = {
+    key: 'Foo',
+    flag: true,
+    data: Buffer.from('data'),
+    created: '2019-01-02T03:04:05.678Z',
+    amount: '1.25',
+    views: '9007199254740993',
+    id: 'd6938370-b4b2-11e9-a2a3-2a2ae2dbcce4',
+    tags: ['b', 'a'],
+    scores: { x: 1 },
+    body: { a: [1] }
+};
+
+function makeDB(client) {
+    var db = new SqliteDB(client, {
+        conf: {
+            datacenters: ['datacenter1'],
+            salt_key: 'secret',
+            storage_groups: [{ name: 'default.group', domains: '/./' }]
+        },
+        log: () => {}
+    });
+    return db.createTable(domain, JSON.parse(JSON.stringify(typesTable)))
+    .then(() => db);
+}
+
+function dataTable(client, db, suffix) {
+    var keyspace = db.keyspaceName(domain, typesTable.table);
+    return client.tables[`${keyspace}.data${suffix || ''}`];
+}
+
+function getRows(db) {
+    return db.get(domain, {
+        table: typesTable.table,
+        attributes: { key: 'Foo' }
+    })
+    .then((res) => res.items);
+}
+
+describe('SqliteDB', () => {
+    var client;
+    var db;
+    beforeEach(() => {
+        client = new SqliteClient();
+        return makeDB(client)
+        .then((newDB) => {
+            db = newDB;
+        });
+    });
+
+    it('stores cells encoded as JSON', () => {
+        return db.put(domain, {
+            table: typesTable.table,
+            attributes: Object.assign({ latest: 3 }, row)
+        })
+        .then(() => {
+            var stored = Array.from(dataTable(client, db).rows.values());
+            assert.deepEqual(stored.length, 1);
+            // Booleans are stored as integers in key columns
+            assert.deepEqual([stored[0].key, stored[0].flag], ['Foo', 1]);
+            var cells = JSON.parse(stored[0]._cells);
+            assert.deepEqual(cells.data.v, Buffer.from('data').toString('base64'));
+            assert.deepEqual(cells.created.v, Date.parse(row.created));
+            assert.deepEqual(cells.views.v, row.views);
+            assert.deepEqual(cells.tags.v, ['a', 'b']);
+            assert.ok(cells.body.ts > 0);
+            var statics = Array.from(dataTable(client, db, '.static').rows.values());
+            assert.deepEqual(JSON.parse(statics[0]._cells).latest.v, 3);
+            return getRows(db);
+        })
+        .then((items) => {
+            assert.deepEqual(items, [Object.assign({}, row, {
+                latest: 3,
+                tags: ['a', 'b']
+            })]);
+        });
+    });
+
+    it('only writes the rows and statics a write changed', () => {
+        return db.put(domain, {
+            table: typesTable.table,
+            attributes: { key: 'Foo', flag: false, latest: 1, body: {} }
+        })
+        .then(() => db.put(domain, {
+            table: typesTable.table,
+            attributes: { key: 'Foo', flag: true, body: {} }
+        }))
+        .then(() => {
+            client.statements = [];
+            return db.put(domain, {
+                table: typesTable.table,
+                attributes: { key: 'Foo', flag: true, body: { a: 1 } }
+            });
+        })
+        .then(() => {
+            var writes = client.statements.filter((statement) =>
+                /^(INSERT|DELETE)/.test(statement.sql));
+            assert.deepEqual(writes.length, 1);
+            // After the _domain key
+            assert.deepEqual(writes[0].params.slice(1, 3), ['Foo', 1]);
+            return db.delete(domain, {
+                table: typesTable.table,
+                attributes: { key: 'Foo', flag: false }
+            });
+        })
+        .then(() => getRows(db))
+        .then((items) => {
+            assert.deepEqual(items.map((item) => [item.flag, item.latest]), [[true, 1]]);
+            assert.deepEqual(dataTable(client, db).rows.size, 1);
+        });
+    });
+
+    it('rolls back failed writes', () => {
+        client.failOn = /^INSERT .*\.static"/;
+        return db.put(domain, {
+            table: typesTable.table,
+            attributes: { key: 'Foo', flag: true, latest: 1, body: {} }
+        })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.ok(/SQLITE_IOERR/.test(error.message), error.message);
+            assert.deepEqual(dataTable(client, db).rows.size, 0);
+            client.failOn = null;
+            // The next write isn't blocked by the failed one
+            return db.put(domain, {
+                table: typesTable.table,
+                attributes: { key: 'Foo', flag: true, body: {} }
+            });
+        })
+        .then(() => getRows(db))
+        .then((items) => {
+            assert.deepEqual(items.length, 1);
+        });
+    });
+
+    it('applies batches in one transaction', () => {
+        return db.put(domain, {
+            table: typesTable.table,
+            attributes: { key: 'Bar', flag: true, body: {} }
+        })
+        .then(() => {
+            client.statements = [];
+            client.failOn = /^DELETE /;
+            return db.batch(domain, { operations: [
+                { method: 'put', table: typesTable.table,
+                    attributes: { key: 'Foo', flag: true, body: {} } },
+                { method: 'delete', table: typesTable.table,
+                    attributes: { key: 'Bar', flag: true } }
+            ] });
+        })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.ok(/SQLITE_IOERR/.test(error.message), error.message);
+            assert.deepEqual(client.statements.filter((statement) =>
+                /^(BEGIN|COMMIT|ROLLBACK)/.test(statement.sql))
+                .map((statement) => statement.sql), ['BEGIN IMMEDIATE', 'ROLLBACK']);
+            assert.deepEqual(Array.from(dataTable(client, db).rows.values())
+                .map((stored) => stored.key), ['Bar']);
+        });
+    });
+
+    it('migrates attributes without altering tables', () => {
+        var schema = JSON.parse(JSON.stringify(typesTable));
+        return db.put(domain, {
+            table: typesTable.table,
+            attributes: { key: 'Foo', flag: true, amount: '2.5', body: {} }
+        })
+        .then(() => {
+            schema.version = 2;
+            delete schema.attributes.amount;
+            schema.attributes.author = 'string';
+            client.statements = [];
+            return db.createTable(domain, schema);
+        })
+        .then(() => {
+            assert.ok(client.statements.every((statement) =>
+                !/^(ALTER|DROP)/.test(statement.sql)));
+            return db.put(domain, {
+                table: typesTable.table,
+                attributes: { key: 'Foo', flag: true, author: 'Alice' }
+            });
+        })
+        .then(() => getRows(db))
+        .then((items) => {
+            assert.deepEqual(items.length, 1);
+            assert.deepEqual([items[0].author, items[0].body], ['Alice', {}]);
+            // Cells of dropped attributes are discarded
+            assert.deepEqual(items[0].amount, undefined);
+        });
+    });
+
+    it('closes the database', () => {
+        return db.close()
+        .then(() => {
+            assert.ok(client.closed);
+        });
+    });
+
+    it('reports missing tables as Cassandra does', () => {
+        var keyspace = db.keyspaceName(domain, typesTable.table);
+        var req;
+        return db._makeInternalRequest(domain, typesTable.table, { attributes: {} })
+        .then((newReq) => {
+            req = newReq;
+            delete client.tables[`${keyspace}.data`];
+            return db._load(req);
+        })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.message, 'unconfigured table data');
+            return db.dropTable(domain, typesTable.table);
+        })
+        .then(() => {
+            assert.deepEqual(Object.keys(client.tables).filter((name) =>
+                name.indexOf(keyspace) === 0), []);
+            return db._load(req);
+        })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.message, `Keyspace ${keyspace} does not exist`);
+        });
+    });
+});
@@ -0,0 +1,151 @@
+"use strict";
+
+var assert = require('assert');
+var CQLClient = require('../utils/cqlClient');
+var DB = require('../../lib/db');
+
+var domain = 'en.wikipedia.org';
+var otherDomain = 'de.wikipedia.org';
+
+var revTable = {
+    table: 'revTable',
+    attributes: {
+        title: 'string',
+        rev: 'int',
+        body: 'json'
+    },
+    index: [
+        { attribute: 'title', type: 'hash' },
+        { attribute: 'rev', type: 'range', order: 'desc' }
+    ]
+};
+
+function putRev(db, revDomain, rev, ttl) {
+    var attributes = { title: 'Foo', rev: rev, body: { rev: rev } };
+    if (ttl) {
+        attributes._ttl = ttl;
+    }
+    return db.put(revDomain, {
+        table: revTable.table,
+        attributes: attributes
+    });
+}
+
+function exportRecords(db, exportDomain, query) {
+    var records = [];
+    return db.exportTable(exportDomain, Object.assign({ table: revTable.table }, query),
+        (record) => {
+            records.push(record);
+        })
+    .then(() => records);
+}
+
+describe('Table export', () => {
+    var db;
+    beforeEach(() => {
+        db = new DB(new CQLClient(), {
+            conf: {
+                datacenters: ['datacenter1'],
+                salt_key: 'secret',
+                storage_groups: [{ name: 'default.group', domains: '/./' }],
+                export: { fetch_size: 2 }
+            },
+            log: () => {}
+        });
+        return db.createTable(domain, JSON.parse(JSON.stringify(revTable)))
+        .then(() => putRev(db, domain, 1))
+        .then(() => putRev(db, domain, 2, 3600))
+        .then(() => putRev(db, domain, 3))
+        .then(() => putRev(db, otherDomain, 1));
+    });
+
+    it('exports the rows of a domain in pages', () => {
+        var next;
+        return exportRecords(db, domain, {})
+        .then((records) => {
+            assert.deepEqual(records.map((record) => record.type),
+                ['schema', 'row', 'row', 'page', 'row', 'end']);
+            assert.deepEqual(records[0].keyspace, db.keyspaceName(domain, revTable.table));
+            assert.deepEqual(records[0].schema.table, revTable.table);
+            assert.ok(records[1].row._writetime > 0);
+            delete records[1].row._writetime;
+            assert.deepEqual(records[1], {
+                type: 'row',
+                domain: domain,
+                row: { title: 'Foo', rev: 3, body: { rev: 3 } }
+            });
+            assert.deepEqual(records[5].rows, 3);
+            next = records[3].next;
+            return exportRecords(db, domain, { next: next });
+        })
+        .then((records) => {
+            assert.deepEqual(records.map((record) => record.type), ['schema', 'row', 'end']);
+            assert.deepEqual(records[1].row.rev, 1);
+        });
+    });
+
+    it('rejects next tokens of other exports', () => {
+        var next;
+        return exportRecords(db, domain, {})
+        .then((records) => {
+            next = records[3].next;
+            return exportRecords(db, domain, { next: next, storage_group: true });
+        })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+            var state = JSON.parse(Buffer.from(next, 'base64').toString()).state;
+            return exportRecords(db, domain, { next: state });
+        })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+        });
+    });
+
+    it('exports the rows of all domains in a storage group', () => {
+        return exportRecords(db, domain, { storage_group: true })
+        .then((records) => {
+            var domains = records.filter((record) => record.type === 'row')
+                .map((record) => record.domain);
+            assert.deepEqual(domains.sort(), [otherDomain, domain, domain, domain]);
+            assert.deepEqual(records[0].domain, null);
+        });
+    });
+
+    it('includes the TTL of rows', () => {
+        return exportRecords(db, domain, { withTTL: true })
+        .then((records) => {
+            var ttls = records.filter((record) => record.type === 'row')
+                .map((record) => record.row._ttl);
+            assert.ok(ttls[1] > 0 && ttls[1] <= 3600, ttls[1]);
+            assert.deepEqual([ttls[0], ttls[2]], [undefined, undefined]);
+        });
+    });
+
+    it('includes the write times of rows', () => {
+        var before = Date.now() * 1000;
+        return exportRecords(db, domain)
+        .then((records) => {
+            var rows = records.filter((record) => record.type === 'row')
+                .map((record) => record.row);
+            rows.forEach((row) => {
+                assert.ok(row._writetime >= before - 60000000 &&
+                    row._writetime <= Date.now() * 1000, row._writetime);
+                assert.deepEqual(Object.keys(row).filter((att) => /^_/.test(att)),
+                    ['_writetime']);
+            });
+        });
+    });
+
+    it('rejects unknown tables', () => {
+        return exportRecords(db, domain, { table: 'unknown' })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, 404);
+        });
+    });
+});
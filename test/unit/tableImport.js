@@ -0,0 +1,224 @@
+"use strict";
+
+var assert = require('assert');
+var P = require('bluebird');
+var stream = require('stream');
+var CQLClient = require('../utils/cqlClient');
+var DB = require('../../lib/db');
+
+var domain = 'en.wikipedia.org';
+var otherDomain = 'de.wikipedia.org';
+
+var revTable = {
+    table: 'revTable',
+    attributes: {
+        title: 'string',
+        rev: 'int',
+        body: 'json',
+        raw: 'blob'
+    },
+    index: [
+        { attribute: 'title', type: 'hash' },
+        { attribute: 'rev', type: 'range', order: 'desc' }
+    ]
+};
+
+function makeDB() {
+    var db = new DB(new CQLClient(), {
+        conf: {
+            datacenters: ['datacenter1'],
+            storage_groups: [{ name: 'default.group', domains: '/./' }]
+        },
+        log: () => {}
+    });
+    return db.createTable(domain, JSON.parse(JSON.stringify(revTable)))
+    .then(() => db);
+}
+
+// Streams the chunks, one data event each
+function ndjson(chunks) {
+    return new stream.Readable({
+        read() {
+            this.push(chunks.length ? chunks.shift() : null);
+        }
+    });
+}
+
+function line(row) {
+    return `${JSON.stringify(row)}\n`;
+}
+
+function getRevs(db, revDomain) {
+    return db.get(revDomain || domain, {
+        table: revTable.table,
+        attributes: { title: 'Foo' }
+    })
+    .then((res) => res.items);
+}
+
+describe('Table import', () => {
+    it('imports the rows of an export', () => {
+        var records = [];
+        var source;
+        var target;
+        return makeDB()
+        .then((db) => {
+            source = db;
+            return makeDB();
+        })
+        .then((db) => {
+            target = db;
+            return source.put(domain, {
+                table: revTable.table,
+                attributes: { title: 'Foo', rev: 1, body: { rev: 1 }, raw: Buffer.from('raw') }
+            });
+        })
+        .then(() => source.put(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo', rev: 2, body: { rev: 2 }, _ttl: 3600 }
+        }))
+        .then(() => source.put(otherDomain, {
+            table: revTable.table,
+            attributes: { title: 'Foo', rev: 1 }
+        }))
+        .then(() => source.exportTable(domain, {
+            table: revTable.table,
+            storage_group: true,
+            withTTL: true
+        }, (record) => {
+            records.push(record);
+        }))
+        .then(() => target.importTable(domain, {
+            table: revTable.table,
+            storage_group: true
+        }, ndjson(records.map(line))))
+        .then((res) => {
+            assert.deepEqual(res, { rows: 3, lines: records.length });
+            return getRevs(target);
+        })
+        .then((rows) => {
+            assert.deepEqual(rows.map((row) => row.rev), [2, 1]);
+            assert.deepEqual(rows[1].body, { rev: 1 });
+            assert.deepEqual(rows[1].raw, Buffer.from('raw'));
+            return P.map([source, target], (db) => db.get(domain, {
+                table: revTable.table,
+                withTTL: true,
+                withWriteTime: true,
+                attributes: { title: 'Foo', rev: 2 }
+            }));
+        })
+        .then((results) => {
+            var item = results[1].items[0];
+            assert.ok(item._ttl > 0 && item._ttl <= 3600, item._ttl);
+            // Exports carry the write times of rows
+            assert.deepEqual(item._writetime, results[0].items[0]._writetime);
+            return getRevs(target, otherDomain);
+        })
+        .then((rows) => {
+            assert.deepEqual(rows.length, 1);
+        });
+    });
+
+    it('preserves write times', () => {
+        var db;
+        return makeDB()
+        .then((newDB) => {
+            db = newDB;
+            return db.importTable(domain, { table: revTable.table }, ndjson([
+                line({ title: 'Foo', rev: 1, body: 'imported',
+                    _writetime: (Date.now() + 3600000) * 1000 })
+            ]));
+        })
+        .then(() => db.put(domain, {
+            table: revTable.table,
+            attributes: { title: 'Foo', rev: 1, body: 'older' }
+        }))
+        .then(() => getRevs(db))
+        .then((rows) => {
+            assert.deepEqual(rows[0].body, 'imported');
+        });
+    });
+
+    it('resumes from its checkpoint', () => {
+        var db;
+        return makeDB()
+        .then((newDB) => {
+            db = newDB;
+            return db.importTable(domain, { table: revTable.table, checkpoint: 'load' }, ndjson([
+                line({ title: 'Foo', rev: 1 }) + line({ title: 'Foo', rev: 2 }),
+                line({ title: 'Foo', rev: 3, unknown: true })
+            ]));
+        })
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+            assert.ok(/line 3/.test(error.body.title), error.body.title);
+            return db.tableImport.getCheckpoint(domain, 'load');
+        })
+        .then((checkpoint) => {
+            assert.deepEqual([checkpoint.lines, checkpoint.rows], [2, 2]);
+            return db.importTable(domain, { table: revTable.table, checkpoint: 'load' }, ndjson([
+                line({ title: 'Bar', rev: 1 }) + line({ title: 'Bar', rev: 2 }),
+                line({ title: 'Foo', rev: 3 })
+            ]));
+        })
+        .then((res) => {
+            assert.deepEqual(res, { rows: 3, lines: 3 });
+            return getRevs(db);
+        })
+        .then((rows) => {
+            assert.deepEqual(rows.map((row) => row.rev), [3, 2, 1]);
+            return db.get(domain, {
+                table: revTable.table,
+                attributes: { title: 'Bar' }
+            });
+        })
+        .then((res) => {
+            // The lines before the checkpoint were skipped
+            assert.deepEqual(res.items, []);
+        });
+    });
+
+    it('keeps the checkpoints of domains apart', () => {
+        var db;
+        return makeDB()
+        .then((newDB) => {
+            db = newDB;
+            return db.createTable(otherDomain, JSON.parse(JSON.stringify(revTable)));
+        })
+        .then(() => db.importTable(domain, { table: revTable.table, checkpoint: 'load' },
+            ndjson([line({ title: 'Foo', rev: 1 }) + line({ title: 'Foo', rev: 2 })])))
+        .then(() => db.importTable(otherDomain, { table: revTable.table, checkpoint: 'load' },
+            ndjson([line({ title: 'Foo', rev: 1 })])))
+        .then((res) => {
+            // Nothing was skipped for the checkpoint of the other domain
+            assert.deepEqual(res, { rows: 1, lines: 1 });
+            return P.map([domain, otherDomain],
+                (checkpointDomain) => db.tableImport.getCheckpoint(checkpointDomain, 'load'));
+        })
+        .then((checkpoints) => {
+            assert.deepEqual(checkpoints.map((checkpoint) => checkpoint.lines), [2, 1]);
+            return getRevs(db, otherDomain);
+        })
+        .then((rows) => {
+            assert.deepEqual(rows.map((row) => row.rev), [1]);
+        });
+    });
+
+    it('rejects rows missing key attributes', () => {
+        return makeDB()
+        .then((db) => db.importTable(domain, { table: revTable.table }, ndjson([
+            line({ title: 'Foo', rev: 1 }) + line({ rev: 2 })
+        ]))
+        .then(() => {
+            assert.fail('expected an error');
+        }, (error) => {
+            assert.deepEqual(error.status, 400);
+            return getRevs(db);
+        }))
+        .then((rows) => {
+            assert.deepEqual(rows, []);
+        });
+    });
+});
@@ -0,0 +1,1537 @@
+'use strict';
+
+/*
+ * A stand-in for the cassandra-driver Client, executing the CQL emitted by
+ * DB and SchemaMigrator against in-memory tables. It covers the subset of
+ * CREATE / ALTER / DROP KEYSPACE, CREATE / ALTER TABLE, INSERT, UPDATE,
+ * DELETE, SELECT and BATCH statements used by this module, and rejects the
+ * queries Cassandra rejects where this module could plausibly emit them.
+ *
+ * Values are returned in the representation of the driver, so that results
+ * can be passed through the regular read conversions.
+ */
+
+const P = require('bluebird');
+const cass = require('cassandra-driver');
+const Encoder = require('cassandra-driver/lib/encoder');
+const Murmur3Tokenizer = require('cassandra-driver/lib/tokenizer').Murmur3Tokenizer;
+const rawValues = require('../../lib/rawValues');
+
+const toRaw = rawValues.toRaw;
+const compareRaw = rawValues.compareRaw;
+const applyUpdateOp = rawValues.applyUpdateOp;
+
+// CQL types with a different name in table schemas
+const cqlTypeNames = {
+    text: 'string',
+    varchar: 'string',
+    ascii: 'string',
+    bigint: 'long'
+};
+
+/**
+ * Maps a CQL type to the table schema type used for value conversions.
+ * @param  {string} cqlType
+ * @return {string}
+ */
+function schemaType(cqlType) {
+    return cqlType.replace(/\w+/g, (name) => cqlTypeNames[name] || name);
+}
+
+/*
+ * # Parsing
+ */
+
+const tokenRE = new RegExp([
+    '\\s+',
+    '"((?:[^"]|"")*)"',
+    "'((?:[^']|'')*)'",
+    '(-?\\d+(?:\\.\\d+)?)',
+    '([A-Za-z_]\\w*)',
+    '(<=|>=|!=|[?=<>(),.+\\-*{}:;\\[\\]])'
+].join('|'), 'y');
+
+function tokenize(cql) {
+    const tokens = [];
+    tokenRE.lastIndex = 0;
+    while (tokenRE.lastIndex < cql.length) {
+        const start = tokenRE.lastIndex;
+        const match = tokenRE.exec(cql);
+        if (!match) {
+            throw new Error(`line 1:${start} no viable alternative at input ` +
+                `'${cql.slice(start, start + 10)}'`);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'id', value: match[1].replace(/""/g, '"') });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'string', value: match[2].replace(/''/g, "'") });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[3]) });
+        } else if (match[4] !== undefined) {
+            // Unquoted identifiers are case-insensitive
+            tokens.push({ type: 'id', value: match[4].toLowerCase(), word: true });
+        } else if (match[5] !== undefined) {
+            tokens.push({ type: 'punct', value: match[5] });
+        }
+    }
+    return tokens;
+}
+
+class Parser {
+    constructor(cql) {
+        this.cql = cql;
+        this.tokens = tokenize(cql);
+        this.pos = 0;
+        this.markers = 0;
+    }
+
+    error(message) {
+        const token = this.tokens[this.pos];
+        throw new Error(`line 1: ${message} at ` +
+            `${token ? JSON.stringify(token.value) : 'end of input'} in ${this.cql}`);
+    }
+
+    peek(offset) {
+        return this.tokens[this.pos + (offset || 0)];
+    }
+
+    // Whether the next token is the keyword or punctuation `word`
+    is(word, offset) {
+        const token = this.peek(offset);
+        return !!token && (token.word || token.type === 'punct') && token.value === word;
+    }
+
+    accept(word) {
+        if (this.is(word)) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(word) {
+        if (!this.accept(word)) {
+            this.error(`expected ${word}`);
+        }
+    }
+
+    done() {
+        this.accept(';');
+        if (this.pos < this.tokens.length) {
+            this.error('unexpected input');
+        }
+    }
+
+    ident() {
+        const token = this.peek();
+        if (!token || token.type !== 'id') {
+            this.error('expected identifier');
+        }
+        this.pos++;
+        return token.value;
+    }
+
+    // Parses `[keyspace.]name`
+    qualifiedName() {
+        const first = this.ident();
+        if (this.accept('.')) {
+            return { keyspace: first, name: this.ident() };
+        }
+        return { keyspace: null, name: first };
+    }
+
+    type() {
+        let type = this.ident();
+        if (this.accept('<')) {
+            const params = [this.type()];
+            while (this.accept(',')) {
+                params.push(this.type());
+            }
+            this.expect('>');
+            type += `<${params.join(',')}>`;
+        }
+        return type;
+    }
+
+    // Parses a bind marker or literal
+    term() {
+        const token = this.peek();
+        if (this.accept('?')) {
+            return { marker: this.markers++ };
+        } else if (this.is('{')) {
+            return { literal: this.mapLiteral() };
+        } else if (this.accept('null')) {
+            return { literal: null };
+        } else if (this.accept('true') || this.accept('false')) {
+            return { literal: token.value === 'true' };
+        } else if (token && (token.type === 'string' || token.type === 'number')) {
+            this.pos++;
+            return { literal: token.value };
+        }
+        this.error('expected value');
+    }
+
+    mapLiteral() {
+        const res = {};
+        this.expect('{');
+        if (!this.accept('}')) {
+            do {
+                const key = this.term().literal;
+                this.expect(':');
+                res[key] = this.term().literal;
+            } while (this.accept(','));
+            this.expect('}');
+        }
+        return res;
+    }
+
+    // Parses `col op term [AND ...]`, and `token(col, ...) op term` relations
+    // if `allowToken` is set
+    relations(allowToken) {
+        const relations = [];
+        do {
+            const relation = {};
+            if (allowToken && this.is('token') && this.is('(', 1)) {
+                this.pos += 2;
+                relation.token = [];
+                do {
+                    relation.token.push(this.ident());
+                } while (this.accept(','));
+                this.expect(')');
+            } else {
+                relation.column = this.ident();
+            }
+            const token = this.peek();
+            if (!token || token.type !== 'punct' ||
+                    ['=', '<', '>', '<=', '>=', '!='].indexOf(token.value) === -1) {
+                this.error('expected operator');
+            }
+            this.pos++;
+            relation.op = token.value;
+            relation.value = this.term();
+            relations.push(relation);
+        } while (this.accept('and'));
+        return relations;
+    }
+
+    // Parses `IF EXISTS`, `IF NOT EXISTS` or `IF relations`
+    condition() {
+        if (!this.accept('if')) {
+            return null;
+        }
+        if (this.accept('exists')) {
+            return 'exists';
+        } else if (this.accept('not')) {
+            this.expect('exists');
+            return 'not exists';
+        }
+        return this.relations();
+    }
+
+    // Parses `USING TTL ? AND TIMESTAMP ?`
+    using() {
+        const using = {};
+        if (this.accept('using')) {
+            do {
+                const option = this.ident();
+                if (option !== 'ttl' && option !== 'timestamp') {
+                    this.error('expected TTL or TIMESTAMP');
+                }
+                using[option] = this.term();
+            } while (this.accept('and'));
+        }
+        return using;
+    }
+
+    // Parses table options after WITH
+    tableOptions() {
+        const options = {};
+        do {
+            if (this.accept('clustering')) {
+                this.expect('order');
+                this.expect('by');
+                this.expect('(');
+                options.clusteringOrder = {};
+                do {
+                    const column = this.ident();
+                    options.clusteringOrder[column] = this.accept('desc') ? 'desc' :
+                        (this.accept('asc'), 'asc');
+                } while (this.accept(','));
+                this.expect(')');
+            } else {
+                const name = this.ident();
+                this.expect('=');
+                options[name] = this.term().literal;
+            }
+        } while (this.accept('and'));
+        return options;
+    }
+
+    parse() {
+        let stmt;
+        if (this.accept('create')) {
+            stmt = this.accept('keyspace') ? this.createKeyspace() :
+                (this.expect('table'), this.createTable());
+        } else if (this.accept('alter')) {
+            stmt = this.accept('keyspace') ? this.alterKeyspace() :
+                (this.expect('table'), this.alterTable());
+        } else if (this.accept('drop')) {
+            stmt = this.drop();
+        } else if (this.accept('insert')) {
+            stmt = this.insert();
+        } else if (this.accept('update')) {
+            stmt = this.update();
+        } else if (this.accept('delete')) {
+            stmt = this.delete();
+        } else if (this.accept('select')) {
+            stmt = this.select();
+        } else {
+            this.error('unsupported statement');
+        }
+        this.done();
+        stmt.markers = this.markers;
+        return stmt;
+    }
+
+    createKeyspace() {
+        const stmt = { kind: 'createKeyspace', ifNotExists: false };
+        if (this.accept('if')) {
+            this.expect('not');
+            this.expect('exists');
+            stmt.ifNotExists = true;
+        }
+        stmt.keyspace = this.ident();
+        this.expect('with');
+        this.expect('replication');
+        this.expect('=');
+        stmt.replication = this.mapLiteral();
+        return stmt;
+    }
+
+    alterKeyspace() {
+        const stmt = { kind: 'alterKeyspace', keyspace: this.ident() };
+        this.expect('with');
+        this.expect('replication');
+        this.expect('=');
+        stmt.replication = this.mapLiteral();
+        return stmt;
+    }
+
+    drop() {
+        const what = this.ident();
+        if (what !== 'keyspace' && what !== 'table' && what !== 'index') {
+            this.error('unsupported DROP');
+        }
+        const stmt = { kind: `drop${what[0].toUpperCase()}${what.slice(1)}`, ifExists: false };
+        if (this.accept('if')) {
+            this.expect('exists');
+            stmt.ifExists = true;
+        }
+        if (what === 'keyspace') {
+            stmt.keyspace = this.ident();
+        } else {
+            Object.assign(stmt, this.qualifiedName());
+        }
+        return stmt;
+    }
+
+    createTable() {
+        const stmt = { kind: 'createTable', ifNotExists: false, columns: [], options: {} };
+        if (this.accept('if')) {
+            this.expect('not');
+            this.expect('exists');
+            stmt.ifNotExists = true;
+        }
+        Object.assign(stmt, this.qualifiedName());
+        this.expect('(');
+        do {
+            if (this.accept('primary')) {
+                this.expect('key');
+                this.expect('(');
+                if (this.accept('(')) {
+                    stmt.partitionKey = [this.ident()];
+                    while (this.accept(',')) {
+                        stmt.partitionKey.push(this.ident());
+                    }
+                    this.expect(')');
+                } else {
+                    stmt.partitionKey = [this.ident()];
+                }
+                stmt.clustering = [];
+                while (this.accept(',')) {
+                    stmt.clustering.push(this.ident());
+                }
+                this.expect(')');
+            } else {
+                const column = { name: this.ident(), type: this.type(), static: false };
+                if (this.accept('static')) {
+                    column.static = true;
+                } else if (this.accept('primary')) {
+                    this.expect('key');
+                    stmt.partitionKey = [column.name];
+                    stmt.clustering = [];
+                }
+                stmt.columns.push(column);
+            }
+        } while (this.accept(','));
+        this.expect(')');
+        if (!stmt.partitionKey) {
+            this.error('no PRIMARY KEY specified');
+        }
+        if (this.accept('with')) {
+            stmt.options = this.tableOptions();
+        }
+        return stmt;
+    }
+
+    alterTable() {
+        const stmt = Object.assign({ kind: 'alterTable' }, this.qualifiedName());
+        if (this.accept('add')) {
+            stmt.add = { name: this.ident(), type: this.type(), static: false };
+            stmt.add.static = this.accept('static');
+        } else if (this.accept('drop')) {
+            stmt.drop = this.ident();
+        } else if (this.accept('with')) {
+            stmt.options = this.tableOptions();
+        } else {
+            this.error('unsupported ALTER TABLE');
+        }
+        return stmt;
+    }
+
+    insert() {
+        this.expect('into');
+        const stmt = Object.assign({ kind: 'insert', columns: [], values: [] },
+            this.qualifiedName());
+        this.expect('(');
+        do {
+            stmt.columns.push(this.ident());
+        } while (this.accept(','));
+        this.expect(')');
+        this.expect('values');
+        this.expect('(');
+        do {
+            stmt.values.push(this.term());
+        } while (this.accept(','));
+        this.expect(')');
+        stmt.condition = this.condition();
+        if (stmt.condition && stmt.condition !== 'not exists') {
+            this.error('INSERT only supports IF NOT EXISTS');
+        }
+        stmt.using = this.using();
+        if (stmt.columns.length !== stmt.values.length) {
+            throw new Error('Unmatched column names/values');
+        }
+        return stmt;
+    }
+
+    update() {
+        const stmt = Object.assign({ kind: 'update', assignments: [] }, this.qualifiedName());
+        stmt.using = this.using();
+        this.expect('set');
+        do {
+            const column = this.ident();
+            this.expect('=');
+            if (this.is('?') && this.is('+', 1)) {
+                // ? + column
+                const value = this.term();
+                this.expect('+');
+                if (this.ident() !== column) {
+                    this.error('invalid operation');
+                }
+                stmt.assignments.push({ column, op: 'prepend', value });
+            } else if (this.peek() && this.peek().type === 'id' &&
+                    this.peek().value === column && (this.is('+', 1) || this.is('-', 1))) {
+                // column + ? or column - ?
+                this.pos++;
+                const op = this.accept('+') ? 'add' : (this.expect('-'), 'remove');
+                stmt.assignments.push({ column, op, value: this.term() });
+            } else {
+                stmt.assignments.push({ column, op: 'set', value: this.term() });
+            }
+        } while (this.accept(','));
+        this.expect('where');
+        stmt.where = this.relations();
+        stmt.condition = this.condition();
+        if (stmt.condition === 'not exists') {
+            this.error('UPDATE does not support IF NOT EXISTS');
+        }
+        return stmt;
+    }
+
+    delete() {
+        this.expect('from');
+        const stmt = Object.assign({ kind: 'delete' }, this.qualifiedName());
+        stmt.using = this.using();
+        if (stmt.using.ttl) {
+            this.error('DELETE does not support TTL');
+        }
+        this.expect('where');
+        stmt.where = this.relations();
+        stmt.condition = this.condition();
+        if (stmt.condition === 'not exists') {
+            this.error('DELETE does not support IF NOT EXISTS');
+        }
+        return stmt;
+    }
+
+    select() {
+        const stmt = { kind: 'select', distinct: this.accept('distinct'), selectors: [] };
+        do {
+            if (this.accept('*')) {
+                stmt.selectors.push({ kind: 'star' });
+                continue;
+            }
+            let selector;
+            const fn = this.peek();
+            if (fn && fn.word && (fn.value === 'ttl' || fn.value === 'writetime') &&
+                    this.is('(', 1)) {
+                this.pos += 2;
+                selector = { kind: fn.value, column: this.ident() };
+                this.expect(')');
+                selector.alias = `${fn.value}(${selector.column})`;
+            } else {
+                selector = { kind: 'column', column: this.ident() };
+                selector.alias = selector.column;
+            }
+            if (this.accept('as')) {
+                selector.alias = this.ident();
+            }
+            stmt.selectors.push(selector);
+        } while (this.accept(','));
+        this.expect('from');
+        Object.assign(stmt, this.qualifiedName());
+        stmt.where = this.accept('where') ? this.relations(true) : [];
+        stmt.order = [];
+        if (this.accept('order')) {
+            this.expect('by');
+            do {
+                const column = this.ident();
+                stmt.order.push({
+                    column,
+                    dir: this.accept('desc') ? 'desc' : (this.accept('asc'), 'asc')
+                });
+            } while (this.accept(','));
+        }
+        if (this.accept('limit')) {
+            stmt.limit = this.term();
+        }
+        if (this.accept('allow')) {
+            this.expect('filtering');
+            stmt.allowFiltering = true;
+        }
+        return stmt;
+    }
+}
+
+/*
+ * # Evaluation
+ */
+
+// Whether a cell holds a value at time `now`
+function isLive(cell, now) {
+    return !!cell && cell.value !== null && (!cell.expires || cell.expires > now);
+}
+
+// The key of a partition or row in the partitions and rows maps
+function keyString(values) {
+    return JSON.stringify(values.map((val) => {
+        if (val instanceof Date) {
+            return val.getTime();
+        } else if (Buffer.isBuffer(val)) {
+            return val.toString('hex');
+        }
+        return String(val);
+    }));
+}
+
+const encoder = new Encoder(4, {});
+const tokenizer = new Murmur3Tokenizer();
+
+/**
+ * Computes the Murmur3 token of a partition key, the way Cassandra does.
+ * @param  {Object} table
+ * @param  {Array}  values the partition key values
+ * @return {Long}
+ */
+function partitionToken(table, values) {
+    const components = table.partitionKey.map((name, i) =>
+        encoder.encode(values[i], table.columns[name]));
+    let key = components[0];
+    if (components.length > 1) {
+        // Composite keys serialize each component with its length and an
+        // end-of-component byte
+        key = Buffer.concat([].concat.apply([], components.map((component) => {
+            const length = Buffer.alloc(2);
+            length.writeUInt16BE(component.length, 0);
+            return [length, component, Buffer.alloc(1)];
+        })));
+    }
+    return cass.types.Long.fromString(tokenizer.hash(key).getValue().toString());
+}
+
+// Evaluates a relation against a value
+function holds(type, val, op, arg) {
+    const cmp = compareRaw(type, val, arg);
+    /* eslint-disable indent */
+    switch (op) {
+        case '=':
+            return cmp === 0;
+        case '!=':
+            return cmp !== 0;
+        case '<':
+            return val !== null && cmp < 0;
+        case '>':
+            return val !== null && cmp > 0;
+        case '<=':
+            return val !== null && cmp <= 0;
+        default:
+            return val !== null && cmp >= 0;
+    }
+    /* eslint-enable indent */
+}
+
+class CQLClient {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.keyspace]         the default keyspace
+     * @param {string} [options.cassandraVersion] the version reported by
+     *                                            controlConnection.host
+     */
+    constructor(options) {
+        options = options || {};
+        this.keyspace = options.keyspace || null;
+        // keyspace -> table -> table definition and partitions
+        this.keyspaces = {};
+        this.metadata = { keyspaces: {} };
+        this.controlConnection = {
+            host: { cassandraVersion: options.cassandraVersion || '3.11.4' }
+        };
+        // Log of the executed statements, as { cql, params, options }
+        this.statements = [];
+    }
+
+    connect() {
+        return P.resolve();
+    }
+
+    shutdown() {
+        return P.resolve();
+    }
+
+    /**
+     * Executes a statement.
+     * @param  {string} cql
+     * @param  {Array}  [params]
+     * @param  {Object} [options] driver query options; fetchSize and
+     *                            pageState are supported
+     * @return {Promise<Object>} the driver result, with rows, pageState and
+     *                           meta.pageState
+     */
+    execute(cql, params, options) {
+        return P.try(() => {
+            params = params || [];
+            this.statements.push({ cql, params, options });
+            const stmt = this._prepare(cql, params);
+            return this._run(stmt, params, options || {}, Date.now() * 1000);
+        });
+    }
+
+    /**
+     * Executes a batch of writes. All statements are validated before any
+     * is applied, and share the same default timestamp.
+     * @param  {Array}  queries   statements, as CQL strings or
+     *                            { query, params } objects
+     * @param  {Object} [options] driver query options
+     * @return {Promise<Object>}
+     */
+    batch(queries, options) {
+        return P.try(() => {
+            const stmts = queries.map((query) => {
+                const cql = query.query || query;
+                const params = query.params || [];
+                this.statements.push({ cql, params, options, batch: true });
+                const stmt = this._prepare(cql, params);
+                if (['insert', 'update', 'delete'].indexOf(stmt.kind) === -1) {
+                    throw new Error('Only INSERT, UPDATE and DELETE statements are allowed ' +
+                        'in BATCH statements');
+                }
+                if (stmt.condition) {
+                    throw new Error('Conditional batches are not supported');
+                }
+                return { stmt, params };
+            });
+            const timestamp = options && options.timestamp || Date.now() * 1000;
+            stmts.forEach((entry) => this._run(entry.stmt, entry.params, {}, timestamp));
+            return { rows: [], rowLength: 0, pageState: null, meta: {} };
+        });
+    }
+
+    // Parses a statement, and checks its bind markers
+    _prepare(cql, params) {
+        const stmt = new Parser(cql).parse();
+        if (stmt.markers !== params.length) {
+            throw new Error(`There were ${stmt.markers} markers(?) in CQL but ` +
+                `${params.length} parameters were provided`);
+        }
+        if (stmt.keyspace === null && stmt.kind !== 'createKeyspace') {
+            stmt.keyspace = this.keyspace;
+        }
+        return stmt;
+    }
+
+    _run(stmt, params, options, timestamp) {
+        /* eslint-disable indent */
+        switch (stmt.kind) {
+            case 'createKeyspace':
+                return this._createKeyspace(stmt);
+            case 'alterKeyspace':
+                this._keyspace(stmt.keyspace);
+                this._setReplication(stmt.keyspace, stmt.replication);
+                return this._result([]);
+            case 'dropKeyspace':
+                if (!this.keyspaces[stmt.keyspace] && !stmt.ifExists) {
+                    throw new Error(`Cannot drop non existing keyspace '${stmt.keyspace}'.`);
+                }
+                delete this.keyspaces[stmt.keyspace];
+                delete this.metadata.keyspaces[stmt.keyspace];
+                return this._result([]);
+            case 'dropTable':
+                if (!this._keyspace(stmt.keyspace)[stmt.name] && !stmt.ifExists) {
+                    throw new Error(`unconfigured table ${stmt.name}`);
+                }
+                delete this.keyspaces[stmt.keyspace][stmt.name];
+                return this._result([]);
+            case 'dropIndex':
+                // Native secondary indexes are not emulated
+                return this._result([]);
+            case 'createTable':
+                return this._createTable(stmt);
+            case 'alterTable':
+                return this._alterTable(stmt);
+            case 'insert':
+            case 'update':
+                return this._write(stmt, params, timestamp);
+            case 'delete':
+                return this._delete(stmt, params, timestamp);
+            default:
+                return this._select(stmt, params, options);
+        }
+        /* eslint-enable indent */
+    }
+
+    _result(rows, pageState) {
+        return {
+            rows,
+            rowLength: rows.length,
+            pageState: pageState ? pageState.toString('hex') : null,
+            meta: pageState ? { pageState } : {}
+        };
+    }
+
+    _keyspace(name) {
+        const keyspace = this.keyspaces[name];
+        if (!keyspace) {
+            throw new Error(`Keyspace ${name} does not exist`);
+        }
+        return keyspace;
+    }
+
+    _table(keyspaceName, name) {
+        const table = this._keyspace(keyspaceName)[name];
+        if (!table) {
+            throw new Error(`unconfigured table ${name}`);
+        }
+        return table;
+    }
+
+    _setReplication(name, replication) {
+        const strategyOptions = {};
+        Object.keys(replication).forEach((key) => {
+            if (key !== 'class') {
+                strategyOptions[key] = String(replication[key]);
+            }
+        });
+        const strategy = String(replication.class || '');
+        this.metadata.keyspaces[name] = {
+            name,
+            strategy: /\./.test(strategy) ? strategy :
+                `org.apache.cassandra.locator.${strategy}`,
+            strategyOptions
+        };
+    }
+
+    _createKeyspace(stmt) {
+        if (this.keyspaces[stmt.keyspace]) {
+            if (!stmt.ifNotExists) {
+                throw new Error(`Cannot add existing keyspace "${stmt.keyspace}"`);
+            }
+            return this._result([]);
+        }
+        this.keyspaces[stmt.keyspace] = {};
+        this._setReplication(stmt.keyspace, stmt.replication);
+        return this._result([]);
+    }
+
+    _createTable(stmt) {
+        const keyspace = this._keyspace(stmt.keyspace);
+        if (keyspace[stmt.name]) {
+            if (!stmt.ifNotExists) {
+                throw new Error(`Cannot add already existing table "${stmt.name}" ` +
+                    `to keyspace "${stmt.keyspace}"`);
+            }
+            return this._result([]);
+        }
+        const table = {
+            name: stmt.name,
+            columns: {},
+            statics: new Set(),
+            partitionKey: stmt.partitionKey,
+            clustering: stmt.clustering,
+            clusteringOrder: {},
+            options: {},
+            // JSON of the partition key -> { key, statics, rows }
+            partitions: new Map()
+        };
+        stmt.columns.forEach((column) => {
+            if (table.columns[column.name]) {
+                throw new Error(`Multiple definition of identifier ${column.name}`);
+            }
+            table.columns[column.name] = column.type;
+            if (column.static) {
+                table.statics.add(column.name);
+            }
+        });
+        table.partitionKey.concat(table.clustering).forEach((name) => {
+            if (!table.columns[name]) {
+                throw new Error(`Unknown definition ${name} referenced in PRIMARY KEY`);
+            } else if (table.statics.has(name)) {
+                throw new Error(`Static column ${name} cannot be part of the PRIMARY KEY`);
+            }
+        });
+        if (table.statics.size && !table.clustering.length) {
+            throw new Error('Static columns are only useful (and thus allowed) if the ' +
+                'table has at least one clustering column');
+        }
+        const options = Object.assign({}, stmt.options);
+        const order = options.clusteringOrder || {};
+        delete options.clusteringOrder;
+        table.clustering.forEach((name) => {
+            table.clusteringOrder[name] = order[name] || 'asc';
+        });
+        table.options = options;
+        keyspace[stmt.name] = table;
+        return this._result([]);
+    }
+
+    _alterTable(stmt) {
+        const table = this._table(stmt.keyspace, stmt.name);
+        if (stmt.add) {
+            if (table.columns[stmt.add.name]) {
+                throw new Error(`Invalid column name ${stmt.add.name} because it ` +
+                    'conflicts with an existing column');
+            }
+            table.columns[stmt.add.name] = stmt.add.type;
+            if (stmt.add.static) {
+                table.statics.add(stmt.add.name);
+            }
+        } else if (stmt.drop) {
+            const name = stmt.drop;
+            if (!table.columns[name]) {
+                throw new Error(`Column ${name} was not found in table ${table.name}`);
+            } else if (table.partitionKey.concat(table.clustering).indexOf(name) !== -1) {
+                throw new Error(`Cannot drop PRIMARY KEY part ${name}`);
+            }
+            delete table.columns[name];
+            table.statics.delete(name);
+            // Dropping a column drops its data
+            table.partitions.forEach((partition) => {
+                delete partition.statics[name];
+                partition.rows.forEach((row) => delete row.cells[name]);
+            });
+        } else {
+            if (stmt.options.clusteringOrder) {
+                throw new Error('Cannot change the clustering order of an existing table');
+            }
+            Object.assign(table.options, stmt.options);
+        }
+        return this._result([]);
+    }
+
+    // Checks that a column exists, and returns its schema type
+    _type(table, name) {
+        if (!table.columns[name]) {
+            throw new Error(`Undefined column name ${name}`);
+        }
+        return schemaType(table.columns[name]);
+    }
+
+    // Resolves a term to a value in the driver representation
+    _value(table, column, term, params) {
+        const val = term.marker !== undefined ? params[term.marker] : term.literal;
+        return val === undefined ? null : toRaw(this._type(table, column), val);
+    }
+
+    // Resolves an integer term, such as a TTL or timestamp
+    _number(term, params) {
+        const val = term.marker !== undefined ? params[term.marker] : term.literal;
+        return cass.types.Long.isLong(val) ? val.toNumber() : Number(val);
+    }
+
+    /**
+     * Resolves the relations of a WHERE clause.
+     * @param  {Object} table
+     * @param  {Array}  relations
+     * @param  {Array}  params
+     * @return {Object} column -> list of { op, value }
+     */
+    _restrictions(table, relations, params) {
+        const res = {};
+        relations.forEach((rel) => {
+            const list = res[rel.column] = res[rel.column] || [];
+            list.push({ op: rel.op, value: this._value(table, rel.column, rel.value, params) });
+        });
+        return res;
+    }
+
+    /**
+     * Resolves the primary key values of a write, which must be given by
+     * equality relations.
+     * @param  {Object}  table
+     * @param  {Object}  values       column -> value
+     * @param  {boolean} staticOnly   whether the write only sets static
+     *                                columns, which don't need clustering keys
+     * @return {Object} { partition: values, clustering: values or null }
+     */
+    _primaryKey(table, values, staticOnly) {
+        const missing = (names) => names.filter((name) => values[name] === undefined);
+        const partitionMissing = missing(table.partitionKey);
+        if (partitionMissing.length) {
+            throw new Error(`Some partition key parts are missing: ${partitionMissing.join(', ')}`);
+        }
+        const clusteringMissing = missing(table.clustering);
+        if (clusteringMissing.length && !(staticOnly &&
+                clusteringMissing.length === table.clustering.length)) {
+            throw new Error(`Some clustering keys are missing: ${clusteringMissing.join(', ')}`);
+        }
+        table.partitionKey.concat(table.clustering).forEach((name) => {
+            if (values[name] === null) {
+                throw new Error(`Invalid null value for ${name}`);
+            }
+        });
+        return {
+            partition: table.partitionKey.map((name) => values[name]),
+            clustering: clusteringMissing.length ? null :
+                table.clustering.map((name) => values[name])
+        };
+    }
+
+    _partition(table, key, create) {
+        const partKey = keyString(key.partition);
+        let partition = table.partitions.get(partKey);
+        if (!partition && create) {
+            partition = { key: key.partition, statics: {}, rows: new Map() };
+            table.partitions.set(partKey, partition);
+        }
+        return partition;
+    }
+
+    _row(partition, key, create) {
+        if (!partition || !key.clustering) {
+            return null;
+        }
+        const rowKey = keyString(key.clustering);
+        let row = partition.rows.get(rowKey);
+        if (!row && create) {
+            row = { key: key.clustering, marker: null, cells: {} };
+            partition.rows.set(rowKey, row);
+        }
+        return row;
+    }
+
+    /**
+     * Materializes a row, with its key and static values.
+     * @param  {Object} table
+     * @param  {Object} partition
+     * @param  {Object} [row] the clustering row; static values only if null
+     * @param  {number} now
+     * @return {Object} column -> cell, or null if the row is not live
+     */
+    _materialize(table, partition, row, now) {
+        const cells = {};
+        table.partitionKey.forEach((name, i) => {
+            cells[name] = { value: partition.key[i] };
+        });
+        let live = false;
+        Object.keys(partition.statics).forEach((name) => {
+            if (table.columns[name] && isLive(partition.statics[name], now)) {
+                cells[name] = partition.statics[name];
+                live = live || !row;
+            }
+        });
+        if (row) {
+            table.clustering.forEach((name, i) => {
+                cells[name] = { value: row.key[i] };
+            });
+            live = isLive(row.marker, now);
+            Object.keys(row.cells).forEach((name) => {
+                if (table.columns[name] && isLive(row.cells[name], now)) {
+                    cells[name] = row.cells[name];
+                    live = true;
+                }
+            });
+        }
+        return live ? cells : null;
+    }
+
+    // Evaluates an IF clause. Returns the [applied] row.
+    _checkCondition(table, stmt, key, params) {
+        const now = Date.now();
+        const partition = this._partition(table, key, false);
+        const row = this._row(partition, key, false);
+        const current = partition &&
+            this._materialize(table, partition, key.clustering ? row : null, now);
+        const valueOf = (name) => current && current[name] ? current[name].value : null;
+        const result = { '[applied]': true };
+        if (stmt.condition === 'not exists' || stmt.condition === 'exists') {
+            if (!!current === (stmt.condition === 'exists')) {
+                return result;
+            }
+            result['[applied]'] = false;
+            if (current) {
+                Object.keys(table.columns).forEach((name) => {
+                    result[name] = valueOf(name);
+                });
+            }
+            return result;
+        }
+        const restrictions = this._restrictions(table, stmt.condition, params);
+        const applied = Object.keys(restrictions).every((name) => {
+            if (table.partitionKey.concat(table.clustering).indexOf(name) !== -1) {
+                throw new Error(`PRIMARY KEY column '${name}' cannot have IF conditions`);
+            }
+            return restrictions[name].every((rel) =>
+                holds(this._type(table, name), valueOf(name), rel.op, rel.value));
+        });
+        if (!applied) {
+            result['[applied]'] = false;
+            Object.keys(restrictions).forEach((name) => {
+                result[name] = valueOf(name);
+            });
+        }
+        return result;
+    }
+
+    // Executes INSERT and UPDATE statements
+    _write(stmt, params, timestamp) {
+        const table = this._table(stmt.keyspace, stmt.name);
+        const keyValues = {};
+        const assignments = [];
+        const isKey = (name) => table.partitionKey.concat(table.clustering).indexOf(name) !== -1;
+        if (stmt.kind === 'insert') {
+            stmt.columns.forEach((name, i) => {
+                const value = this._value(table, name, stmt.values[i], params);
+                if (isKey(name)) {
+                    keyValues[name] = value;
+                } else {
+                    if (table.columns[name] === 'counter') {
+                        throw new Error('INSERT statements are not allowed on counter tables, ' +
+                            'use UPDATE instead');
+                    }
+                    assignments.push({ column: name, op: 'set', value });
+                }
+            });
+        } else {
+            stmt.where.forEach((rel) => {
+                if (!isKey(rel.column)) {
+                    throw new Error(`Non PRIMARY KEY columns found in where clause: ${rel.column}`);
+                } else if (rel.op !== '=') {
+                    throw new Error(`Invalid operator ${rel.op} for PRIMARY KEY part ${rel.column}`);
+                }
+                keyValues[rel.column] = this._value(table, rel.column, rel.value, params);
+            });
+            stmt.assignments.forEach((assignment) => {
+                const name = assignment.column;
+                const type = this._type(table, name);
+                if (isKey(name)) {
+                    throw new Error(`PRIMARY KEY part ${name} found in SET part`);
+                }
+                let value;
+                if (assignment.op === 'remove' && /^map</.test(type)) {
+                    // Removing map entries takes a set of keys
+                    const keys = assignment.value.marker !== undefined ?
+                        params[assignment.value.marker] : assignment.value.literal;
+                    value = keys || [];
+                } else if (type === 'counter') {
+                    if (assignment.op === 'set' || assignment.op === 'prepend') {
+                        throw new Error(`Cannot set the value of counter column ${name} ` +
+                            '(counters can only be incremented/decremented, not set)');
+                    }
+                    value = this._value(table, name, assignment.value, params);
+                } else {
+                    value = this._value(table, name, assignment.value, params);
+                    if (assignment.op !== 'set' && value === null) {
+                        value = /^map</.test(type) ? {} : [];
+                    }
+                }
+                assignments.push({ column: name, op: assignment.op, value });
+            });
+        }
+        assignments.forEach((assignment) => this._type(table, assignment.column));
+        const staticOnly = assignments.length > 0 &&
+            assignments.every((assignment) => table.statics.has(assignment.column));
+        const key = this._primaryKey(table, keyValues, staticOnly);
+        if (!key.clustering && stmt.kind === 'insert' && table.clustering.length) {
+            throw new Error('Some clustering keys are missing: ' +
+                `${table.clustering.join(', ')}`);
+        }
+        const counters = Object.keys(table.columns).some((name) =>
+            table.columns[name] === 'counter');
+        if (counters && (stmt.condition || stmt.using.ttl || stmt.using.timestamp)) {
+            throw new Error('Conditional updates, TTLs and timestamps are not supported on ' +
+                'counter tables');
+        }
+
+        let result = { '[applied]': true };
+        if (stmt.condition) {
+            result = this._checkCondition(table, stmt, key, params);
+            if (!result['[applied]']) {
+                return this._result([result]);
+            }
+            // Conditional writes are timestamped by Paxos
+            timestamp = Date.now() * 1000;
+        } else if (stmt.using.timestamp) {
+            timestamp = this._number(stmt.using.timestamp, params);
+        }
+        const now = Date.now();
+        let ttl = stmt.using.ttl ? this._number(stmt.using.ttl, params) :
+            Number(table.options.default_time_to_live || 0);
+        if (ttl < 0) {
+            throw new Error(`A TTL must be greater or equal to 0, but was ${ttl}`);
+        }
+        ttl = ttl || null;
+        const expires = ttl ? now + ttl * 1000 : null;
+        const partition = this._partition(table, key, true);
+        const row = this._row(partition, key, true);
+        const write = (cells, name, value) => {
+            const cell = cells[name];
+            if (!cell || cell.writetime <= timestamp) {
+                cells[name] = { value, writetime: timestamp, expires };
+            }
+        };
+        if (stmt.kind === 'insert' && row) {
+            const marker = { marker: row.marker };
+            write(marker, 'marker', true);
+            row.marker = marker.marker;
+        }
+        assignments.forEach((assignment) => {
+            const name = assignment.column;
+            const cells = table.statics.has(name) ? partition.statics : row.cells;
+            if (assignment.op === 'set') {
+                write(cells, name, assignment.value);
+            } else {
+                const current = isLive(cells[name], now) ? cells[name].value : null;
+                write(cells, name, applyUpdateOp(schemaType(table.columns[name]), current,
+                    assignment.op, assignment.value));
+            }
+        });
+        return this._result(stmt.condition ? [result] : []);
+    }
+
+    /**
+     * Checks the restrictions of a SELECT or DELETE on the primary key.
+     * @param  {Object} table
+     * @param  {Object} restrictions column -> list of { op, value }
+     * @param  {boolean} [allowFiltering] whether ALLOW FILTERING was given
+     * @return {boolean} whether the partition key is restricted
+     */
+    _checkRestrictions(table, restrictions, allowFiltering) {
+        const filteringError = () => new Error('Cannot execute this query as it might ' +
+            'involve data filtering and thus may have unpredictable performance. If you ' +
+            'want to execute this query despite the performance unpredictability, use ' +
+            'ALLOW FILTERING');
+        const restricted = table.partitionKey.filter((name) => restrictions[name]);
+        if (restricted.length && restricted.length !== table.partitionKey.length) {
+            if (allowFiltering) {
+                return false;
+            }
+            const missing = table.partitionKey.filter((name) => !restrictions[name]);
+            throw new Error(`Partition key parts: ${missing.join(', ')} must be restricted ` +
+                'as other parts are');
+        }
+        restricted.forEach((name) => {
+            if (restrictions[name].some((rel) => rel.op !== '=')) {
+                throw new Error('Only EQ and IN relation are supported on the partition key ' +
+                    '(unless you use the token() function)');
+            }
+        });
+        let sliced;
+        let unrestricted;
+        table.clustering.forEach((name) => {
+            const rels = restrictions[name];
+            if (!rels) {
+                unrestricted = unrestricted || name;
+            } else if (sliced) {
+                throw new Error(`Clustering column "${name}" cannot be restricted (preceding ` +
+                    `column "${sliced}" is restricted by a non-EQ relation)`);
+            } else if (unrestricted) {
+                throw new Error(`PRIMARY KEY column "${name}" cannot be restricted as ` +
+                    `preceding column "${unrestricted}" is not restricted`);
+            } else if (rels.some((rel) => rel.op !== '=')) {
+                sliced = name;
+            }
+            if (rels && !restricted.length && !allowFiltering) {
+                throw filteringError();
+            }
+        });
+        Object.keys(restrictions).forEach((name) => {
+            this._type(table, name);
+            if (table.partitionKey.indexOf(name) === -1 &&
+                    table.clustering.indexOf(name) === -1 && !allowFiltering) {
+                throw filteringError();
+            }
+            if (restrictions[name].some((rel) => rel.op === '!=')) {
+                throw new Error(`Unsupported "!=" relation: ${name} != ?`);
+            }
+        });
+        return restricted.length > 0;
+    }
+
+    // Whether the key values satisfy the restrictions
+    _matches(table, restrictions, values) {
+        return Object.keys(restrictions).every((name) => {
+            const type = schemaType(table.columns[name]);
+            return restrictions[name].every((rel) => holds(type, values[name], rel.op, rel.value));
+        });
+    }
+
+    _delete(stmt, params, timestamp) {
+        const table = this._table(stmt.keyspace, stmt.name);
+        const restrictions = this._restrictions(table, stmt.where, params);
+        if (!this._checkRestrictions(table, restrictions)) {
+            throw new Error('Some partition key parts are missing: ' +
+                `${table.partitionKey.join(', ')}`);
+        }
+        const keyValues = {};
+        let fullKey = true;
+        table.partitionKey.concat(table.clustering).forEach((name) => {
+            const rels = restrictions[name];
+            if (rels && rels.length === 1 && rels[0].op === '=') {
+                keyValues[name] = rels[0].value;
+            } else {
+                fullKey = false;
+            }
+        });
+        if (stmt.condition) {
+            if (!fullKey) {
+                throw new Error('DELETE statements must restrict all PRIMARY KEY columns ' +
+                    'with equality relations in order to use IF conditions');
+            }
+            const result = this._checkCondition(table, stmt, this._primaryKey(table, keyValues),
+                params);
+            if (!result['[applied]']) {
+                return this._result([result]);
+            }
+            timestamp = Date.now() * 1000;
+        } else if (stmt.using.timestamp) {
+            timestamp = this._number(stmt.using.timestamp, params);
+        }
+        const hasClustering = table.clustering.some((name) => restrictions[name]);
+        const shadow = (cells) => Object.keys(cells).forEach((name) => {
+            if (cells[name].writetime <= timestamp) {
+                delete cells[name];
+            }
+        });
+        table.partitions.forEach((partition) => {
+            const values = {};
+            table.partitionKey.forEach((name, i) => {
+                values[name] = partition.key[i];
+            });
+            if (!this._matches(table, restrictions, values)) {
+                // Clustering restrictions are checked per row below
+                const partitionRestrictions = {};
+                table.partitionKey.forEach((name) => {
+                    partitionRestrictions[name] = restrictions[name];
+                });
+                if (!this._matches(table, partitionRestrictions, values)) {
+                    return;
+                }
+            }
+            if (!hasClustering) {
+                // Deleting a partition also deletes its static values
+                shadow(partition.statics);
+            }
+            partition.rows.forEach((row) => {
+                const rowValues = Object.assign({}, values);
+                table.clustering.forEach((name, i) => {
+                    rowValues[name] = row.key[i];
+                });
+                if (this._matches(table, restrictions, rowValues)) {
+                    shadow(row.cells);
+                    if (row.marker && row.marker.writetime <= timestamp) {
+                        row.marker = null;
+                    }
+                }
+            });
+        });
+        return this._result(stmt.condition ? [{ '[applied]': true }] : []);
+    }
+
+    // Rows of the system_schema tables
+    _systemRows(name) {
+        const rows = [];
+        Object.keys(this.keyspaces).forEach((keyspaceName) => {
+            const keyspace = this.keyspaces[keyspaceName];
+            if (name === 'keyspaces') {
+                const meta = this.metadata.keyspaces[keyspaceName];
+                rows.push({
+                    keyspace_name: keyspaceName,
+                    replication: Object.assign({ class: meta.strategy }, meta.strategyOptions)
+                });
+            }
+            Object.keys(keyspace).forEach((tableName) => {
+                const table = keyspace[tableName];
+                if (name === 'tables') {
+                    rows.push({ keyspace_name: keyspaceName, table_name: tableName });
+                } else if (name === 'columns') {
+                    Object.keys(table.columns).forEach((column) => {
+                        let kind = table.statics.has(column) ? 'static' : 'regular';
+                        let position = -1;
+                        if (table.partitionKey.indexOf(column) !== -1) {
+                            kind = 'partition_key';
+                            position = table.partitionKey.indexOf(column);
+                        } else if (table.clustering.indexOf(column) !== -1) {
+                            kind = 'clustering';
+                            position = table.clustering.indexOf(column);
+                        }
+                        rows.push({
+                            keyspace_name: keyspaceName,
+                            table_name: tableName,
+                            column_name: column,
+                            kind,
+                            position,
+                            type: table.columns[column],
+                            clustering_order: table.clusteringOrder[column] || 'none'
+                        });
+                    });
+                }
+            });
+        });
+        return rows;
+    }
+
+    // Queries system tables, which support equality relations only
+    _selectSystem(stmt, params) {
+        let rows = [];
+        if (stmt.keyspace === 'system_schema') {
+            rows = this._systemRows(stmt.name);
+        }
+        stmt.where.forEach((rel) => {
+            const value = rel.value.marker !== undefined ?
+                params[rel.value.marker] : rel.value.literal;
+            rows = rows.filter((row) => row[rel.column] === value);
+        });
+        return this._result(rows.map((row) => {
+            const res = {};
+            stmt.selectors.forEach((selector) => {
+                if (selector.kind === 'star') {
+                    Object.assign(res, row);
+                } else {
+                    res[selector.alias] = row[selector.column] === undefined ?
+                        null : row[selector.column];
+                }
+            });
+            return res;
+        }));
+    }
+
+    _select(stmt, params, options) {
+        if (stmt.keyspace === 'system' || stmt.keyspace === 'system_schema') {
+            return this._selectSystem(stmt, params);
+        }
+        const table = this._table(stmt.keyspace, stmt.name);
+        const now = Date.now();
+        const tokenRestrictions = stmt.where.filter((rel) => rel.token).map((rel) => {
+            if (rel.token.join() !== table.partitionKey.join()) {
+                throw new Error('The token function arguments must be in the partition ' +
+                    'key order: ' + table.partitionKey.join(', '));
+            }
+            return {
+                op: rel.op,
+                value: toRaw('long', rel.value.marker !== undefined ?
+                    params[rel.value.marker] : rel.value.literal)
+            };
+        });
+        const restrictions = this._restrictions(table,
+            stmt.where.filter((rel) => !rel.token), params);
+        const partitionRestricted = this._checkRestrictions(table, restrictions,
+            stmt.allowFiltering);
+        const hasClustering = table.clustering.some((name) => restrictions[name]);
+
+        let columns = [];
+        stmt.selectors.forEach((selector) => {
+            if (selector.kind === 'star') {
+                columns = columns.concat(table.partitionKey, table.clustering,
+                    Object.keys(table.columns).filter((name) =>
+                        table.partitionKey.indexOf(name) === -1 &&
+                        table.clustering.indexOf(name) === -1).sort()
+                    .map((name) => ({ kind: 'column', column: name, alias: name })));
+            } else {
+                this._type(table, selector.column);
+                if (selector.kind !== 'column' &&
+                        (table.partitionKey.indexOf(selector.column) !== -1 ||
+                        table.clustering.indexOf(selector.column) !== -1)) {
+                    throw new Error(`Cannot use selection function ${selector.kind} on ` +
+                        `PRIMARY KEY part ${selector.column}`);
+                }
+                if (selector.kind === 'ttl' && /^(set|list|map)<|^counter$/
+                    .test(table.columns[selector.column])) {
+                    throw new Error(`Cannot use selection function ttl on collections`);
+                }
+                columns.push(selector);
+            }
+        });
+        columns = columns.map((col) => (typeof col === 'string' ?
+            { kind: 'column', column: col, alias: col } : col));
+        if (stmt.distinct) {
+            columns.forEach((col) => {
+                if (table.partitionKey.indexOf(col.column) === -1 &&
+                        !table.statics.has(col.column)) {
+                    throw new Error('SELECT DISTINCT queries must only request partition key ' +
+                        'columns and/or static columns (not ' + col.column + ')');
+                }
+            });
+            if (hasClustering) {
+                throw new Error('SELECT DISTINCT with WHERE clause only supports restriction ' +
+                    'by partition key and/or static columns.');
+            }
+        }
+
+        let reversed = false;
+        if (stmt.order.length) {
+            if (!partitionRestricted) {
+                throw new Error('ORDER BY is only supported when the partition key is ' +
+                    'restricted by an EQ or an IN.');
+            }
+            stmt.order.forEach((term, i) => {
+                if (table.clustering[i] !== term.column) {
+                    throw new Error('Order by currently only supports the ordering of ' +
+                        'columns following their declared order in the PRIMARY KEY');
+                }
+                const termReversed = term.dir !== table.clusteringOrder[term.column];
+                if (i && termReversed !== reversed) {
+                    throw new Error(`Unsupported order by relation`);
+                }
+                reversed = termReversed;
+            });
+        }
+
+        // Partitions are scanned in token order
+        const partitions = Array.from(table.partitions.values()).map((partition) => ({
+            partition,
+            token: partitionToken(table, partition.key)
+        }))
+        .filter((entry) => tokenRestrictions.every((rel) =>
+            holds('long', entry.token, rel.op, rel.value)))
+        .sort((a, b) => a.token.compare(b.token));
+        let rows = [];
+        partitions.forEach((entry) => {
+            const partition = entry.partition;
+            const partValues = {};
+            table.partitionKey.forEach((name, i) => {
+                partValues[name] = partition.key[i];
+            });
+            const partitionRestrictions = {};
+            table.partitionKey.forEach((name) => {
+                if (restrictions[name]) {
+                    partitionRestrictions[name] = restrictions[name];
+                }
+            });
+            if (!this._matches(table, partitionRestrictions, partValues)) {
+                return;
+            }
+            if (stmt.distinct) {
+                const cells = this._materialize(table, partition, null, now);
+                const live = cells || Array.from(partition.rows.values()).some((row) =>
+                    this._materialize(table, partition, row, now));
+                if (live) {
+                    rows.push(cells || this._materialize(table, partition, null, Infinity) ||
+                        {});
+                }
+                return;
+            }
+            const partRows = [];
+            partition.rows.forEach((row) => {
+                const cells = this._materialize(table, partition, row, now);
+                const values = {};
+                Object.keys(cells || {}).forEach((name) => {
+                    values[name] = cells[name].value;
+                });
+                if (cells && this._matches(table, restrictions, values)) {
+                    partRows.push(cells);
+                }
+            });
+            partRows.sort((a, b) => {
+                for (let i = 0; i < table.clustering.length; i++) {
+                    const name = table.clustering[i];
+                    const cmp = compareRaw(schemaType(table.columns[name]),
+                        a[name].value, b[name].value);
+                    if (cmp) {
+                        return table.clusteringOrder[name] === 'desc' ? -cmp : cmp;
+                    }
+                }
+                return 0;
+            });
+            if (!partRows.length && !hasClustering) {
+                // Partitions with only static values are returned as a row
+                const cells = this._materialize(table, partition, null, now);
+                if (cells) {
+                    partRows.push(cells);
+                }
+            }
+            rows = rows.concat(reversed ? partRows.reverse() : partRows);
+        });
+
+        if (stmt.limit) {
+            rows = rows.slice(0, this._number(stmt.limit, params));
+        }
+        let pageState;
+        if (options.fetchSize) {
+            let offset = 0;
+            if (options.pageState) {
+                const state = Buffer.isBuffer(options.pageState) ? options.pageState :
+                    Buffer.from(options.pageState, 'hex');
+                offset = parseInt(state.toString(), 10);
+                if (isNaN(offset)) {
+                    throw new Error('Invalid value for the paging state');
+                }
+            }
+            const end = offset + options.fetchSize;
+            if (end < rows.length) {
+                pageState = Buffer.from(String(end));
+            }
+            rows = rows.slice(offset, end);
+        }
+
+        return this._result(rows.map((cells) => {
+            const res = {};
+            columns.forEach((col) => {
+                const cell = cells[col.column];
+                if (col.kind === 'ttl') {
+                    res[col.alias] = cell && cell.expires ?
+                        Math.ceil((cell.expires - now) / 1000) : null;
+                } else if (col.kind === 'writetime') {
+                    res[col.alias] = cell && cell.writetime !== undefined ?
+                        cass.types.Long.fromNumber(cell.writetime) : null;
+                } else {
+                    res[col.alias] = cell ? cell.value : null;
+                }
+            });
+            return res;
+        }), pageState);
+    }
+}
+
+CQLClient.Parser = Parser;
+
+module.exports = CQLClient;
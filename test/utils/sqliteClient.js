@@ -0,0 +1,162 @@
+'use strict';
+
+/*
+ * In-memory stand-in for a sqlite3 Database, supporting the statements
+ * issued by lib/sqliteDB.js. Tables hold their rows keyed by the values of
+ * their primary key columns, and transactions restore a snapshot of all
+ * tables on rollback.
+ */
+
+const ID = '"((?:[^"]|"")*)"';
+
+function unquote(id) {
+    return id.replace(/""/g, '"');
+}
+
+// Parses a comma-separated list of quoted identifiers
+function idList(list) {
+    const ids = [];
+    const re = new RegExp(ID, 'g');
+    let match = re.exec(list);
+    while (match) {
+        ids.push(unquote(match[1]));
+        match = re.exec(list);
+    }
+    return ids;
+}
+
+// SQLite stores booleans as integers
+function sqlValue(val) {
+    return typeof val === 'boolean' ? Number(val) : val;
+}
+
+function copyTables(tables) {
+    const copy = {};
+    Object.keys(tables).forEach((name) => {
+        const table = tables[name];
+        copy[name] = {
+            columns: table.columns,
+            primaryKey: table.primaryKey,
+            rows: new Map(Array.from(table.rows, (entry) => [entry[0],
+                Object.assign({}, entry[1])]))
+        };
+    });
+    return copy;
+}
+
+class SqliteClient {
+    constructor() {
+        // name -> { columns, primaryKey, rows: Map of key -> row }
+        this.tables = {};
+        this.snapshot = null;
+        // Log of the executed statements, as { sql, params }
+        this.statements = [];
+        // Statements matching this RegExp fail
+        this.failOn = null;
+        this.closed = false;
+    }
+
+    run(sql, params, callback) {
+        this._execute(sql, params, () => callback(null), callback);
+    }
+
+    all(sql, params, callback) {
+        this._execute(sql, params, (rows) => callback(null, rows), callback);
+    }
+
+    close(callback) {
+        this.closed = true;
+        setImmediate(() => callback(null));
+    }
+
+    _execute(sql, params, resolve, reject) {
+        let result;
+        try {
+            this.statements.push({ sql, params });
+            if (this.failOn && this.failOn.test(sql)) {
+                throw new Error('SQLITE_IOERR: disk I/O error');
+            }
+            result = this._statement(sql, params.map(sqlValue));
+        } catch (e) {
+            setImmediate(() => reject(e));
+            return;
+        }
+        setImmediate(() => resolve(result));
+    }
+
+    _table(name) {
+        const table = this.tables[name];
+        if (!table) {
+            throw new Error(`SQLITE_ERROR: no such table: ${name}`);
+        }
+        return table;
+    }
+
+    // Returns a predicate for the rows matching `"a" = ? AND "b" = ?`
+    _where(where, params) {
+        const columns = where ? idList(where) : [];
+        return (row) => columns.every((column, i) => row[column] === params[i]);
+    }
+
+    _rowKey(table, row) {
+        return JSON.stringify(table.primaryKey.map((column) => row[column]));
+    }
+
+    _statement(sql, params) {
+        let match;
+        if (/^BEGIN IMMEDIATE$/.test(sql)) {
+            if (this.snapshot) {
+                throw new Error('SQLITE_ERROR: cannot start a transaction within a transaction');
+            }
+            this.snapshot = copyTables(this.tables);
+        } else if (/^(COMMIT|ROLLBACK)$/.test(sql)) {
+            if (sql === 'ROLLBACK') {
+                this.tables = this.snapshot;
+            }
+            this.snapshot = null;
+        } else if ((match = new RegExp(`^CREATE TABLE IF NOT EXISTS ${ID} \\((.*), ` +
+                'PRIMARY KEY \\((.*)\\)\\)$').exec(sql))) {
+            const name = unquote(match[1]);
+            if (!this.tables[name]) {
+                this.tables[name] = {
+                    columns: idList(match[2]),
+                    primaryKey: idList(match[3]),
+                    rows: new Map()
+                };
+            }
+        } else if ((match = new RegExp(`^DROP TABLE IF EXISTS ${ID}$`).exec(sql))) {
+            delete this.tables[unquote(match[1])];
+        } else if (/^SELECT name FROM sqlite_master WHERE type = 'table' AND /.test(sql)) {
+            const names = Object.keys(this.tables);
+            if (/substr\(name, 1, \?\) = \?$/.test(sql)) {
+                return names.filter((name) => name.substr(0, params[0]) === params[1])
+                    .map((name) => ({ name }));
+            }
+            return names.filter((name) => name === params[0]).map((name) => ({ name }));
+        } else if ((match = new RegExp(`^SELECT \\* FROM ${ID}(?: WHERE (.*))?$`).exec(sql))) {
+            const matches = this._where(match[2], params);
+            return Array.from(this._table(unquote(match[1])).rows.values())
+                .filter(matches).map((row) => Object.assign({}, row));
+        } else if ((match = new RegExp(`^INSERT OR REPLACE INTO ${ID} \\((.*)\\) VALUES`)
+                .exec(sql))) {
+            const table = this._table(unquote(match[1]));
+            const row = {};
+            idList(match[2]).forEach((column, i) => {
+                row[column] = params[i] === undefined ? null : params[i];
+            });
+            table.rows.set(this._rowKey(table, row), row);
+        } else if ((match = new RegExp(`^DELETE FROM ${ID} WHERE (.*)$`).exec(sql))) {
+            const table = this._table(unquote(match[1]));
+            const matches = this._where(match[2], params);
+            Array.from(table.rows).forEach((entry) => {
+                if (matches(entry[1])) {
+                    table.rows.delete(entry[0]);
+                }
+            });
+        } else {
+            throw new Error(`SQLITE_ERROR: unsupported statement: ${sql}`);
+        }
+    }
+}
+
+module.exports = SqliteClient;